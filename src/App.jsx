@@ -1,16 +1,21 @@
 import React from "react";
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import mondaySdk from "monday-sdk-js";
 import "@vibe/core/tokens";
 import TimelineBoard from './components/timeline/TimelineBoard';
-import { Box, Loader, ThemeProvider } from "@vibe/core";
+import { AttentionBox, Box, Button, Flex, Loader, Text, ThemeProvider } from "@vibe/core";
 import fetchBoardItems from './functions/fetchBoardItems';
+import fetchBoardColumns from './functions/fetchBoardColumns';
 import ExportButton from './components/export/ExportButton';
 import TimelineLogger from './utils/logger';
+import useBoardEvents from './hooks/useBoardEvents';
 
 // Usage of mondaySDK example, for more information visit here: https://developer.monday.com/apps/docs/introduction-to-the-sdk/
 const monday = mondaySdk();
 
+// How long to wait for the view's itemIds before loading the whole board; not every view sends them (ms)
+const ITEM_IDS_TIMEOUT_MS = 1500;
+
 /** BoardItem type
  * @typedef {Object} BoardItem
  * @property {string} id - Unique item ID
@@ -38,7 +43,7 @@ const monday = mondaySdk();
 /** context type 
  * @typedef {Object} AppContext
  * @property {int} boardId - ID of the current board
- * @property {Object.<string, boolean>} user - User information
+ * @property {Object.<string, boolean>} user - User information (e.g. isViewOnly, isGuest)
  * @property {string} boardName - Name of the board
  * @property {string} theme - Theme of the board
  */
@@ -46,10 +51,21 @@ const monday = mondaySdk();
 const App = () => {
   const [context, setContext] = useState(null);
   const [boardItems, setBoardItems] = useState([]);
+  const [boardColumns, setBoardColumns] = useState([]);
   const [settings, setSettings] = useState(null);
-  const [itemIds, setItemIds] = useState([]);
+  // Item IDs in the (filtered) view: null loads the whole board, [] means the filter matches nothing
+  const [itemIds, setItemIds] = useState(null);
+  // Whether the itemIds listener has answered yet (or given up waiting); nothing is fetched before then
+  const [hasItemIds, setHasItemIds] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [error, setError] = useState(null);
+  // A later board page that failed while earlier ones are on screen: {error, cursor} to resume from
+  const [pageError, setPageError] = useState(null);
+  // Cancellation check of the current board load, shared by a resumed load so a newer load supersedes both
+  const isLoadCancelled = useRef(() => true);
+  // Bumped by the retry button to re-run the board fetch
+  const [reloadToken, setReloadToken] = useState(0);
 
   // Set up context listener
   useEffect(() => {
@@ -70,8 +86,9 @@ const App = () => {
       setSettings(res.data);
     });
     monday.listen("itemIds", (res) => {
-      TimelineLogger.info('Item IDs received', { count: res.data?.length || 0 });
-      setItemIds(res.data);
+      TimelineLogger.info('Item IDs received', { count: res.data?.length ?? 'all' });
+      setItemIds(Array.isArray(res.data) ? res.data : null);
+      setHasItemIds(true);
     });
   }, []);
 
@@ -100,24 +117,97 @@ const App = () => {
   
   //console.log("itemIds in view", itemIds);
   
-  // Fetch board items when context changes and has a boardId, and itemIds are available
+  // Fetch the board's column metadata once per board, so date parsing follows real column types
+  useEffect(() => {
+    if (!context?.boardId) return undefined;
+
+    let cancelled = false;
+    fetchBoardColumns(context.boardId)
+      .then(columns => {
+        if (!cancelled) setBoardColumns(columns);
+      })
+      .catch(error => {
+        // Not fatal: the timeline falls back to inferring column types from values
+        TimelineLogger.error('Failed to fetch board columns', error, { boardId: context.boardId });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [context?.boardId]);
+
+  // Views that never send itemIds (object and widget contexts, some unfiltered views) show the whole board.
+  // If the itemIds arrive later, the effect below re-fetches just those items.
   useEffect(() => {
-    // Call the imported fetchBoardItems function
-    // Wait for both boardId and itemIds to be available before fetching
-    if (context?.boardId && itemIds && itemIds.length > 0) {
-      TimelineLogger.dataOperation('fetchBoardItems', {
+    if (!context?.boardId || hasItemIds) return undefined;
+
+    const timer = setTimeout(() => {
+      TimelineLogger.warn('No itemIds received from the view, loading the whole board', {
         boardId: context.boardId,
-        itemCount: itemIds.length
+        waitedMs: ITEM_IDS_TIMEOUT_MS
       });
-      fetchBoardItems(context, itemIds, setBoardItems, setIsLoading, setError);
-    } else {
-      TimelineLogger.debug('Skipping fetch - missing context or itemIds', {
+      setHasItemIds(true);
+    }, ITEM_IDS_TIMEOUT_MS);
+
+    return () => clearTimeout(timer);
+  }, [context?.boardId, hasItemIds]);
+
+  // Fetch board items when context changes and has a boardId, once the view has said which items it shows.
+  // Specific itemIds are fetched directly (an empty list shows nothing); null pages in the whole board.
+  useEffect(() => {
+    if (!context?.boardId || !hasItemIds) {
+      TimelineLogger.debug('Skipping fetch - waiting for boardId and itemIds', {
         hasBoardId: !!context?.boardId,
-        hasItemIds: !!itemIds,
-        itemCount: itemIds?.length || 0
+        hasItemIds
       });
+      return;
     }
-  }, [context?.boardId, itemIds]); // Re-run when boardId or itemIds change
+
+    TimelineLogger.dataOperation('fetchBoardItems', {
+      boardId: context.boardId,
+      itemCount: itemIds?.length ?? 'all',
+      loadEntireBoard: itemIds == null
+    });
+
+    // Ignore results from a fetch that was superseded by newer context or itemIds
+    let cancelled = false;
+    isLoadCancelled.current = () => cancelled;
+    fetchBoardItems(context, itemIds, setBoardItems, setIsLoading, setError, {
+      setIsLoadingMore,
+      setPageError,
+      isCancelled: () => cancelled
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [context?.boardId, itemIds, hasItemIds, reloadToken]); // Re-run when boardId or itemIds change, or on retry
+
+  // Apply edits made elsewhere on the board; those made while pages are still loading are applied once they are in.
+  // Only a whole-board view takes in newly created items; a filtered view waits for its next itemIds.
+  useBoardEvents(context?.boardId, setBoardItems, {
+    paused: isLoading || isLoadingMore,
+    insertNewItems: itemIds == null
+  });
+
+  const handleRetry = () => {
+    TimelineLogger.userAction('fetchBoardItemsRetried', { reason: (error || pageError?.error)?.code });
+    setReloadToken(token => token + 1);
+  };
+
+  // Continue a whole-board load from the page that failed, keeping the items already loaded
+  const handleResumeLoading = () => {
+    TimelineLogger.userAction('fetchBoardItemsResumed', {
+      reason: pageError?.error?.code,
+      loadedCount: boardItems.length
+    });
+    fetchBoardItems(context, itemIds, setBoardItems, setIsLoading, setError, {
+      setIsLoadingMore,
+      setPageError,
+      resumeCursor: pageError.cursor,
+      isCancelled: isLoadCancelled.current
+    });
+  };
 
   return (
       <Box padding='medium'>
@@ -137,13 +227,57 @@ const App = () => {
             <Loader size="medium" />
           </div>
         ) : error ? (
-          <div style={{ color: 'red' }}>{error}</div>
+          <Flex direction="column" gap="medium" align="start">
+            <AttentionBox
+              type="danger"
+              title="Failed to fetch board items"
+              text={error.message || String(error)}
+            />
+            <Button size="small" kind="secondary" onClick={handleRetry}>
+              Retry
+            </Button>
+          </Flex>
         ) : (
           <ThemeProvider systemTheme={context.theme}>
-            <TimelineBoard boardItems={boardItems} settings={settings} />
+            {/* Progress indicator while remaining board pages stream in */}
+            {isLoadingMore && (
+              <Flex gap="small" align="center" style={{ marginBottom: '8px' }}>
+                <Loader size="xs" />
+                <Text type={Text.types.TEXT2} color={Text.colors.SECONDARY}>
+                  Loading more items ({boardItems.length} loaded)
+                </Text>
+              </Flex>
+            )}
+            {/* A later page failed: the items already loaded stay on the timeline */}
+            {pageError && (
+              <Flex direction="column" gap="small" align="start" style={{ marginBottom: '8px' }}>
+                <AttentionBox
+                  type="warning"
+                  title="Some items could not be loaded"
+                  text={`Showing the first ${boardItems.length} items. ${pageError.error.message || String(pageError.error)}`}
+                />
+                <Flex gap="small">
+                  <Button size="small" kind="secondary" onClick={handleResumeLoading}>
+                    Load remaining items
+                  </Button>
+                  <Button size="small" kind="tertiary" onClick={handleRetry}>
+                    Reload board
+                  </Button>
+                </Flex>
+              </Flex>
+            )}
+            <TimelineBoard
+              boardItems={boardItems}
+              settings={settings}
+              columns={boardColumns}
+              boardId={context.boardId}
+              onBoardItemsChange={setBoardItems}
+              isViewOnly={!!context.user?.isViewOnly}
+              isCompleteBoard={!isLoading && !isLoadingMore && !error && !pageError && itemIds == null}
+            />
             {/* Export Button - Left justified */}
             <Box marginBottom="medium">
-              <ExportButton theme={context.theme} />
+              <ExportButton theme={context.theme} title={settings?.titleText} />
             </Box>  
           </ThemeProvider>
         )}
@@ -1,39 +1,153 @@
-import React, { useState, useContext, useRef } from 'react';
-import { Button, Modal, Box, Checkbox, Flex, Text, Heading } from "@vibe/core";
+import React, { useState, useContext, useRef, useMemo } from 'react';
+import {
+  AttentionBox,
+  Button,
+  ButtonGroup,
+  Modal,
+  Box,
+  Checkbox,
+  Flex,
+  Text,
+  Heading,
+  RadioButton,
+  NumberField,
+  TextField
+} from "@vibe/core";
 import { toPng } from 'html-to-image';
 import { ThemeProvider } from '@vibe/core';
+import buildExportScene from '../../functions/buildExportScene';
+import calculateExportFrame from '../../functions/calculateExportFrame';
+import frameExportScene from '../../functions/frameExportScene';
+import sceneToSvg from '../../functions/sceneToSvg';
+import sceneToPdf, { PDF_PAPER_SIZES, PDF_MARGINS } from '../../functions/sceneToPdf';
+import sceneToPptx from '../../functions/sceneToPptx';
+import TimelineLogger from '../../utils/logger';
+
+// Export formats offered in the modal
+const EXPORT_FORMATS = [
+  { value: 'png', label: 'PNG image' },
+  { value: 'svg', label: 'SVG vector (editable in Illustrator/Figma)' },
+  { value: 'pdf', label: 'PDF document (printable, tiled across pages)' },
+  { value: 'pptx', label: 'PowerPoint slide (editable shapes and text)' }
+];
+
+const PDF_ORIENTATIONS = [
+  { value: 'landscape', text: 'Landscape' },
+  { value: 'portrait', text: 'Portrait' }
+];
+
+// Output aspect ratios (width / height); 0 follows the content
+const EXPORT_ASPECT_RATIOS = [
+  { value: 0, text: 'Fit content' },
+  { value: 16 / 9, text: '16:9 slide' },
+  { value: 4 / 3, text: '4:3' },
+  { value: 1, text: 'Square' }
+];
+
+// Device pixel ratios for PNG exports
+const PIXEL_RATIOS = [1, 2, 3, 4].map(ratio => ({ value: ratio, text: `${ratio}x` }));
+
+// Largest PNG export in output pixels (after the pixel ratio): 4096 × 4096, a canvas every major browser can draw
+const MAX_EXPORT_PIXELS = 4096 * 4096;
+// Upper bounds of the size and padding inputs (px)
+const MAX_EXPORT_SIDE = 16384;
+const MAX_EXPORT_PADDING = 1024;
+
+// Text color overrides; '' keeps the on-screen colors
+const TEXT_COLORS = [
+  { value: '', text: 'As shown' },
+  { value: '#323338', text: 'Dark' },
+  { value: '#ffffff', text: 'Light' }
+];
+
+// Class given to the PNG clone when its text color is overridden
+const TEXT_COLOR_CLASS = 'export-text-color';
+
+/**
+ * Reads a date input value as a local date
+ * @param {string} value - 'YYYY-MM-DD', or '' for none
+ * @param {boolean} [isEnd=false] - Whether the date ends a range, so its whole day is included
+ * @returns {Date|null} Start of the day (or of the next day for an end), or null
+ */
+const parseDateInput = (value, isEnd = false) => {
+  const match = value && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + (isEnd ? 1 : 0));
+};
+
+/**
+ * Triggers a browser download of a URL
+ * @param {string} url - Data or object URL
+ * @param {string} filename - Suggested file name
+ */
+const downloadUrl = (url, filename) => {
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
 
 /**
  * ExportButton component displays a button that opens a modal for export configuration
- * Current options: including/excluding background
+ * Current options: format (PNG, SVG, PDF or PowerPoint), PDF page setup, size (aspect ratio, target width and
+ * height, pixel ratio), padding, text color, date-range crop and including/excluding background, with a live
+ * preview of the result
  * 
  * @param {Object} props Component props
  * @param {string} props.theme Current theme ('light' or 'dark')
+ * @param {string} [props.title] Timeline title, repeated in the header of every PDF page and used as the
+ *   PowerPoint presentation title
  * @returns {JSX.Element} Export button component
  */
-const ExportButton = ({ theme }) => {
+const ExportButton = ({ theme, title }) => {
   // State to manage modal visibility
   const [isModalOpen, setIsModalOpen] = useState(false);
   
   // State to track background inclusion in export
   const [includeBackground, setIncludeBackground] = useState(false);
 
-  // State to track export status
-  const [isExporting, setIsExporting] = useState(false);
+  // Selected export format ('png', 'svg', 'pdf' or 'pptx')
+  const [format, setFormat] = useState('png');
 
-  // State to track light text option
-  const [lightText, setLightText] = useState(false);
+  // PDF page setup: paper size, orientation and margin (pt)
+  const [paperSize, setPaperSize] = useState('a4');
+  const [pageOrientation, setPageOrientation] = useState('landscape');
+  const [pageMargin, setPageMargin] = useState(36);
 
-  // Handler for light text toggle
-  const handleLightTextToggle = () => {
-    setLightText(!lightText);
-  };
+  // Output size: aspect ratio (0 follows the content), target width/height (px, null for natural size) and
+  // the pixel ratio PNGs are rendered at
+  const [aspectRatio, setAspectRatio] = useState(0);
+  const [targetWidth, setTargetWidth] = useState(null);
+  const [targetHeight, setTargetHeight] = useState(null);
+  const [pixelRatio, setPixelRatio] = useState(2);
+
+  // Space around the content (px)
+  const [padding, setPadding] = useState(32);
+
+  // Text color override ('' keeps the on-screen colors)
+  const [textColor, setTextColor] = useState('');
+
+  // Date-range crop ('YYYY-MM-DD', '' for no limit)
+  const [cropStart, setCropStart] = useState('');
+  const [cropEnd, setCropEnd] = useState('');
+
+  // Scene of the board captured when the modal opens, for the preview
+  const [previewScene, setPreviewScene] = useState(null);
+
+  // State to track export status
+  const [isExporting, setIsExporting] = useState(false);
   
   // Reference to access the theme context
   const themeContextRef = useRef();
   
-  // Handler for modal open/close
+  // Handler for modal open/close; opening captures the board for the preview
   const toggleModal = () => {
+    if (!isModalOpen) {
+      const timelineBoardElement = document.querySelector('.timeline-board');
+      setPreviewScene(timelineBoardElement ? buildExportScene(timelineBoardElement, { padding: 0 }) : null);
+    }
     setIsModalOpen(!isModalOpen);
   };
   
@@ -42,8 +156,186 @@ const ExportButton = ({ theme }) => {
     setIncludeBackground(!includeBackground);
   };
   
-  // Export the TimelineBoard as a PNG
+  // Background color of the export, or null for transparent
+  const exportBackground = includeBackground ? (theme === 'dark' ? '#1c1f3b' : '#ffffff') : null;
+
+  // Crop, padding and size of the export (see calculateExportFrame)
+  const frameOptions = useMemo(() => ({
+    cropStart: parseDateInput(cropStart),
+    cropEnd: parseDateInput(cropEnd, true),
+    padding: padding ?? 0,
+    aspectRatio: aspectRatio || null,
+    width: targetWidth,
+    // A fixed aspect ratio already sets the height
+    height: aspectRatio ? null : targetHeight
+  }), [cropStart, cropEnd, padding, aspectRatio, targetWidth, targetHeight]);
+
+  // Frame and preview image of the board as it will be exported
+  const preview = useMemo(() => {
+    if (!previewScene) return null;
+    const frame = calculateExportFrame(previewScene, frameOptions);
+    const scene = frameExportScene(previewScene, frame, { background: exportBackground, textColor: textColor || null });
+    return {
+      frame,
+      url: `data:image/svg+xml;charset=utf-8,${encodeURIComponent(sceneToSvg(scene))}`
+    };
+  }, [previewScene, frameOptions, exportBackground, textColor]);
+
+  // Size of the exported image, and whether it is too large to draw. Only PNG is drawn to a canvas; vector
+  // formats have no pixel limit
+  const isRaster = format === 'png';
+  const outputRatio = isRaster ? pixelRatio : 1;
+  const outputWidth = preview ? preview.frame.width * outputRatio : 0;
+  const outputHeight = preview ? preview.frame.height * outputRatio : 0;
+  const isTooLarge = isRaster && outputWidth * outputHeight > MAX_EXPORT_PIXELS;
+  
+  // Builds the board's scene fitted into the export frame
+  const getExportScene = (timelineBoardElement) => {
+    const scene = buildExportScene(timelineBoardElement, { padding: 0 });
+    const frame = calculateExportFrame(scene, frameOptions);
+    return {
+      frame,
+      scene: frameExportScene(scene, frame, { background: exportBackground, textColor: textColor || null })
+    };
+  };
+  
+  // Export the TimelineBoard as a vector SVG, built from its rendered shapes and text
+  const exportSvg = (timelineBoardElement) => {
+    const { scene } = getExportScene(timelineBoardElement);
+    const svg = sceneToSvg(scene, { title: 'Timeline' });
+    
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    downloadUrl(url, 'timeline-export.svg');
+    // Revoke after the click has been handled, so the download can still read the blob
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    
+    TimelineLogger.userAction('timelineExported', { format: 'svg', elementCount: scene.elements.length });
+  };
+  
+  // Export the TimelineBoard as a PDF, tiled across as many pages as it needs
+  const exportPdf = (timelineBoardElement) => {
+    const { scene } = getExportScene(timelineBoardElement);
+    const doc = sceneToPdf(scene, {
+      paperSize,
+      orientation: pageOrientation,
+      margin: pageMargin,
+      title: title || 'Timeline'
+    });
+    doc.save('timeline-export.pdf');
+    
+    TimelineLogger.userAction('timelineExported', {
+      format: 'pdf',
+      paperSize,
+      orientation: pageOrientation,
+      pageCount: doc.getNumberOfPages()
+    });
+  };
+  
+  // Export the TimelineBoard as a PowerPoint slide of native shapes and text boxes
+  const exportPptx = async (timelineBoardElement) => {
+    const { scene } = getExportScene(timelineBoardElement);
+    const pptx = sceneToPptx(scene, { title: title || 'Timeline' });
+    await pptx.writeFile({ fileName: 'timeline-export.pptx' });
+    
+    TimelineLogger.userAction('timelineExported', { format: 'pptx', elementCount: scene.elements.length });
+  };
+  
+  // Export the TimelineBoard as a PNG, rendered from a clone placed in the export frame
+  const exportPng = async (timelineBoardElement) => {
+    // Temporarily make the original element visible and get its dimensions
+    const originalDisplay = timelineBoardElement.style.display;
+    const originalPosition = timelineBoardElement.style.position;
+    timelineBoardElement.style.display = 'block';
+    timelineBoardElement.style.position = 'relative';
+    
+    // Get the full width and height of the content
+    const fullWidth = timelineBoardElement.scrollWidth;
+    const fullHeight = timelineBoardElement.scrollHeight;
+    const { frame } = getExportScene(timelineBoardElement);
+    const { crop, scale } = frame;
+    
+    // Create a container the size of the exported image
+    const exportContainer = document.createElement('div');
+    exportContainer.style.position = 'fixed';
+    exportContainer.style.top = '0';
+    exportContainer.style.left = '0';
+    exportContainer.style.width = `${frame.width}px`;
+    exportContainer.style.height = `${frame.height}px`;
+    exportContainer.style.boxSizing = 'border-box';
+    // Set background color on the export container for visual feedback
+    // The actual background in the export is handled by the toPng options
+    exportContainer.style.backgroundColor = exportBackground || 'transparent';
+    exportContainer.style.zIndex = '9999';
+    exportContainer.style.overflow = 'hidden';
+    
+    // Create a window onto the cropped part of the board, where the frame places it
+    const cropWindow = document.createElement('div');
+    cropWindow.style.position = 'absolute';
+    cropWindow.style.left = `${frame.offsetX}px`;
+    cropWindow.style.top = `${frame.offsetY}px`;
+    cropWindow.style.width = `${crop.width * scale}px`;
+    cropWindow.style.height = `${crop.height * scale}px`;
+    cropWindow.style.overflow = 'hidden';
+    
+    // Clone the timeline board, scaled and shifted so the crop fills the window
+    const clone = timelineBoardElement.cloneNode(true);
+    clone.style.position = 'absolute';
+    clone.style.left = `${-crop.x * scale}px`;
+    clone.style.top = `${-crop.y * scale}px`;
+    clone.style.width = `${fullWidth}px`;
+    clone.style.height = `${fullHeight}px`;
+    clone.style.margin = '0';
+    clone.style.padding = '0';
+    clone.style.visibility = 'visible';
+    clone.style.overflow = 'visible';
+    clone.style.transform = `scale(${scale})`;
+    clone.style.transformOrigin = '0 0';
+    
+    // Override the text color of everything in the clone
+    if (textColor) {
+      const textColorStyle = document.createElement('style');
+      textColorStyle.textContent = `.${TEXT_COLOR_CLASS}, .${TEXT_COLOR_CLASS} * { color: ${textColor} !important; }`;
+      exportContainer.appendChild(textColorStyle);
+      clone.classList.add(TEXT_COLOR_CLASS);
+    }
+    
+    // Add the clone to the crop window, and the window to the export container
+    cropWindow.appendChild(clone);
+    exportContainer.appendChild(cropWindow);
+    
+    // Add the export container to the document
+    document.body.appendChild(exportContainer);
+    
+    // Wait for the next frame to ensure rendering is complete
+    await new Promise(resolve => requestAnimationFrame(resolve));
+    
+    try {
+      // Convert the export container to PNG
+      const dataUrl = await toPng(exportContainer, {
+        backgroundColor: exportBackground || 'transparent',
+        width: frame.width,
+        height: frame.height,
+        pixelRatio
+      });
+      
+      // Create and trigger download
+      downloadUrl(dataUrl, 'timeline-export.png');
+      TimelineLogger.userAction('timelineExported', {
+        format: 'png',
+        width: frame.width * pixelRatio,
+        height: frame.height * pixelRatio
+      });
+    } finally {
+      // Clean up
+      document.body.removeChild(exportContainer);
+      timelineBoardElement.style.display = originalDisplay;
+      timelineBoardElement.style.position = originalPosition;
+    }
+  };
+  
+  // Export the TimelineBoard in the selected format
   const handleExport = async () => {
+    if (isTooLarge) return;
     setIsExporting(true);
     
     try {
@@ -56,105 +348,15 @@ const ExportButton = ({ theme }) => {
         return;
       }
       
-      // Temporarily make the original element visible and get its dimensions
-      const originalDisplay = timelineBoardElement.style.display;
-      const originalPosition = timelineBoardElement.style.position;
-      timelineBoardElement.style.display = 'block';
-      timelineBoardElement.style.position = 'relative';
-      
-      // Get the full width and height of the content
-      const fullWidth = timelineBoardElement.scrollWidth;
-      const fullHeight = timelineBoardElement.scrollHeight;
-      const padding = 32; // Add some padding around the content
-      
-      // Calculate container dimensions with extra padding
-      const containerWidth = fullWidth + (padding * 2);
-      const containerHeight = fullHeight + (padding * 2);
-      
-      // Create a container for the export
-      const exportContainer = document.createElement('div');
-      exportContainer.style.position = 'fixed';
-      exportContainer.style.top = '0';
-      exportContainer.style.left = '0';
-      exportContainer.style.width = `${containerWidth}px`;
-      exportContainer.style.height = `${containerHeight}px`;
-      exportContainer.style.display = 'flex';
-      exportContainer.style.justifyContent = 'center';
-      exportContainer.style.alignItems = 'center';
-      exportContainer.style.boxSizing = 'border-box';
-      // Set background color on the export container for visual feedback
-      // The actual background in the export is handled by the toPng options
-      exportContainer.style.backgroundColor = includeBackground 
-        ? (theme === 'dark' ? '#1c1f3b' : '#ffffff')
-        : 'transparent';
-      exportContainer.style.zIndex = '9999';
-      exportContainer.style.overflow = 'hidden';
-      
-      // Create an inner container to ensure proper centering
-      const innerContainer = document.createElement('div');
-      innerContainer.style.position = 'relative';
-      innerContainer.style.width = `${fullWidth}px`;
-      innerContainer.style.height = `${fullHeight}px`;
-      innerContainer.style.display = 'flex';
-      innerContainer.style.justifyContent = 'center';
-      innerContainer.style.alignItems = 'center';
-      
-      // Clone the timeline board
-      const clone = timelineBoardElement.cloneNode(true);
-      clone.style.position = 'relative';
-      clone.style.width = '100%';
-      clone.style.height = 'auto';
-      clone.style.margin = '0';
-      clone.style.padding = '0';
-      clone.style.visibility = 'visible';
-      clone.style.overflow = 'visible';
-      
-      // Add the clone to the inner container
-      innerContainer.appendChild(clone);
-      
-      // Add the inner container to the export container
-      exportContainer.appendChild(innerContainer);
-      
-      // Add the export container to the document
-      document.body.appendChild(exportContainer);
-      
-      // Wait for the next frame to ensure rendering is complete
-      await new Promise(resolve => requestAnimationFrame(resolve));
-      
-      // Options for the image export
-      const options = {
-        backgroundColor: includeBackground ? (theme === 'dark' ? '#1c1f3b' : '#ffffff') : 'transparent',
-        width: containerWidth,
-        height: containerHeight,
-        pixelRatio: 2, // Higher quality
-        style: {
-          margin: '0',
-          padding: '0',
-          transform: 'none',
-          position: 'static',
-          visibility: 'visible',
-          overflow: 'hidden',
-          display: 'flex',
-          justifyContent: 'center',
-          alignItems: 'center'
-        }
-      };
-      
-      // Convert the export container to PNG
-      const dataUrl = await toPng(exportContainer, options);
-      
-      // Clean up
-      document.body.removeChild(exportContainer);
-      timelineBoardElement.style.display = originalDisplay;
-      timelineBoardElement.style.position = originalPosition;
-      
-      // Create and trigger download
-      const link = document.createElement('a');
-      link.download = 'timeline-export.png';
-      link.href = dataUrl;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+      if (format === 'svg') {
+        exportSvg(timelineBoardElement);
+      } else if (format === 'pdf') {
+        exportPdf(timelineBoardElement);
+      } else if (format === 'pptx') {
+        await exportPptx(timelineBoardElement);
+      } else {
+        await exportPng(timelineBoardElement);
+      }
       
       setIsExporting(false);
       toggleModal();
@@ -180,7 +382,7 @@ const ExportButton = ({ theme }) => {
         title="Export Timeline"
         show={isModalOpen}
         onClose={toggleModal}
-        width="400px"
+        width="480px"
       >
         <Box padding="medium">
           <Flex direction="column" gap={16} align="start">
@@ -192,17 +394,142 @@ const ExportButton = ({ theme }) => {
               Configure how you want to export your timeline.
             </Text>
             
+            <Flex direction="column" gap={8} align="start">
+              {EXPORT_FORMATS.map(option => (
+                <RadioButton
+                  key={option.value}
+                  name="export-format"
+                  value={option.value}
+                  text={option.label}
+                  checked={format === option.value}
+                  onSelect={() => setFormat(option.value)}
+                />
+              ))}
+            </Flex>
+            
+            {format === 'pdf' && (
+              <Flex direction="column" gap={8} align="start">
+                <Text type="secondary">Paper size</Text>
+                <ButtonGroup size="small" options={PDF_PAPER_SIZES} value={paperSize} onSelect={setPaperSize} />
+                <Text type="secondary">Orientation</Text>
+                <ButtonGroup
+                  size="small"
+                  options={PDF_ORIENTATIONS}
+                  value={pageOrientation}
+                  onSelect={setPageOrientation}
+                />
+                <Text type="secondary">Margins</Text>
+                <ButtonGroup size="small" options={PDF_MARGINS} value={pageMargin} onSelect={setPageMargin} />
+              </Flex>
+            )}
+            
+            <Flex direction="column" gap={8} align="start">
+              <Text type="secondary">Aspect ratio</Text>
+              <ButtonGroup size="small" options={EXPORT_ASPECT_RATIOS} value={aspectRatio} onSelect={setAspectRatio} />
+              <Flex gap={8}>
+                <NumberField
+                  id="export-width"
+                  label="Width (px)"
+                  size="small"
+                  min={1}
+                  max={MAX_EXPORT_SIDE}
+                  placeholder="Auto"
+                  value={targetWidth}
+                  onChange={setTargetWidth}
+                />
+                <NumberField
+                  id="export-height"
+                  label="Height (px)"
+                  size="small"
+                  min={1}
+                  max={MAX_EXPORT_SIDE}
+                  placeholder="Auto"
+                  value={aspectRatio ? null : targetHeight}
+                  onChange={setTargetHeight}
+                  disabled={!!aspectRatio}
+                />
+              </Flex>
+              {format === 'png' && (
+                <>
+                  <Text type="secondary">Pixel ratio</Text>
+                  <ButtonGroup size="small" options={PIXEL_RATIOS} value={pixelRatio} onSelect={setPixelRatio} />
+                </>
+              )}
+              <NumberField
+                id="export-padding"
+                label="Padding (px)"
+                size="small"
+                min={0}
+                max={MAX_EXPORT_PADDING}
+                value={padding}
+                onChange={setPadding}
+              />
+            </Flex>
+            
+            <Flex direction="column" gap={8} align="start">
+              <Text type="secondary">Text color</Text>
+              <ButtonGroup size="small" options={TEXT_COLORS} value={textColor} onSelect={setTextColor} />
+            </Flex>
+            
+            {/* Cropping needs a single date axis to measure against */}
+            {previewScene?.axis && (
+              <Flex gap={8}>
+                <TextField
+                  id="export-crop-start"
+                  title="From"
+                  type="date"
+                  size="small"
+                  value={cropStart}
+                  onChange={setCropStart}
+                />
+                <TextField
+                  id="export-crop-end"
+                  title="To"
+                  type="date"
+                  size="small"
+                  value={cropEnd}
+                  onChange={setCropEnd}
+                />
+              </Flex>
+            )}
+            
             <Checkbox
               label="Include background"
               checked={includeBackground}
               onChange={handleBackgroundToggle}
             />
             
+            {preview && (
+              <Flex direction="column" gap={8} align="start" style={{ width: '100%' }}>
+                <Text type="secondary">
+                  Preview: {outputWidth} × {outputHeight} px
+                </Text>
+                <img
+                  src={preview.url}
+                  alt="Export preview"
+                  style={{
+                    maxWidth: '100%',
+                    maxHeight: '160px',
+                    border: '1px solid var(--ui-border-color)',
+                    borderRadius: '4px'
+                  }}
+                />
+              </Flex>
+            )}
+            
+            {isTooLarge && (
+              <AttentionBox
+                type="danger"
+                title="Export is too large"
+                text={`${outputWidth} × ${outputHeight} px is over the limit of ${MAX_EXPORT_PIXELS.toLocaleString()} pixels. Reduce the width, height, pixel ratio or padding.`}
+              />
+            )}
+            
             <Flex justify="end" style={{ width: '100%', marginTop: '16px' }} gap={8}>
               <Button kind="tertiary" onClick={toggleModal}>
                 Cancel
               </Button>
-              <Button onClick={handleExport} isLoading={isExporting}>
+              <Button onClick={handleExport} isLoading={isExporting} disabled={isTooLarge}>
                 {isExporting ? 'Exporting...' : 'Export'}
               </Button>
             </Flex>
@@ -1,8 +1,22 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { EditableText, Box } from '@vibe/core';
 import { getShapeStyles } from '../../functions/getShapeStyles';
+import findAlignmentSnap from '../../functions/findAlignmentSnap';
+import { CRITICAL_PATH_COLOR } from '../../functions/getConnectorColor';
 import './DraggableBoardItem.css';
 
+/**
+ * Describes an item's slack for its card tooltip
+ * @param {number} slackDays - Slack in whole days; negative when the item already delays a successor
+ * @returns {string} Tooltip line
+ */
+const describeSlack = (slackDays) => {
+  const days = (count) => `${count} day${count === 1 ? '' : 's'}`;
+  if (slackDays > 0) return `Slack: ${days(slackDays)}`;
+  if (slackDays < 0) return `Critical path: ${days(-slackDays)} behind schedule`;
+  return 'Critical path: no slack';
+};
+
 /**
  * DraggableBoardItem component that renders a draggable item from monday.com board
  * 
@@ -15,10 +29,25 @@ import './DraggableBoardItem.css';
  * @param {Date} props.date - Date associated with the item
  * @param {string} props.shape - Shape of the item ('rectangle', 'circle')
  * @param {Function} props.onClick - Optional click handler
- * @param {Function} props.onLabelChange - Handler for label changes
+ * @param {Function} props.onLabelChange - Handler for label changes (id, newLabel, baseLabel); baseLabel is the
+ *   name the item had when editing started
+ * @param {boolean} props.labelsReadOnly - Whether the item name can be edited
  * @param {Function} props.onRemove - Handler for removing the item
  * @param {boolean} props.showItemDates - Whether to show editable date text
  * @param {Function} props.onPositionChange - Callback when item position changes (id, {x, y})
+ * @param {Function} props.onDragEnd - Callback when a drag finishes (id, {x, y, axisPosition}); axisPosition is
+ *   the pointer position as a percentage of the timeline axis length
+ * @param {Object} props.savedLayout - Persisted offset and size for this item ({x, y, width, height}), if any
+ * @param {Function} props.onLayoutChange - Callback after a drag or resize with the values to persist
+ *   (id, {x, y}) or (id, {width, height})
+ * @param {string} props.orientation - 'horizontal' or 'vertical'; vertical cards are centered on their date
+ * @param {Function} props.measureRef - Ref callback that reports the card element to the layout engine
+ * @param {boolean} props.isSelected - Whether the card is selected (outlined)
+ * @param {number} props.snapGridSize - Grid spacing in px that dragged cards snap to; 0 for free dragging
+ * @param {Function} props.onAlignmentGuides - Called during a drag with the y positions (container px) of the
+ *   guides to draw where the card lines up with a neighbor, and with [] when the drag ends
+ * @param {boolean} props.isCritical - Whether the item is on the critical path (ringed)
+ * @param {number} [props.slackDays] - The item's slack in days, shown in its tooltip; undefined when not analyzed
  * @returns {JSX.Element} - Draggable board item component
  */
 const DraggableBoardItem = ({ 
@@ -27,18 +56,34 @@ const DraggableBoardItem = ({
   shape = 'rectangle', 
   onClick, 
   onLabelChange, 
+  labelsReadOnly = false,
   onRemove, 
   showItemDates = false,
-  onPositionChange // New prop for notifying position changes
+  onPositionChange, // New prop for notifying position changes
+  onDragEnd,
+  savedLayout,
+  onLayoutChange,
+  orientation = 'horizontal',
+  measureRef,
+  isSelected = false,
+  snapGridSize = 0,
+  onAlignmentGuides,
+  isCritical = false,
+  slackDays
 }) => {
+  const savedX = savedLayout?.x;
+  const savedY = savedLayout?.y;
+  const savedWidth = savedLayout?.width;
+  const savedHeight = savedLayout?.height;
+
   // Initialize size based on shape - circles should be square, ovals can be flexible
   const [size, setSize] = useState(() => ({
-    width: shape === 'circle' ? 100 : 140,
-    height: shape === 'circle' ? 100 : (showItemDates ? 50 : 30)
+    width: savedWidth ?? (shape === 'circle' ? 100 : 140),
+    height: savedHeight ?? (shape === 'circle' ? 100 : (showItemDates ? 50 : 30))
   }));
   
   // Position and drag state
-  const [position, setPosition] = useState({ x: 0, y: 0 });
+  const [position, setPosition] = useState(() => ({ x: savedX ?? 0, y: savedY ?? 0 }));
   const [isDragging, setIsDragging] = useState(false);
   const [isResizing, setIsResizing] = useState(false);
   const [isHovered, setIsHovered] = useState(false);
@@ -47,12 +92,16 @@ const DraggableBoardItem = ({
   const startSize = useRef({ width: 0, height: 0 });
   const itemRef = useRef(null);
   const containerRef = useRef(null); // Ref to the timeline container
+  const lastDragPosition = useRef(null); // Last position reported during the current drag
+  const labelEditBase = useRef(null); // Item name when the current label edit started
+  const lastResizeSize = useRef(null); // Last size set during the current resize
+  const dragAlignment = useRef(null); // Card and neighbor extents captured when the current drag started
   
   // Calculate initial position based on the item's date
   useEffect(() => {
     if (itemRef.current && containerRef.current) {
       // Center the item horizontally by default (50% of the container)
-      const initialX = 50;
+      const initialX = savedX ?? 50;
       setPosition(prev => ({
         x: initialX,
         y: prev.y
@@ -60,25 +109,41 @@ const DraggableBoardItem = ({
     }
   }, [size.width]);
 
+  // Apply a saved offset that arrives after mount (the layout loads asynchronously); a cleared offset
+  // (auto-arrange, reset) puts the card back where the automatic layout places it
+  useEffect(() => {
+    if (savedX === undefined && savedY === undefined) {
+      setPosition(prev => (prev.y === 0 ? prev : { x: 50, y: 0 }));
+      return;
+    }
+    setPosition(prev => ({
+      x: savedX ?? prev.x,
+      y: savedY ?? prev.y
+    }));
+  }, [savedX, savedY]);
+
   const itemColor = item.originalItem.group?.color || 'primary';
 
-  // Format date as needed, e.g., "Jul 18, 2025"
-  const formattedDate = date 
-    ? new Intl.DateTimeFormat('en-US', { dateStyle: 'short'}).format(date)
-    : null;
+  // Format date as needed, e.g., "Jul 18, 2025"; range items show their full span
+  const dateFormatter = new Intl.DateTimeFormat('en-US', { dateStyle: 'short'});
+  const formattedDate = item.isRange && item.startDate && item.endDate
+    ? `${dateFormatter.format(item.startDate)} – ${dateFormatter.format(item.endDate)}`
+    : date
+      ? dateFormatter.format(date)
+      : null;
 
   const shapeStyles = getShapeStyles(shape);
 
-  // Update size when shape or showItemDates changes
+  // Update size when shape or showItemDates changes; a saved size wins over the defaults
   useEffect(() => {
-    const newWidth = shape === 'circle' ? 100 : 140; // Doubled rectangle width from 140 to 280
-    const newHeight = shape === 'circle' ? 100 : (showItemDates ? 80 : 60);
-    
+    const newWidth = savedWidth ?? (shape === 'circle' ? 100 : 140); // Doubled rectangle width from 140 to 280
+    const newHeight = savedHeight ?? (shape === 'circle' ? 100 : (showItemDates ? 80 : 60));
+
     setSize({
       width: newWidth,
       height: newHeight
     });
-  }, [shape, showItemDates]);
+  }, [shape, showItemDates, savedWidth, savedHeight]);
 
   const handleMouseDown = (e) => {
     // Only start drag on primary mouse button
@@ -90,6 +155,24 @@ const DraggableBoardItem = ({
     // Save initial position
     dragStartPos.current = { x: e.clientX, y: e.clientY };
     dragOffset.current = { ...position };
+    lastDragPosition.current = null;
+    
+    // Capture where the other cards are, for alignment guides (they don't move during the drag)
+    const container = containerRef.current;
+    const card = itemRef.current;
+    if (container && card) {
+      const containerTop = container.getBoundingClientRect().top;
+      const cardRect = card.getBoundingClientRect();
+      dragAlignment.current = {
+        baseTop: cardRect.top - containerTop - position.y,
+        height: cardRect.height,
+        neighbors: Array.from(container.querySelectorAll('[data-card-id]'))
+          .filter(element => element !== card)
+          .map(element => element.getBoundingClientRect())
+          .filter(rect => rect.height > 0)
+          .map(rect => ({ top: rect.top - containerTop, bottom: rect.bottom - containerTop }))
+      };
+    }
     
     // Set up event listeners for drag
     document.addEventListener('mousemove', handleMouseMove);
@@ -118,7 +201,22 @@ const DraggableBoardItem = ({
     const newX = ((containerX - minX) / (maxX - minX)) * 100; // Convert to 0-100% range within bounds
     
     // Calculate the new Y position with bounds checking
-    const newY = dragOffset.current.y + dy;
+    let newY = dragOffset.current.y + dy;
+    
+    // Line up with a neighboring card, or land on the snap grid
+    if (dragAlignment.current) {
+      const { baseTop, height, neighbors } = dragAlignment.current;
+      const top = baseTop + newY;
+      const { delta, guides } = findAlignmentSnap({ top, bottom: top + height }, neighbors, { gridSize: snapGridSize });
+      newY += delta;
+      onAlignmentGuides?.(guides);
+    }
+    
+    // Pointer position along the full axis (top to bottom when vertical), used to derive a date on drop
+    const axisPosition = orientation === 'vertical'
+      ? Math.max(0, Math.min(100, ((e.clientY - containerRect.top) / (containerRect.height || 1)) * 100))
+      : Math.max(0, Math.min(100, ((e.clientX - containerLeft) / containerWidth) * 100));
+    lastDragPosition.current = { x: newX, y: newY, axisPosition };
     
     // Update position with both X and Y changes
     setPosition({
@@ -144,7 +242,8 @@ const DraggableBoardItem = ({
     // Save initial position and size
     dragStartPos.current = { x: e.clientX, y: e.clientY };
     startSize.current = { width: size.width, height: size.height };
-    
+    lastResizeSize.current = null;
+
     // Set up event listeners for resize
     document.addEventListener('mousemove', handleResizeMouseMove);
     document.addEventListener('mouseup', handleResizeMouseUp, { once: true });
@@ -161,19 +260,25 @@ const DraggableBoardItem = ({
     const minSize = 50;
     const newWidth = Math.max(minSize, startSize.current.width + dx);
     const newHeight = Math.max(minSize, startSize.current.height + dy);
-    
+
+    lastResizeSize.current = { width: newWidth, height: newHeight };
     setSize({
       width: newWidth,
       height: newHeight
     });
   };
-  
+
   const handleResizeMouseUp = () => {
     // Clean up event listeners
     document.removeEventListener('mousemove', handleResizeMouseMove);
     document.removeEventListener('mouseup', handleResizeMouseUp);
-    
+
     setIsResizing(false);
+
+    if (lastResizeSize.current) {
+      onLayoutChange?.(item.id, lastResizeSize.current);
+    }
+    lastResizeSize.current = null;
   };
 
   const handleMouseUp = () => {
@@ -184,6 +289,15 @@ const DraggableBoardItem = ({
     document.removeEventListener('mouseup', handleResizeMouseUp);
     
     setIsDragging(false);
+    dragAlignment.current = null;
+    onAlignmentGuides?.([]);
+    
+    // Only report drags that actually moved the item
+    if (lastDragPosition.current) {
+      onLayoutChange?.(item.id, { x: lastDragPosition.current.x, y: lastDragPosition.current.y });
+      onDragEnd?.(item.id, lastDragPosition.current);
+    }
+    lastDragPosition.current = null;
   };
   
   // Clean up event listeners on unmount
@@ -202,6 +316,7 @@ const DraggableBoardItem = ({
         if (el) {
           containerRef.current = el.closest('.timeline-container');
         }
+        measureRef?.(el);
       }}
       style={{
         position: 'absolute',
@@ -211,9 +326,11 @@ const DraggableBoardItem = ({
         height: `${size.height}px`,
         cursor: isDragging ? 'grabbing' : 'grab',
         zIndex: isDragging ? 1000 : 'auto',
-        transform: 'translateX(-50%)', // Center the item horizontally
+        // Center the item horizontally; vertical cards are also centered on their date
+        transform: orientation === 'vertical' ? 'translate(-50%, -50%)' : 'translateX(-50%)',
         transition: isDragging ? 'none' : 'transform 0.2s ease, box-shadow 0.2s ease, left 0.2s ease',
       }}
+      title={slackDays !== undefined ? `${item.label}\n${describeSlack(slackDays)}` : undefined}
       onMouseDown={handleMouseDown}
       onMouseEnter={() => setIsHovered(true)}
       onMouseLeave={() => setIsHovered(false)}
@@ -231,9 +348,14 @@ const DraggableBoardItem = ({
             backgroundColor: itemColor,
             ...shapeStyles,
             border: '1px solid rgba(0, 0, 0, 0.1)',
-            boxShadow: isDragging 
-              ? '0 4px 12px rgba(0, 0, 0, 0.15), 0 0 0 1px rgba(0, 0, 0, 0.05)' 
-              : '0 2px 6px rgba(0, 0, 0, 0.08), 0 0 0 1px rgba(0, 0, 0, 0.03)',
+            boxShadow: [
+              isCritical && `0 0 0 3px ${CRITICAL_PATH_COLOR}`,
+              isDragging 
+                ? '0 4px 12px rgba(0, 0, 0, 0.15), 0 0 0 1px rgba(0, 0, 0, 0.05)' 
+                : '0 2px 6px rgba(0, 0, 0, 0.08), 0 0 0 1px rgba(0, 0, 0, 0.03)'
+            ].filter(Boolean).join(', '),
+            outline: isSelected ? '2px solid var(--primary-color)' : 'none',
+            outlineOffset: '2px',
             transition: 'box-shadow 0.2s, opacity 0.2s, border-color 0.2s',
             userSelect: 'none',
             width: '100%',
@@ -355,6 +477,17 @@ const DraggableBoardItem = ({
           }}>
             <EditableText
               value={item.originalItem.name}
+              readOnly={labelsReadOnly}
+              onEditModeChange={(isEditMode) => {
+                if (isEditMode) labelEditBase.current = item.originalItem.name;
+              }}
+              onChange={(newLabel) => {
+                const baseLabel = labelEditBase.current ?? item.originalItem.name;
+                labelEditBase.current = null;
+                if (newLabel !== baseLabel) {
+                  onLabelChange?.(item.id, newLabel, baseLabel);
+                }
+              }}
               style={{
                 width: '100%',
                 textAlign: 'center',
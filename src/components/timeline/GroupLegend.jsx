@@ -1,5 +1,7 @@
 import React from 'react';
 import { Flex, Text, Box } from '@vibe/core';
+import getGlyphStyle from '../../functions/getGlyphStyle';
+import getDateColumnGlyph from '../../functions/getDateColumnGlyph';
 
 /**
  * GroupLegend component that displays a legend of unique group names and their colors
@@ -7,9 +9,10 @@ import { Flex, Text, Box } from '@vibe/core';
  * @param {Object} props - Component props
  * @param {Array} props.boardItems - Array of board items with group information
  * @param {Set} props.hiddenItemIds - Set of hidden item IDs to filter out
+ * @param {Array} props.dateColumns - Date columns drawn as milestones; each gets a glyph entry
  * @returns {JSX.Element} - Group legend component
  */
-const GroupLegend = ({ boardItems = [], hiddenItemIds = new Set() }) => {
+const GroupLegend = ({ boardItems = [], hiddenItemIds = new Set(), dateColumns = [] }) => {
   // Get unique groups from visible boardItems
   const uniqueGroups = React.useMemo(() => {
     const groupsMap = new Map();
@@ -36,8 +39,8 @@ const GroupLegend = ({ boardItems = [], hiddenItemIds = new Set() }) => {
     return groups;
   }, [boardItems, hiddenItemIds]); // Add hiddenItemIds as dependency
 
-  if (uniqueGroups.length === 0) {
-    return null; // Don't render if no groups
+  if (uniqueGroups.length === 0 && dateColumns.length === 0) {
+    return null; // Don't render if there is nothing to explain
   }
 
   return (
@@ -71,6 +74,23 @@ const GroupLegend = ({ boardItems = [], hiddenItemIds = new Set() }) => {
           </Flex>
         ))}
       </Flex>
+
+      {/* Glyph used for each date column's milestones */}
+      {dateColumns.length > 0 && (
+        <Flex wrap gap="small" justify="center" style={{ marginTop: '8px' }}>
+          {dateColumns.map((column, index) => {
+            const { glyph, color } = getDateColumnGlyph(index);
+            return (
+              <Flex key={column.id} align="center" gap="xsmall" marginRight="medium">
+                <div style={{ ...getGlyphStyle(glyph, color, 12), marginRight: '8px' }} />
+                <Text type={Text.types.TEXT2}>
+                  {column.title}
+                </Text>
+              </Flex>
+            );
+          })}
+        </Flex>
+      )}
     </Box>
   );
 };
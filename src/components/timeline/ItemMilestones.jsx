@@ -0,0 +1,87 @@
+import React from 'react';
+import formatDate from '../../functions/formatDate';
+import getGlyphStyle from '../../functions/getGlyphStyle';
+
+// Track geometry in pixels
+const ROW_HEIGHT = 14;
+const AXIS_OFFSET = 14;
+
+/**
+ * ItemMilestones renders each item's dates from several date columns as glyphs,
+ * joined by a line in the item's group color to show its progression across milestones
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.tracks - Tracks from getItemMilestones
+ * @param {string} props.timelineTop - CSS top of the timeline axis (e.g. '25%'), or its CSS left when vertical
+ * @param {string} props.side - Side of the axis to draw on ('above' or 'below'; left or right when vertical)
+ * @param {Set} props.hiddenItemIds - Set of hidden item IDs
+ * @param {string} props.dateFormat - Format for dates in glyph tooltips
+ * @param {string} props.orientation - 'horizontal' or 'vertical' (time flows top to bottom)
+ * @returns {JSX.Element} - Milestone tracks
+ */
+const ItemMilestones = ({
+  tracks = [],
+  timelineTop,
+  side = 'below',
+  hiddenItemIds = new Set(),
+  dateFormat = 'mdy',
+  orientation = 'horizontal',
+}) => {
+  const isVertical = orientation === 'vertical';
+  // Along-axis property and its extent, and the cross-axis property
+  const along = isVertical ? 'top' : 'left';
+  const alongSize = isVertical ? 'height' : 'width';
+  const across = isVertical ? 'left' : 'top';
+
+  return (
+    <>
+      {tracks
+        .filter(track => !hiddenItemIds.has(track.id))
+        .map(track => {
+          const rowOffset = AXIS_OFFSET + track.row * ROW_HEIGHT;
+          const centerOffset = side === 'above' ? -rowOffset : rowOffset;
+          const crossPosition = `calc(${timelineTop} + ${centerOffset}px)`;
+          const groupColor = track.originalItem?.group?.color || 'var(--ui-border-color)';
+
+          return (
+            <div key={`milestones-${track.id}`} id={`item-milestones-${track.id}`}>
+              {/* Line joining the item's milestones in date order */}
+              {track.milestones.length > 1 && (
+                <div
+                  style={{
+                    position: 'absolute',
+                    [along]: `${track.startPosition}%`,
+                    [alongSize]: `${track.endPosition - track.startPosition}%`,
+                    [across]: crossPosition,
+                    [isVertical ? 'width' : 'height']: '2px',
+                    transform: isVertical ? 'translateX(-50%)' : 'translateY(-50%)',
+                    backgroundColor: groupColor,
+                    opacity: 0.6,
+                    zIndex: 3,
+                  }}
+                />
+              )}
+
+              {track.milestones.map(milestone => (
+                <div
+                  key={`${track.id}-${milestone.columnId}`}
+                  title={`${track.label} - ${milestone.columnTitle}: ${formatDate(milestone.date, dateFormat)}`}
+                  style={{
+                    position: 'absolute',
+                    [along]: `${milestone.position}%`,
+                    [across]: crossPosition,
+                    transform: 'translate(-50%, -50%)',
+                    zIndex: 4,
+                  }}
+                >
+                  <div style={getGlyphStyle(milestone.glyph, milestone.color)} />
+                </div>
+              ))}
+            </div>
+          );
+        })}
+    </>
+  );
+};
+
+export default ItemMilestones;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { Button, Modal, Box, Flex, Text } from '@vibe/core';
+import formatDate from '../../functions/formatDate';
+
+/**
+ * RescheduleConfirmModal asks the user to confirm moving an item to a new date
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.pending - Pending change ({item, newDate}), or null when closed
+ * @param {string} props.columnTitle - Title of the date column that will be updated
+ * @param {string} props.dateFormat - Format for displaying dates
+ * @param {Function} props.onConfirm - Called when the user confirms the change
+ * @param {Function} props.onCancel - Called when the user dismisses the change
+ * @returns {JSX.Element} - Confirmation modal
+ */
+const RescheduleConfirmModal = ({ pending, columnTitle, dateFormat = 'mdy', onConfirm, onCancel }) => {
+  return (
+    <Modal
+      id="reschedule-modal"
+      title="Reschedule item"
+      show={!!pending}
+      onClose={onCancel}
+      width="400px"
+    >
+      <Box padding="medium">
+        {pending && (
+          <Flex direction="column" gap={16} align="start">
+            <Text type={Text.types.TEXT1}>
+              Move "{pending.item.label}" from {formatDate(new Date(pending.item.date), dateFormat)} to {formatDate(pending.newDate, dateFormat)}?
+            </Text>
+            <Text type={Text.types.TEXT2} color={Text.colors.SECONDARY}>
+              This updates the "{columnTitle}" column on the board.
+            </Text>
+            <Flex justify="end" style={{ width: '100%', marginTop: '16px' }} gap={8}>
+              <Button kind="tertiary" onClick={onCancel}>
+                Cancel
+              </Button>
+              <Button onClick={onConfirm}>
+                Reschedule
+              </Button>
+            </Flex>
+          </Flex>
+        )}
+      </Box>
+    </Modal>
+  );
+};
+
+export default RescheduleConfirmModal;
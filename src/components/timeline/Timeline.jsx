@@ -1,33 +1,90 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Button, Checkbox, Flex, Menu, MenuButton, MenuDivider, MenuItem, Text } from '@vibe/core';
 import getMarkerStyles from '../../functions/getMarkerStyles';
 import generateTimelineMarkersFunction from '../../functions/generateTimelineMarkers';
 import processBoardItemsWithMarkers from '../../functions/processBoardItemsWithMarkers';
-import calculateItemSpacing from '../../functions/calculateItemSpacing';
-import { calculateTimelineItemPositions } from '../../functions/calculateTimelineItemPositions';
+import calculateCardLayout from '../../functions/calculateCardLayout';
 import { renderTimelineItems } from './renderTimelineItems.jsx'
-import LeaderLineConnector from './LeaderLineConnector';
-import calculateScaleMarkers from '../../functions/calculateScaleMarkers';
+import TimelineConnectors from './TimelineConnectors';
+import calculateConnectors from '../../functions/calculateConnectors';
+import TimelineDependencies from './TimelineDependencies';
+import getItemDependencies from '../../functions/getItemDependencies';
+import calculateDependencyArrows from '../../functions/calculateDependencyArrows';
+import calculateCriticalPath from '../../functions/calculateCriticalPath';
+import TimelineSpanBar from './TimelineSpanBar';
+import calculateSpanRows from '../../functions/calculateSpanRows';
+import ItemMilestones from './ItemMilestones';
+import getItemMilestones from '../../functions/getItemMilestones';
+import snapDateToScale from '../../functions/snapDateToScale';
+import { calculateScaleHeaders } from '../../functions/timelineScale';
+import TimelineScaleHeader from './TimelineScaleHeader';
+import groupItemsIntoLanes from '../../functions/groupItemsIntoLanes';
+import useTimelineZoom from '../../hooks/useTimelineZoom';
+import useMeasuredCardSizes from '../../hooks/useMeasuredCardSizes';
 import TimelineLogger from '../../utils/logger';
 
+// Vertical orientation: minimum axis height, and height added per visible item (px)
+const VERTICAL_MIN_HEIGHT = 480;
+const VERTICAL_ITEM_SPACING = 72;
+// Horizontal orientation: minimum room on each side of the axis (date labels, scale header), and margin
+// kept past the outermost card row (px)
+const MIN_SIDE_SPACE = 88;
+const EDGE_MARGIN = 16;
+// Spacing of the optional snap grid for dragged cards (px)
+const SNAP_GRID_SIZE = 20;
+// Swimlanes: room for the shared scale header above the lanes, each lane's header, and the minimum room on
+// each side of a lane's axis (px)
+const LANE_SCALE_HEIGHT = 56;
+const LANE_HEADER_HEIGHT = 28;
+const LANE_MIN_SIDE_SPACE = 24;
+// Layout of a collapsed lane, whose cards are not drawn
+const COLLAPSED_LANE_LAYOUT = { items: [], extents: { above: 0, below: 0 } };
+
 /**
- * Timeline component that displays a horizontal timeline with markers and draggable items
+ * Timeline component that displays a horizontal (or vertical) timeline with markers and draggable items.
+ * The axis can be zoomed (ctrl/cmd+wheel or pinch) and panned (dragging the axis); everything is positioned
+ * against the visible window, and while zoomed in the scale steps automatically.
+ * Items linked through a dependency column are joined by dependency arrows.
+ * In swimlane mode each lane gets its own axis line, with its cards drawn and laid out as on the single axis.
  * 
  * @param {Object} props - Component props
  * @param {Date} props.startDate - Start date of the timeline
  * @param {Date} props.endDate - End date of the timeline
- * @param {string} props.scale - Scale of the timeline (day, week, month, quarter, year, auto)
+ * @param {string} props.scale - Scale of the timeline ('days', 'weeks', 'months', 'quarters', 'years', 'auto' or 'none')
  * @param {Array} props.items - Array of items to display on the timeline
  * @param {Array} props.boardItems - Array of board items from monday.com for extracting unique dates
  * @param {string} props.dateColumn - The ID of the column containing date values
+ * @param {string} props.dateColumnType - Type of the date column from board metadata (e.g. 'date', 'timeline')
  * @param {string} props.dateFormat - Format for displaying dates ('mdyy', 'mmddyyyy', 'md', 'mdy')
  * @param {string} props.datePosition - Position and style of date markers ('angled-above', 'horizontal-above', 'angled-below', 'horizontal-below')
  * @param {Function} props.onItemMove - Callback when an item is moved
- * @param {Function} props.onLabelChange - Callback when an item label is changed
+ * @param {Function} props.onLabelChange - Callback when an item label is changed (itemId, newLabel, baseLabel)
+ * @param {boolean} props.labelsReadOnly - Whether item labels are read-only
  * @param {Function} props.onHideItem - Callback when an item is hidden/removed
+ * @param {Function} props.onShowItem - Callback with (itemId) to bring a hidden item back
+ * @param {Function} props.onShowAllItems - Callback to bring every hidden item back
  * @param {Set} props.hiddenItemIds - Set of hidden item IDs
- * @param {string} props.position - Position of timeline items ('above', 'below', or 'alternate')
+ * @param {string} props.position - Position of timeline items ('above', 'below', or 'alternate'; 'left' and
+ *   'right' are accepted as aliases of 'above' and 'below', which mean left and right of a vertical axis)
  * @param {string} props.shape - Shape of timeline items ('rectangle', 'circle', 'diamond')
  * @param {boolean} props.showItemDates - Whether to show editable dates on timeline items
+ * @param {string} props.rangeDisplay - How range items are drawn: 'point' (single end-date marker) or 'span' (duration bar)
+ * @param {Array} props.milestoneColumns - Date columns whose dates are drawn as connected milestones per item
+ * @param {boolean} props.dragToReschedule - Whether dropping a dragged item proposes a new date for it
+ * @param {Function} props.onRescheduleRequest - Callback with (item, newDate) when a drop lands on a different date
+ * @param {Object} props.itemLayouts - Persisted card offsets and sizes keyed by item ID
+ * @param {Function} props.onLayoutChange - Callback with (itemId, changes) after a card is dragged or resized
+ * @param {Function} props.onResetItemLayout - Callback with (itemId) to return one card to the automatic layout
+ * @param {Function} props.onAutoArrange - Callback to drop all dragged offsets and re-arrange every card
+ * @param {string} props.laneBy - Swimlane mode: 'none' (single axis), 'group' (one lane per group) or 'column'
+ *   (one lane per value of laneColumn)
+ * @param {Object} props.laneColumn - Status/people column info ({id, type, title, settings}) for 'column' lanes
+ * @param {string} props.orientation - 'horizontal', or 'vertical' for time flowing top to bottom with cards
+ *   left/right of the axis; swimlanes are always horizontal
+ * @param {Object} props.connectorOptions - Connector appearance ({style, dashed, colorBy, colorColumn, endpoint}),
+ *   see TimelineConnectors
+ * @param {boolean} props.showCriticalPath - Whether to highlight the critical path through dependent items and
+ *   show each item's slack in its card tooltip
  * @returns {JSX.Element} - Timeline component
  */
 const Timeline = ({
@@ -36,45 +93,91 @@ const Timeline = ({
   items = [],
   boardItems = [],
   dateColumn,
+  dateColumnType,
   dateFormat = 'mdy',
   datePosition = 'angled-above',
   onItemMove = () => {},
+  onLabelChange = () => {},
+  labelsReadOnly = false,
   onHideItem = () => {},
+  onShowItem = () => {},
+  onShowAllItems = () => {},
   hiddenItemIds = new Set(),
-  position = 'below',
+  position: positionSetting = 'below',
   shape = 'rectangle',
   scale = 'auto',
   showItemDates = false,
+  rangeDisplay = 'point',
+  milestoneColumns = [],
+  dragToReschedule = false,
+  onRescheduleRequest = () => {},
+  itemLayouts = {},
+  onLayoutChange = () => {},
+  onResetItemLayout = () => {},
+  onAutoArrange = () => {},
+  laneBy = 'none',
+  laneColumn = null,
+  orientation = 'horizontal',
+  connectorOptions = {},
+  showCriticalPath = false,
 }) => {
+  const isLaneMode = laneBy === 'group' || (laneBy === 'column' && !!laneColumn);
+  const isVertical = orientation === 'vertical' && !isLaneMode;
+  // Cards go on the side before the axis ('above', or left when vertical) or after it ('below', or right)
+  const position = positionSetting === 'left' ? 'above' : positionSetting === 'right' ? 'below' : positionSetting;
+
+  // Zoomed/panned window of [startDate, endDate] that is currently visible
+  const containerRef = useRef(null);
+  const { viewStart, viewEnd, isZoomed, zoomIn, zoomOut, resetZoom, panHandlers } = useTimelineZoom(
+    startDate,
+    endDate,
+    containerRef,
+    isVertical ? 'vertical' : 'horizontal'
+  );
+  
+  // Rendered card sizes and the container width drive the card layout
+  const { cardSizes, measureCard } = useMeasuredCardSizes();
+  const [containerWidth, setContainerWidth] = useState(1000);
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element || typeof ResizeObserver === 'undefined') return undefined;
+    
+    const observer = new ResizeObserver(([entry]) => {
+      setContainerWidth(entry.contentRect.width || 1000);
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+  
+  
   // Generate timeline markers from unique dates in board items
   const [markers, setMarkers] = useState([]);
   
-  // State for processed board items with dates and positions
-  const [processedBoardItems, setProcessedBoardItems] = useState([]);
-  
   // State for item-to-marker mapping
   const [itemToMarkerMap, setItemToMarkerMap] = useState(new Map());
   
-  // Calculate the scale markers based on scale and date range
-  const scaleMarkers = useMemo(() => {
+  // Calculate the two-tier scale header for the visible window.
+  // While zoomed in, the scale steps automatically so its cells stay readable.
+  const scaleHeaders = useMemo(() => {
     const startTime = Date.now();
-    const markers = calculateScaleMarkers(startDate, endDate, scale);
+    const headers = calculateScaleHeaders(viewStart, viewEnd, isZoomed && scale !== 'none' ? 'auto' : scale);
     
-    if (markers.length > 0) {
+    if (headers.lower.length > 0) {
       const duration = Date.now() - startTime;
-      TimelineLogger.performance('calculateScaleMarkers', duration, {
-        markerCount: markers.length,
-        scale,
-        dateRangeDays: Math.round((endDate - startDate) / (1000 * 60 * 60 * 24))
+      TimelineLogger.performance('calculateScaleHeaders', duration, {
+        cellCount: headers.lower.length + headers.upper.length,
+        scale: headers.scale,
+        dateRangeDays: Math.round((viewEnd - viewStart) / (1000 * 60 * 60 * 24))
       });
     }
     
-    return markers;
-  }, [startDate, endDate, scale]);
+    return headers;
+  }, [viewStart, viewEnd, isZoomed, scale]);
+  const activeScale = scaleHeaders.scale;
   
-  // Convert dates and boardItems to strings for stable dependencies
-  const startDateString = startDate.toISOString();
-  const endDateString = endDate.toISOString();
+  // Convert the visible window and boardItems to strings for stable dependencies
+  const startDateString = viewStart.toISOString();
+  const endDateString = viewEnd.toISOString();
   const boardItemsString = JSON.stringify(boardItems);
   
   // Generate timeline markers when board items, date column, date range, or hidden items change
@@ -101,9 +204,11 @@ const Timeline = ({
     const markers = generateTimelineMarkersFunction(
       visibleBoardItems, 
       dateColumn, 
-      startDate, 
-      endDate, 
-      dateFormat
+      viewStart, 
+      viewEnd, 
+      dateFormat,
+      dateColumnType,
+      { clipToRange: isZoomed }
     );
     
     const duration = Date.now() - startTime;
@@ -113,17 +218,19 @@ const Timeline = ({
     });
     
     setMarkers(markers);
-  }, [boardItemsString, dateColumn, startDateString, endDateString, dateFormat, hiddenItemIds]);
+  }, [boardItemsString, dateColumn, dateColumnType, startDateString, endDateString, dateFormat, hiddenItemIds, isZoomed]);
   
   // Handle item position changes during drag
   const handleItemPositionChange = (itemId, newPosition) => {
     TimelineLogger.userAction('timelineItemDragged', { itemId, newPosition });
+    // Connectors follow the dragged card until its offset is saved on drop
+    setDraggedCard({ itemId, y: newPosition.y });
     // Update the item's position in the items array
     const updatedItems = items.map(item => {
       if (item.id === itemId) {
         // Calculate the new date based on the X position percentage
-        const timeRange = endDate - startDate;
-        const newDate = new Date(startDate.getTime() + (newPosition.x / 100) * timeRange);
+        const timeRange = viewEnd - viewStart;
+        const newDate = new Date(viewStart.getTime() + (newPosition.x / 100) * timeRange);
         
         return {
           ...item,
@@ -145,242 +252,630 @@ const Timeline = ({
     }
   };
 
+  // Propose a new date when a drag finishes (drag-to-reschedule mode only)
+  const handleItemDragEnd = (itemId, { axisPosition }) => {
+    setDraggedCard(null);
+    if (!dragToReschedule) return;
+    
+    const item = items.find(candidate => candidate.id === itemId);
+    if (!item) return;
+    
+    // Snap the dropped position to the active scale
+    const timeRange = viewEnd - viewStart;
+    const droppedDate = new Date(viewStart.getTime() + (axisPosition / 100) * timeRange);
+    const newDate = snapDateToScale(droppedDate, activeScale);
+    
+    if (newDate.toDateString() === new Date(item.date).toDateString()) {
+      return;
+    }
+    
+    TimelineLogger.userAction('timelineItemRescheduleRequested', {
+      itemId,
+      fromDate: new Date(item.date).toISOString(),
+      toDate: newDate.toISOString(),
+      scale: activeScale
+    });
+    onRescheduleRequest(item, newDate);
+  };
+
   // Handle item removal
   const handleItemRemove = (itemId) => {
     // Call the parent component's onHideItem function
     onHideItem(itemId);
   };
 
-  // Process board items with dates and calculate positions
+  // Map items to the markers their connectors attach to
   useEffect(() => {
     const result = processBoardItemsWithMarkers(
       boardItems,
       dateColumn,
-      startDate,
-      endDate,
+      viewStart,
+      viewEnd,
       position,
-      markers
+      markers,
+      dateColumnType
     );
     
-    setProcessedBoardItems(result.processedBoardItems);
     setItemToMarkerMap(result.itemToMarkerMap);
-  }, [boardItemsString, dateColumn, startDateString, endDateString, markers, position]);
+  }, [boardItemsString, dateColumn, dateColumnType, startDateString, endDateString, markers, position]);
   
-  // Calculate item spacing to prevent overlaps
-  const spacedBoardItems = useMemo(() => {
-    return calculateItemSpacing(processedBoardItems, position);
-  }, [processedBoardItems, position]);
+  // In span mode, range items are drawn as bars from start to end along the axis
+  const isSpanMode = rangeDisplay === 'span';
+  const spanItems = useMemo(() => {
+    if (!isSpanMode) return [];
+    return calculateSpanRows(items.filter(item => item.isRange), viewStart, viewEnd);
+  }, [isSpanMode, items, startDateString, endDateString]);
+  const spanItemIds = useMemo(() => new Set(spanItems.map(span => span.id)), [spanItems]);
+
+  // Span cards are anchored to the middle of their bar; point items stay on their date
+  const positionedItems = useMemo(() => items.map(item => (
+    spanItemIds.has(item.id)
+      ? { ...item, anchorDate: new Date((item.startDate.getTime() + item.endDate.getTime()) / 2) }
+      : item
+  )), [items, spanItemIds]);
+
+  // Each item's dates across several date columns, drawn as connected milestones
+  const milestoneTracks = useMemo(() => (
+    getItemMilestones(boardItems, milestoneColumns, viewStart, viewEnd)
+      // Only milestones inside the visible window are drawn
+      .map(track => ({
+        ...track,
+        milestones: track.milestones.filter(milestone => milestone.date >= viewStart && milestone.date <= viewEnd)
+      }))
+      .filter(track => track.milestones.length > 0)
+  ), [boardItemsString, milestoneColumns, startDateString, endDateString]);
+
+  // Items (and span bars) that fall outside the zoomed window are not drawn
+  const renderHiddenItemIds = useMemo(() => {
+    if (!isZoomed) return hiddenItemIds;
+    
+    const outsideIds = positionedItems
+      .filter(item => {
+        const date = new Date(item.anchorDate || item.date);
+        return date < viewStart || date > viewEnd;
+      })
+      .map(item => item.id);
+    return new Set([...hiddenItemIds, ...outsideIds]);
+  }, [isZoomed, hiddenItemIds, positionedItems, startDateString, endDateString]);
+
+  const itemOrientation = isVertical ? 'vertical' : 'horizontal';
+  
+  // A vertical axis grows with the number of visible items so cards have room along it
+  const verticalHeight = isVertical
+    ? Math.max(VERTICAL_MIN_HEIGHT, positionedItems.filter(item => !renderHiddenItemIds.has(item.id)).length * VERTICAL_ITEM_SPACING)
+    : 0;
+  const axisLength = isVertical ? verticalHeight : containerWidth;
+  
+  // Swimlanes collapsed to their header
+  const [collapsedLaneIds, setCollapsedLaneIds] = useState(new Set());
+  const toggleLane = (laneId) => {
+    TimelineLogger.userAction('swimlaneToggled', { laneId });
+    setCollapsedLaneIds(prev => {
+      const next = new Set(prev);
+      if (next.has(laneId)) {
+        next.delete(laneId);
+      } else {
+        next.add(laneId);
+      }
+      return next;
+    });
+  };
+  
+  // One lane per group or column value in swimlane mode, otherwise a single lane holding every item.
+  // Each lane is laid out around its own axis line; cards, span bars and milestones are drawn the same way in both.
+  const lanes = useMemo(() => (
+    isLaneMode
+      ? groupItemsIntoLanes(positionedItems.filter(item => !hiddenItemIds.has(item.id)), laneBy, laneColumn)
+      : [{ id: 'timeline', items: positionedItems }]
+  ), [isLaneMode, positionedItems, hiddenItemIds, laneBy, laneColumn]);
+  
+  // Pack each lane's cards into non-overlapping rows using their rendered sizes. Until a card has been
+  // measured, its saved size (or the default for the shape) stands in.
+  const laneLayouts = useMemo(() => {
+    const startTime = Date.now();
+    const savedSizes = {};
+    Object.entries(itemLayouts).forEach(([itemId, layout]) => {
+      if (layout?.width && layout?.height) savedSizes[itemId] = { width: layout.width, height: layout.height };
+    });
+    const layoutOptions = {
+      startDate: viewStart,
+      endDate: viewEnd,
+      position,
+      orientation: itemOrientation,
+      axisLength,
+      cardSizes: { ...savedSizes, ...cardSizes },
+      defaultSize: shape === 'circle'
+        ? { width: 100, height: 100 }
+        : { width: 140, height: showItemDates ? 80 : 60 },
+      skipIds: renderHiddenItemIds
+    };
+    
+    const layouts = lanes.map(lane => {
+      if (collapsedLaneIds.has(lane.id)) {
+        return { ...lane, isCollapsed: true, cardLayout: COLLAPSED_LANE_LAYOUT, spans: [] };
+      }
+      // Span bars are packed per lane, so each lane's bars sit on its own axis
+      const spans = !isLaneMode ? spanItems
+        : isSpanMode ? calculateSpanRows(lane.items.filter(item => item.isRange), viewStart, viewEnd) : [];
+      // Cards start past the stacked bars
+      const spanRowCount = spans.reduce((count, span) => Math.max(count, span.row + 1), 0);
+      return {
+        ...lane,
+        isCollapsed: false,
+        cardLayout: calculateCardLayout(lane.items, { ...layoutOptions, spanRowCount }),
+        spans
+      };
+    });
+    
+    TimelineLogger.performance('calculateCardLayout', Date.now() - startTime, {
+      itemCount: positionedItems.length,
+      laneCount: lanes.length,
+      measuredCount: Object.keys(cardSizes).length
+    });
+    return layouts;
+  }, [lanes, collapsedLaneIds, isLaneMode, isSpanMode, spanItems, positionedItems, startDateString, endDateString,
+    position, itemOrientation, axisLength, itemLayouts, cardSizes, shape, showItemDates, renderHiddenItemIds]);
 
   // Determine if scale markers should be flipped based on datePosition
   // When position is 'none', markers should be above (no flipping)
   const shouldFlipScaleMarkers = datePosition === 'none' ? false : !datePosition.includes('below');
   
-  // Calculate the position for timeline and scale markers
-  const timelineTop = position === 'above' ? '75%' : position === 'below' ? '25%' : '50%';
+  // Stack the lanes under the shared scale header (swimlanes) or from the top. Each lane fits its packed card rows
+  // on both sides of its axis; its axisPosition is the axis' CSS top, or its CSS left when vertical.
+  const verticalAxisFraction = position === 'above' ? 0.7 : position === 'below' ? 0.3 : 0.5;
+  const laidOutLanes = useMemo(() => {
+    const minSideSpace = isLaneMode ? LANE_MIN_SIDE_SPACE : MIN_SIDE_SPACE;
+    const headerHeight = isLaneMode ? LANE_HEADER_HEIGHT : 0;
+    let top = isLaneMode ? LANE_SCALE_HEIGHT : 0;
+    
+    return laneLayouts.map(lane => {
+      const { extents } = lane.cardLayout;
+      const spaceAbove = lane.isCollapsed ? 0 : Math.max(extents.above, minSideSpace) + EDGE_MARGIN;
+      const spaceBelow = lane.isCollapsed ? 0 : Math.max(extents.below, minSideSpace) + EDGE_MARGIN;
+      const axisOffset = isVertical ? containerWidth * verticalAxisFraction : top + headerHeight + spaceAbove;
+      const laidOut = {
+        ...lane,
+        top,
+        height: headerHeight + spaceAbove + spaceBelow,
+        axisOffset,
+        axisPosition: isVertical ? `${verticalAxisFraction * 100}%` : `${axisOffset}px`,
+        tracks: isLaneMode
+          ? milestoneTracks.filter(track => lane.items.some(item => item.id === track.id))
+          : milestoneTracks
+      };
+      top += laidOut.height;
+      return laidOut;
+    });
+  }, [laneLayouts, isLaneMode, isVertical, containerWidth, verticalAxisFraction, milestoneTracks]);
+  
+  // Height of a horizontal timeline: the stacked lanes
+  const timelineHeight = laidOutLanes.reduce(
+    (bottom, lane) => Math.max(bottom, lane.top + lane.height),
+    isLaneMode ? LANE_SCALE_HEIGHT : 0
+  );
+  // Where the date markers and the scale header sit: the single axis, or the top of the lanes
+  const timelineTop = isLaneMode ? `${LANE_SCALE_HEIGHT}px` : laidOutLanes[0].axisPosition;
+  
+  // Card being dragged and its live offset, until the drop saves it
+  const [draggedCard, setDraggedCard] = useState(null);
+  
+  // Each card's saved offset, or its live offset while dragged
+  const cardOffsets = useMemo(() => {
+    const offsets = {};
+    Object.entries(itemLayouts).forEach(([itemId, layout]) => {
+      if (layout?.y !== undefined) offsets[itemId] = layout.y;
+    });
+    if (draggedCard) offsets[draggedCard.itemId] = draggedCard.y;
+    return offsets;
+  }, [itemLayouts, draggedCard]);
+  
+  // Connector lines from each card to its lane's axis, from layout state
+  const connectors = useMemo(() => laidOutLanes.flatMap(lane => (
+    calculateConnectors(lane.cardLayout.items, {
+      orientation: itemOrientation,
+      axisLength,
+      axisOffset: lane.axisOffset,
+      itemToMarkerMap,
+      spans: lane.spans,
+      spanSide: position === 'below' ? 'below' : 'above',
+      cardOffsets,
+      skipIds: renderHiddenItemIds
+    })
+  )), [laidOutLanes, cardOffsets, itemOrientation, axisLength, itemToMarkerMap, position, renderHiddenItemIds]);
+  
+  // Dependencies between board items, from their dependency columns
+  const dependencies = useMemo(() => getItemDependencies(boardItems), [boardItemsString]);
+  
+  // Critical path and slack through the dependent items, from their scheduled dates and durations
+  const criticalPath = useMemo(() => {
+    if (!showCriticalPath || dependencies.length === 0) return null;
+    
+    const startTime = Date.now();
+    const result = calculateCriticalPath(items, dependencies);
+    TimelineLogger.performance('calculateCriticalPath', Date.now() - startTime, {
+      analyzedItemCount: result.slackDays.size,
+      criticalItemCount: result.criticalItemIds.size
+    });
+    return result;
+  }, [showCriticalPath, items, dependencies]);
   
+  // Dependency arrows between cards (or span bars), following dragged cards like the connectors do.
+  // Arrows may cross lanes, so each item is placed against its own lane's axis.
+  const dependencyArrows = useMemo(() => {
+    if (dependencies.length === 0) return [];
+    
+    const axisOffsets = {};
+    laidOutLanes.forEach(lane => {
+      lane.cardLayout.items.forEach(item => { axisOffsets[item.id] = lane.axisOffset; });
+    });
+    const arrows = calculateDependencyArrows(dependencies, laidOutLanes.flatMap(lane => lane.cardLayout.items), {
+      orientation: itemOrientation,
+      axisLength,
+      axisOffset: laidOutLanes[0]?.axisOffset ?? 0,
+      axisOffsets,
+      spans: laidOutLanes.flatMap(lane => lane.spans),
+      spanSide: position === 'below' ? 'below' : 'above',
+      cardOffsets,
+      skipIds: renderHiddenItemIds
+    });
+    
+    TimelineLogger.debug('Timeline: Dependency arrows calculated', {
+      dependencyCount: dependencies.length,
+      arrowCount: arrows.length,
+      violationCount: arrows.filter(arrow => arrow.isViolation).length
+    });
+    return arrows;
+  }, [dependencies, laidOutLanes, cardOffsets, itemOrientation, axisLength, position, renderHiddenItemIds]);
+  
+  // Arrange toolbar: the selected card can be reset, and dragged cards can snap to a grid
+  const [selectedItemId, setSelectedItemId] = useState(null);
+  const [snapToGrid, setSnapToGrid] = useState(false);
+  // Guides (container y positions) shown while a dragged card lines up with a neighbor
+  const [alignmentGuides, setAlignmentGuides] = useState([]);
+  // Called on every drag move; only re-render when the guides change
+  const showAlignmentGuides = (guides) => setAlignmentGuides(prev => (
+    prev.length === guides.length && prev.every((guideY, index) => guideY === guides[index]) ? prev : guides
+  ));
+  const hasDraggedCards = Object.values(itemLayouts).some(layout => layout.x !== undefined || layout.y !== undefined);
+  const selectedLayout = selectedItemId ? itemLayouts[selectedItemId] : null;
+  // Hidden items that are loaded, so they can be shown again by name
+  const hiddenBoardItems = boardItems.filter(item => hiddenItemIds.has(String(item.id)));
+  
+  const arrangeToolbar = (
+    <Flex className="export-ignore" gap="xs" align="center" style={{ position: 'absolute', top: '-32px', left: 0, zIndex: 5 }}>
+      <Button size="xs" kind="tertiary" onClick={onAutoArrange} disabled={!hasDraggedCards}>Auto-arrange</Button>
+      <Button
+        size="xs"
+        kind="tertiary"
+        onClick={() => onResetItemLayout(selectedItemId)}
+        disabled={!selectedLayout}
+      >
+        Reset card
+      </Button>
+      <Checkbox label="Snap to grid" checked={snapToGrid} onChange={() => setSnapToGrid(prev => !prev)} />
+      {hiddenBoardItems.length > 0 && (
+        <MenuButton size="xs" text={`Show hidden (${hiddenBoardItems.length})`} closeMenuOnItemClick>
+          <Menu>
+            <MenuItem title="Show all" onClick={onShowAllItems} />
+            <MenuDivider />
+            {hiddenBoardItems.map(item => (
+              <MenuItem key={item.id} title={item.name} onClick={() => onShowItem(item.id)} />
+            ))}
+          </Menu>
+        </MenuButton>
+      )}
+    </Flex>
+  );
+  
+  const zoomControls = (
+    <Flex className="export-ignore" gap="xs" style={{ position: 'absolute', top: '-32px', right: 0, zIndex: 5 }}>
+      <Button size="xs" kind="tertiary" onClick={zoomOut} disabled={!isZoomed} ariaLabel="Zoom out">−</Button>
+      <Button size="xs" kind="tertiary" onClick={zoomIn} ariaLabel="Zoom in">+</Button>
+      <Button size="xs" kind="tertiary" onClick={resetZoom} disabled={!isZoomed}>Fit</Button>
+    </Flex>
+  );
+
   return (
     <div 
+      ref={containerRef}
       className="timeline-container"
-      style={{
+      // Visible window and orientation, read by exports to date their pages
+      data-view-start={startDateString}
+      data-view-end={endDateString}
+      data-orientation={itemOrientation}
+      style={isVertical ? {
+        position: 'relative',
+        width: '90%',
+        margin: '48px auto 24px', // Room for the zoom controls and the first and last cards
+        height: `${verticalHeight}px`, // Explicit height, so exports capture the whole axis
+        overflowY: isZoomed ? 'clip' : 'visible',
+      } : {
         position: 'relative',
         width: '90%', // Use 90% width to ensure padding on both sides
-        margin: '0 auto', // Center the timeline
-        height: '300px', // Increased height for the timeline container
-        padding: '100px 0', // Increased padding to accommodate items above and below
+        margin: '32px auto 0', // Center the timeline, with room for the zoom controls above it
+        height: `${timelineHeight}px`, // Fits the packed card rows on both sides of each axis
         display: 'flex',
         flexDirection: 'column',
         alignItems: 'stretch',
+        overflowX: isZoomed ? 'clip' : 'visible', // Cut off what lies outside the zoomed window
       }}
     >
-      {/* Timeline line */}
+      {/* Zoom controls */}
+      {zoomControls}
+      {arrangeToolbar}
+
+      {/* Snap grid */}
+      {snapToGrid && (
+        <div
+          style={{
+            position: 'absolute',
+            inset: 0,
+            backgroundImage: `repeating-linear-gradient(to bottom, var(--ui-border-color) 0 1px, transparent 1px ${SNAP_GRID_SIZE}px)`,
+            opacity: 0.4,
+            pointerEvents: 'none',
+            zIndex: 0,
+          }}
+        />
+      )}
+
+      {/* Alignment guides for the card being dragged */}
+      {alignmentGuides.map(guideY => (
+        <div
+          key={`guide-${guideY}`}
+          style={{
+            position: 'absolute',
+            top: `${guideY}px`,
+            left: 0,
+            width: '100%',
+            height: '1px',
+            borderTop: '1px dashed var(--primary-color)',
+            pointerEvents: 'none',
+            zIndex: 6,
+          }}
+        />
+      ))}
+
+      {/* Drag (or pinch) the strip around the axis, or the lanes' scale header, to pan (or zoom) */}
       <div
+        {...panHandlers}
         style={{
           position: 'absolute',
-          top: position === 'above' ? '75%' : position === 'below' ? '25%' : '50%', // Dynamic positioning based on item placement
-          left: 0,
-          width: '100%',
-          height: '2px',
-          backgroundColor: 'var(--ui-border-color)',
+          ...(isLaneMode
+            ? { top: 0, left: 0, width: '100%', height: `${LANE_SCALE_HEIGHT}px` }
+            : isVertical
+              ? { left: timelineTop, top: 0, height: '100%', width: '40px', transform: 'translateX(-50%)' }
+              : { top: timelineTop, left: 0, width: '100%', height: '40px', transform: 'translateY(-50%)' }),
+          cursor: isZoomed ? 'grab' : 'default',
+          touchAction: 'none',
           zIndex: 1,
         }}
       />
 
-
-      {/* Timeline markers */}
-      {markers.map((marker, index) => {
-        const markerStyles = getMarkerStyles(datePosition);
-        const isEdgeMarker = index === 0 || index === markers.length - 1;
-        const isAbove = datePosition.includes('above');
+      {/* Timeline markers (on the single axis; lanes share the scale header instead) */}
+      {!isLaneMode && markers.map((marker, index) => {
+          const markerStyles = getMarkerStyles(datePosition, itemOrientation);
+          // Along-axis and cross-axis placement of the marker at the axis
+          const markerPlacement = isVertical
+            ? { top: `${marker.position}%`, left: timelineTop }
+            : { left: `${marker.position}%`, top: timelineTop };
+          const isEdgeMarker = index === 0 || index === markers.length - 1;
+          const isAbove = datePosition.includes('above');
+        
+          // For 'none' date position, only show the marker and label for first and last markers
+          const showMarker = datePosition !== 'none' || isEdgeMarker;
         
-        // For 'none' date position, only show the marker and label for first and last markers
-        const showMarker = datePosition !== 'none' || isEdgeMarker;
+          // Always render a hidden anchor point for connector lines
+          if (!showMarker) {
+            return (
+              <div
+                key={`marker-${index}`}
+                id={`timeline-marker-${index}`}
+                style={{
+                  position: 'absolute',
+                  ...markerPlacement,
+                  width: '1px',
+                  height: '1px',
+                  pointerEvents: 'none',
+                  opacity: 0,
+                  zIndex: -1
+                }}
+              />
+            );
+          }
         
-        // Always render a hidden anchor point for connector lines
-        if (!showMarker) {
           return (
             <div
               key={`marker-${index}`}
               id={`timeline-marker-${index}`}
               style={{
                 position: 'absolute',
-                left: `${marker.position}%`,
-                top: timelineTop,
-                width: '1px',
-                height: '1px',
-                pointerEvents: 'none',
-                opacity: 0,
-                zIndex: -1
+                ...markerPlacement,
+                transform: isVertical
+                  ? markerStyles.positioning.transform
+                  : isAbove ? 'translateX(-50%) translateY(-100%)' : 'translateX(-50%)',
+                display: 'flex',
+                ...markerStyles.markerContainer,
+                alignItems: 'center',
+                zIndex: 2,
               }}
-            />
-          );
-        }
-        
-        return (
-          <div
-            key={`marker-${index}`}
-            id={`timeline-marker-${index}`}
-            style={{
-              position: 'absolute',
-              left: `${marker.position}%`,
-              top: timelineTop,
-              transform: isAbove ? 'translateX(-50%) translateY(-100%)' : 'translateX(-50%)',
-              display: 'flex',
-              ...markerStyles.markerContainer,
-              alignItems: 'center',
-              zIndex: 2,
-            }}
-          >
-            <div style={markerStyles.markerLine} />
-            <div style={markerStyles.dateLabel}>
-              {marker.label}
+            >
+              <div style={markerStyles.markerLine} />
+              <div style={markerStyles.dateLabel}>
+                {marker.label}
+              </div>
             </div>
-          </div>
-        );
-      })}
+          );
+        })}
       
-      {/* Scale markers - only show if scale is not 'none' */}
-      {scale !== 'none' && (
-        <>
-          {/* Scale marker line */}
-          <div
-            style={{
-              position: 'absolute',
-              left: 0,
-              width: '100%',
-              top: timelineTop, // Use the same top position as the timeline
-              height: '1px',
-              backgroundColor: 'var(--ui-border-color)',
-              zIndex: 1,
-            }}
-          />
-          
-          {/* Scale marker ticks and labels */}
-          {scaleMarkers.map((marker, index) => {
-            // Skip rendering hidden markers (like the second-to-last marker if it matches the last one)
-            if (marker.hidden) return null;
-            
-            const isAbove = !shouldFlipScaleMarkers;
-            const offset = shouldFlipScaleMarkers ? 3 : -28; // -1px when flipped (below), -23px when not flipped (above)
-            
-            return (
+      {/* Two-tier scale header - only show if scale is not 'none' */}
+      {scaleHeaders.scale !== 'none' && (
+        <TimelineScaleHeader
+          headers={scaleHeaders}
+          timelineTop={timelineTop}
+          side={!isLaneMode && shouldFlipScaleMarkers ? 'below' : 'above'}
+          orientation={itemOrientation}
+        />
+      )}
+
+      {/* Lane gridlines at the primary scale's unit boundaries */}
+      {isLaneMode && scaleHeaders.lower.filter(cell => cell.startPosition > 0).map(cell => (
+        <div
+          key={`grid-${cell.start.getTime()}`}
+          style={{
+            position: 'absolute',
+            left: `${cell.startPosition}%`,
+            top: `${LANE_SCALE_HEIGHT}px`,
+            bottom: 0,
+            width: '1px',
+            backgroundColor: 'var(--ui-border-color)',
+            opacity: 0.5,
+            pointerEvents: 'none',
+          }}
+        />
+      ))}
+
+      {laidOutLanes.map(lane => (
+        <React.Fragment key={lane.id}>
+          {/* Lane header; click to collapse or expand the lane */}
+          {isLaneMode && (
+            <div
+              id={`swimlane-${lane.id}`}
+              style={{
+                position: 'absolute',
+                top: `${lane.top}px`,
+                left: 0,
+                width: '100%',
+                height: `${lane.height}px`,
+                borderBottom: '1px solid var(--ui-border-color)',
+                boxSizing: 'border-box',
+                pointerEvents: 'none',
+              }}
+            >
               <div
-                key={`scale-marker-${index}`}
+                role="button"
+                tabIndex={0}
+                aria-expanded={!lane.isCollapsed}
+                onClick={() => toggleLane(lane.id)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    toggleLane(lane.id);
+                  }
+                }}
                 style={{
-                  position: 'absolute',
-                  left: `${marker.position}%`,
-                  top: `calc(${timelineTop} + ${offset}px)`, // Offset from timeline position
-                  transform: 'translateX(-50%)',
-                  display: 'flex',
-                  flexDirection: isAbove ? 'column-reverse' : 'column', // column-reverse for above, column for below
+                  display: 'inline-flex',
                   alignItems: 'center',
-                  zIndex: 2,
+                  gap: '8px',
+                  height: `${LANE_HEADER_HEIGHT}px`,
+                  cursor: 'pointer',
+                  userSelect: 'none',
+                  pointerEvents: 'auto',
                 }}
               >
-                <div 
+                <span style={{ width: '12px', fontSize: '10px', color: 'var(--secondary-text-color)' }}>
+                  {lane.isCollapsed ? '▸' : '▾'}
+                </span>
+                <span
                   style={{
-                    width: '1px',
-                    height: '8px',
-                    backgroundColor: 'var(--ui-border-color)',
-                    flexShrink: 0,
-                    marginTop: isAbove ? 0 : 0, // No margin needed when using proper offsets
-                    marginBottom: isAbove ? '-1px' : 0, // Connect to timeline when above
+                    width: '12px',
+                    height: '12px',
+                    borderRadius: '3px',
+                    backgroundColor: lane.color,
+                    border: '1px solid rgba(0,0,0,0.2)',
                   }}
                 />
-                <div 
-                  style={{
-                    fontSize: '10px',
-                    color: 'var(--secondary-text-color)',
-                    whiteSpace: 'nowrap',
-                    marginTop: isAbove ? '0px' : '8px', // Add space below the tick when markers are below
-                    marginBottom: isAbove ? '8px' : '0px', // Add space above the tick when markers are above
-                    textAlign: 'center',
-                    transform: scale === 'days' ? 'rotate(-25deg)' : 'none',
-                    transformOrigin: isAbove ? 'center bottom' : 'center top',
-                  }}
-                >
-                  {marker.label}
-                </div>
+                <Text type={Text.types.TEXT2} weight={Text.weights.MEDIUM}>{lane.title}</Text>
+                <Text type={Text.types.TEXT2} color={Text.colors.SECONDARY}>{lane.items.length}</Text>
               </div>
-            );
-          })}
-        </>
-      )}
+            </div>
+          )}
 
-      {/* Board Items - Render all items chronologically with position logic */}
-      {(() => {
-        // Calculate positions for all items using extracted function
-        const itemsWithPositions = calculateTimelineItemPositions(items, startDate, endDate, position);
-        
-        // Render items using extracted function
-        return renderTimelineItems(
-          itemsWithPositions,
-          (item) => {/* console.log('Board item clicked:', item) */},
-          (itemId, newLabel) => {
-            // console.log('Label changed:', itemId, newLabel);
-            // TODO: Implement label change handler
-          },
-          (itemId) => {
-            // console.log('Remove item:', itemId);
-            // Use the onHideItem prop callback instead of internal state
-            onHideItem(itemId);
-          },
-          shape,
-          hiddenItemIds,
-          showItemDates,
-          handleItemPositionChange // Pass the position change handler
-        );
-      })()}
+          {/* Timeline line */}
+          {!lane.isCollapsed && (
+            <div
+              className="timeline-axis-line"
+              style={isVertical ? {
+                position: 'absolute',
+                left: lane.axisPosition,
+                top: 0,
+                height: '100%',
+                width: '2px',
+                transform: 'translateX(-50%)',
+                backgroundColor: 'var(--ui-border-color)',
+                zIndex: 1,
+              } : {
+                position: 'absolute',
+                top: lane.axisPosition, // Sized to the card rows on each side
+                left: 0,
+                width: '100%',
+                height: '2px',
+                backgroundColor: 'var(--ui-border-color)',
+                zIndex: 1,
+              }}
+            />
+          )}
+
+          {/* Duration bars for range items (span mode only) */}
+          {lane.spans.map(span => (
+            <TimelineSpanBar
+              key={`span-${span.id}`}
+              span={span}
+              timelineTop={lane.axisPosition}
+              side={position === 'below' ? 'below' : 'above'}
+              isHidden={hiddenItemIds.has(span.id) || span.endDate < viewStart || span.startDate > viewEnd}
+              orientation={itemOrientation}
+            />
+          ))}
+
+          {/* Milestones from multiple date columns, on the opposite side of the cards */}
+          {!lane.isCollapsed && lane.tracks.length > 0 && (
+            <ItemMilestones
+              tracks={lane.tracks}
+              timelineTop={lane.axisPosition}
+              side={position === 'below' ? 'above' : 'below'}
+              hiddenItemIds={hiddenItemIds}
+              dateFormat={dateFormat}
+              orientation={itemOrientation}
+            />
+          )}
+
+          {/* Board Items - Render all items chronologically with position logic */}
+          {renderTimelineItems({
+            items: lane.cardLayout.items,
+            onItemClick: (item) => setSelectedItemId(prev => (prev === item.id ? null : item.id)),
+            onLabelChange: (itemId, newLabel, baseLabel) => {
+              TimelineLogger.userAction('timelineItemLabelEdited', { itemId });
+              onLabelChange(itemId, newLabel, baseLabel);
+            },
+            onRemove: onHideItem,
+            shape,
+            hiddenItemIds: renderHiddenItemIds,
+            showItemDates,
+            onPositionChange: handleItemPositionChange,
+            onDragEnd: handleItemDragEnd,
+            labelsReadOnly,
+            itemLayouts,
+            onLayoutChange,
+            orientation: itemOrientation,
+            axisPosition: lane.axisPosition,
+            measureCard,
+            selectedItemId,
+            snapGridSize: snapToGrid ? SNAP_GRID_SIZE : 0,
+            onAlignmentGuides: showAlignmentGuides,
+            criticalPath
+          })}
+        </React.Fragment>
+      ))}
       
-      {/* LeaderLine Connectors - Connect board items to timeline markers */}
-      {(() => {
-        // Calculate positions for all items using extracted function
-        const itemsWithPositions = calculateTimelineItemPositions(items, startDate, endDate, position);
-        
-        // Create connectors for visible items only
-        return itemsWithPositions
-          .filter(item => !hiddenItemIds.has(item.id)) // Only show connectors for visible items
-          .map((item, index) => {
-            // Find the corresponding marker for this item
-            const markerInfo = itemToMarkerMap.get(item.id);
-            if (!markerInfo) return null;
-            
-            // Find the marker index based on marker position
-            const markerIndex = markers.findIndex(marker => 
-              Math.abs(marker.position - markerInfo.markerPosition) < 0.1
-            );
-            
-            if (markerIndex === -1) return null;
-            
-            return (
-              <LeaderLineConnector
-                key={`connector-${item.id}`}
-                fromId={`board-item-${item.id}`}
-                toId={`timeline-marker-${markerIndex}`}
-              />
-            );
-          })
-          .filter(Boolean); // Remove null values
-      })()}
+      {/* Connectors - Connect board items to timeline markers, in one shared overlay */}
+      <TimelineConnectors connectors={connectors} orientation={itemOrientation} options={connectorOptions} />
+      
+      {/* Dependency arrows between dependent items; red where a successor starts before its predecessor ends */}
+      <TimelineDependencies
+        arrows={dependencyArrows}
+        orientation={itemOrientation}
+        criticalDependencyIds={criticalPath?.criticalDependencyIds}
+      />
     </div>
   );
 };
@@ -1,9 +1,18 @@
-import React, { useState, useEffect } from 'react';
-import { Box, EditableHeading, Flex, Text } from '@vibe/core';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Box, EditableHeading, Flex, Text, Toast } from '@vibe/core';
 import { processTimelineData } from '../../functions/processTimelineData';
 import Timeline from './Timeline';
 import GroupLegend from './GroupLegend';
+import RescheduleConfirmModal from './RescheduleConfirmModal';
 import TimelineLogger from '../../utils/logger';
+import buildRescheduledValue from '../../functions/buildRescheduledValue';
+import withColumnValue from '../../functions/withColumnValue';
+import applyBoardItemDiff from '../../functions/applyBoardItemDiff';
+import changeColumnValue from '../../functions/changeColumnValue';
+import changeItemName, { NameConflictError } from '../../functions/changeItemName';
+import useLayoutPersistence from '../../hooks/useLayoutPersistence';
+import { getSelectedDateColumnIds } from '../../functions/getDateColumnInfo';
+import resolveColumnSetting from '../../functions/resolveColumnSetting';
 
 /** BoardItem type * @typedef {Object} BoardItem
  * @property {string} id - Unique item ID
@@ -20,6 +29,15 @@ import TimelineLogger from '../../utils/logger';
  * @property {Object.<string, boolean>} date - Selected date column, e.g., { date_mksykvae: true }
  * @property {string} scale - Display scale, e.g., 'weeks'
  * @property {string} button - Button behavior setting
+ * @property {string} swimlanes - Swimlane mode ('none', 'group' or 'column')
+ * @property {Object.<string, boolean>} laneColumn - Status/people column for 'column' swimlanes
+ * @property {string} orientation - Axis orientation ('horizontal' or 'vertical')
+ * @property {string} connectorStyle - Connector shape ('straight', 'elbow' or 'curve')
+ * @property {string} connectorLine - Connector line ('solid' or 'dashed')
+ * @property {string} connectorColor - Connector color ('neutral', 'group' or 'status')
+ * @property {Object.<string, boolean>} connectorColorColumn - Status column for 'status' connector colors
+ * @property {string} connectorEndpoint - Connector end at the axis ('dot', 'arrow' or 'none')
+ * @property {boolean} criticalPath - Highlight the critical path through dependent items and show slack per item
  */
 
 /**
@@ -28,13 +46,39 @@ import TimelineLogger from '../../utils/logger';
  * @param {Object} props - Component props
  * @param {Array} props.boardItems - Array of board items from monday.com
  * @param {Object} props.settings - Settings for the timeline (title, colors, etc.)
+ * @param {Array} props.columns - Board column metadata ({id, type, title, settings})
+ * @param {string|number} props.boardId - ID of the board, used when writing changes back
+ * @param {Function} props.onBoardItemsChange - State setter for board items, used for optimistic updates
+ * @param {boolean} props.isViewOnly - Whether the current user is a viewer on the board
+ * @param {boolean} props.isCompleteBoard - Whether boardItems is the whole, fully loaded board; saved layout
+ *   entries of items missing from it are then pruned
  * @returns {JSX.Element} - Timeline board component
  */
-const TimelineBoard = ({ boardItems = [], settings = {} }) => {
+const TimelineBoard = ({
+  boardItems = [],
+  settings = {},
+  columns = [],
+  boardId,
+  onBoardItemsChange = () => {},
+  isViewOnly = false,
+  isCompleteBoard = false
+}) => {
   // State for timeline items
   const [timelineItems, setTimelineItems] = useState([]);
-  // State to track hidden items
-  const [hiddenItemIds, setHiddenItemIds] = useState(new Set());
+  // Card offsets, sizes and hidden items, persisted per view
+  const {
+    itemLayouts,
+    hiddenItemIds,
+    setItemLayout,
+    resetItemLayout,
+    clearItemOffsets,
+    hideItem,
+    unhideItem,
+    showAllItems
+  } = useLayoutPersistence(boardItems, {
+    canPrune: isCompleteBoard,
+    dateColumnIds: getSelectedDateColumnIds(settings)
+  });
   const [titleSetting, setTitleSetting] = useState(settings.title !== undefined ? settings.title : true);
   const [showLedger, setShowLedger] = useState(settings.ledger !== undefined ? settings.ledger : true);
   const [showItemDates, setShowItemDates] = useState(settings.itemDates !== undefined ? settings.itemDates : false);
@@ -44,6 +88,14 @@ const TimelineBoard = ({ boardItems = [], settings = {} }) => {
     endDate: new Date(new Date().setMonth(new Date().getMonth() + 3)),
     scale: 'auto'
   });
+  // Date change awaiting confirmation ({item, newDate})
+  const [pendingReschedule, setPendingReschedule] = useState(null);
+  // Message about the last failed or rejected write-back ({type, text})
+  const [writeBackNotice, setWriteBackNotice] = useState(null);
+  // Resolved info about the selected date column (id, type, title, isRange)
+  const [dateColumnInfo, setDateColumnInfo] = useState(null);
+  // All selected date columns; columns after the first are drawn as milestones
+  const [dateColumns, setDateColumns] = useState([]);
 
   // Sync settings with local state
   useEffect(() => {
@@ -85,8 +137,38 @@ const TimelineBoard = ({ boardItems = [], settings = {} }) => {
     title = true,
     ledger = true,
     itemDates = false,
+    rangeDisplay = 'point', // 'point' draws ranges at their end date, 'span' as duration bars
+    dragToReschedule = false, // Opt-in: dropping a dragged card writes its new date to the board
+    readOnlyLabelsForViewers = false, // Prevent viewers from editing item names
+    swimlanes = 'none', // 'group' draws one lane per group, 'column' one per value of laneColumn
+    laneColumn: laneColumnSetting = {}, // Selected status/people column, e.g. { status: true }
+    orientation = 'horizontal', // 'vertical' runs time top to bottom with cards left/right of the axis
+    connectorStyle = 'straight',
+    connectorLine = 'solid',
+    connectorColor = 'neutral', // 'group' uses the item's group color, 'status' its label color in connectorColorColumn
+    connectorColorColumn: connectorColorColumnSetting = {},
+    connectorEndpoint = 'dot',
+    criticalPath = false, // Highlight the critical path through the dependency column, with slack in card tooltips
   } = settings;
 
+  // Resolve the swimlane column against the board's column metadata
+  const laneColumn = useMemo(() => resolveColumnSetting(laneColumnSetting, columns), [laneColumnSetting, columns]);
+
+  // Connector appearance, with the status column resolved for 'status' colors
+  const connectorColorColumn = useMemo(
+    () => resolveColumnSetting(connectorColorColumnSetting, columns),
+    [connectorColorColumnSetting, columns]
+  );
+  const connectorOptions = useMemo(() => ({
+    style: connectorStyle,
+    dashed: connectorLine === 'dashed',
+    colorBy: connectorColor,
+    colorColumn: connectorColorColumn,
+    endpoint: connectorEndpoint
+  }), [connectorStyle, connectorLine, connectorColor, connectorColorColumn, connectorEndpoint]);
+
+  const labelsReadOnly = readOnlyLabelsForViewers && isViewOnly;
+
   // Always use transparent background
   const backgroundColor = 'transparent';
 
@@ -103,23 +185,107 @@ const TimelineBoard = ({ boardItems = [], settings = {} }) => {
     );
   };
   
-  // Handle timeline item label change
-  const handleLabelChange = (itemId, newLabel) => {
+  // Rename the item optimistically, then persist it; roll back on failure or if it was renamed elsewhere
+  const handleLabelChange = async (itemId, newLabel, baseLabel) => {
     TimelineLogger.userAction('timelineItemLabelChanged', { itemId, newLabel });
-    
-    setTimelineItems(prevItems => 
-      prevItems.map(item => 
-        item.id === itemId 
-          ? { ...item, label: newLabel } 
-          : item
-      )
-    );
+
+    const boardItem = boardItems.find(candidate => candidate.id === itemId);
+    if (!boardItem || labelsReadOnly) return;
+
+    const renameTo = (name) => onBoardItemsChange(prevItems => applyBoardItemDiff(prevItems, {
+      upserted: [{ ...(prevItems.find(candidate => candidate.id === itemId) || boardItem), name }]
+    }));
+
+    renameTo(newLabel);
+
+    try {
+      const savedName = await changeItemName(boardId, itemId, newLabel, baseLabel);
+      if (savedName !== newLabel) renameTo(savedName);
+    } catch (error) {
+      if (error instanceof NameConflictError) {
+        renameTo(error.currentName);
+        setWriteBackNotice({
+          type: Toast.types.WARNING,
+          text: `"${baseLabel}" was renamed to "${error.currentName}" on the board while you were editing. Your change was not saved.`
+        });
+      } else {
+        renameTo(baseLabel);
+        setWriteBackNotice({
+          type: Toast.types.NEGATIVE,
+          text: `Couldn't rename "${baseLabel}": ${error.message}. The change was undone.`
+        });
+      }
+    }
   };
   
+  // Ask for confirmation before writing a dragged date back to the board
+  const handleRescheduleRequest = (item, newDate) => {
+    if (!buildRescheduledValue(item.originalItem, dateColumnInfo, newDate)) {
+      TimelineLogger.warn('Drag to reschedule is not supported for this column type', {
+        columnId: dateColumnInfo?.id,
+        columnType: dateColumnInfo?.type
+      });
+      return;
+    }
+    setPendingReschedule({ item, newDate });
+  };
+
+  // Apply the new date optimistically, then persist it; undo the local change if the mutation fails
+  const handleRescheduleConfirm = async () => {
+    const { item, newDate } = pendingReschedule;
+    setPendingReschedule(null);
+
+    const boardItem = boardItems.find(candidate => candidate.id === item.id);
+    if (!boardItem) return;
+
+    const value = buildRescheduledValue(boardItem, dateColumnInfo, newDate);
+    TimelineLogger.userAction('timelineItemRescheduled', {
+      itemId: item.id,
+      columnId: dateColumnInfo.id,
+      value
+    });
+
+    onBoardItemsChange(prevItems => applyBoardItemDiff(prevItems, {
+      upserted: [withColumnValue(boardItem, dateColumnInfo.id, value)]
+    }));
+
+    try {
+      await changeColumnValue(boardId, item.id, dateColumnInfo.id, value);
+    } catch (error) {
+      onBoardItemsChange(prevItems => applyBoardItemDiff(prevItems, { upserted: [boardItem] }));
+      setWriteBackNotice({
+        type: Toast.types.NEGATIVE,
+        text: `Couldn't reschedule "${item.label}": ${error.message}. The change was undone.`
+      });
+    }
+  };
+
   // Handle item hide/removal
   const handleHideItem = (itemId) => {
     TimelineLogger.userAction('timelineItemHidden', { itemId });
-    setHiddenItemIds(prev => new Set([...prev, itemId]));
+    hideItem(itemId);
+  };
+
+  // Bring hidden items back, one at a time or all at once
+  const handleShowItem = (itemId) => {
+    TimelineLogger.userAction('timelineItemShown', { itemId });
+    unhideItem(itemId);
+  };
+
+  const handleShowAllItems = () => {
+    TimelineLogger.userAction('timelineHiddenItemsShown', { itemCount: hiddenItemIds.size });
+    showAllItems();
+  };
+
+  // Return one card, or all cards, to the automatic layout
+  const handleResetItemLayout = (itemId) => {
+    TimelineLogger.userAction('timelineItemLayoutReset', { itemId });
+    resetItemLayout(itemId);
+  };
+
+  const handleAutoArrange = () => {
+    TimelineLogger.userAction('timelineAutoArranged', { itemCount: Object.keys(itemLayouts).length });
+    clearItemOffsets();
   };
 
   // Extract dates from board items and determine timeline parameters
@@ -131,7 +297,7 @@ const TimelineBoard = ({ boardItems = [], settings = {} }) => {
     });
     
     const startTime = Date.now();
-    const result = processTimelineData(boardItems, settings, scale);
+    const result = processTimelineData(boardItems, settings, scale, columns);
     
     if (result) {
       const duration = Date.now() - startTime;
@@ -143,13 +309,15 @@ const TimelineBoard = ({ boardItems = [], settings = {} }) => {
       
       setTimelineParams(result.timelineParams);
       setTimelineItems(result.timelineItems);
+      setDateColumnInfo(result.dateColumn);
+      setDateColumns(result.dateColumns);
     } else {
       TimelineLogger.warn('processTimelineData returned no result', {
         boardItemCount: boardItems?.length || 0,
         hasSettings: !!settings
       });
     }
-  }, [boardItems, settings]);
+  }, [boardItems, settings, columns]);
 
   return (
     <Box
@@ -168,6 +336,15 @@ const TimelineBoard = ({ boardItems = [], settings = {} }) => {
           />
         </Flex>
       )}
+
+      {/* Source column, resolved from the board's column metadata */}
+      {dateColumnInfo && timelineItems.length > 0 && (
+        <Flex justify="center" width="100%">
+          <Text type={Text.types.TEXT2} color={Text.colors.SECONDARY}>
+            Dates from: {dateColumns.map(column => column.title).join(', ')}
+          </Text>
+        </Flex>
+      )}
       
       {/* Timeline container */}
       <Box 
@@ -183,16 +360,33 @@ const TimelineBoard = ({ boardItems = [], settings = {} }) => {
             scale={timelineParams.scale}
             items={timelineItems}
             boardItems={boardItems}
-            dateColumn={Object.keys(settings.date || {})[0]}
+            dateColumn={dateColumnInfo?.id}
+            dateColumnType={dateColumnInfo?.type}
             dateFormat={dateFormat}
             datePosition={datePosition}
             onItemMove={handleTimelineItemMove}
             onLabelChange={handleLabelChange}
+            labelsReadOnly={labelsReadOnly}
             onHideItem={handleHideItem}
+            onShowItem={handleShowItem}
+            onShowAllItems={handleShowAllItems}
             hiddenItemIds={hiddenItemIds}
             position={position}
             shape={shape}
             showItemDates={showItemDates}
+            rangeDisplay={rangeDisplay}
+            milestoneColumns={dateColumns.length > 1 ? dateColumns : []}
+            dragToReschedule={dragToReschedule}
+            onRescheduleRequest={handleRescheduleRequest}
+            itemLayouts={itemLayouts}
+            onLayoutChange={setItemLayout}
+            onResetItemLayout={handleResetItemLayout}
+            onAutoArrange={handleAutoArrange}
+            laneBy={swimlanes}
+            laneColumn={laneColumn}
+            orientation={orientation}
+            connectorOptions={connectorOptions}
+            showCriticalPath={criticalPath}
           />
         ) : (
           <Flex 
@@ -208,7 +402,30 @@ const TimelineBoard = ({ boardItems = [], settings = {} }) => {
         )}
       </Box>
       {/* Group Legend - only show if ledger setting is true */}
-      {showLedger && <GroupLegend boardItems={boardItems} hiddenItemIds={hiddenItemIds} />}
+      {showLedger && (
+        <GroupLegend
+          boardItems={boardItems}
+          hiddenItemIds={hiddenItemIds}
+          dateColumns={dateColumns.length > 1 ? dateColumns : []}
+        />
+      )}
+
+      <RescheduleConfirmModal
+        pending={pendingReschedule}
+        columnTitle={dateColumnInfo?.title}
+        dateFormat={dateFormat}
+        onConfirm={handleRescheduleConfirm}
+        onCancel={() => setPendingReschedule(null)}
+      />
+
+      <Toast
+        open={!!writeBackNotice}
+        type={writeBackNotice?.type || Toast.types.NEGATIVE}
+        autoHideDuration={8000}
+        onClose={() => setWriteBackNotice(null)}
+      >
+        {writeBackNotice?.text || ''}
+      </Toast>
     </Box>
   );
 };
@@ -0,0 +1,91 @@
+import React, { useMemo } from 'react';
+import buildConnectorPath from '../../functions/buildConnectorPath';
+import getConnectorColor from '../../functions/getConnectorColor';
+import getStatusLabelColors from '../../functions/getStatusLabelColors';
+
+// Dash pattern for dashed connectors
+const DASH_PATTERN = '6 4';
+
+/**
+ * Draws the endpoint of a connector at the axis
+ * @param {Object} props - Component props
+ * @param {{x: number, y: number}} props.point - Endpoint
+ * @param {number} props.angle - Direction the connector arrives in (degrees)
+ * @param {string} props.endpoint - 'dot', 'arrow' or 'none'
+ * @param {string} props.color - Fill color
+ * @returns {JSX.Element|null} - Endpoint marker
+ */
+const ConnectorEndpoint = ({ point, angle, endpoint, color }) => {
+  if (endpoint === 'arrow') {
+    return (
+      <polygon
+        points="0,0 -8,-4 -8,4"
+        transform={`translate(${point.x} ${point.y}) rotate(${angle})`}
+        fill={color}
+        opacity="0.8"
+      />
+    );
+  }
+  if (endpoint === 'dot') {
+    return <circle cx={point.x} cy={point.y} r="4" fill={color} opacity="0.8" />;
+  }
+  return null;
+};
+
+/**
+ * TimelineConnectors draws every card-to-axis connector in one SVG overlay. Geometry comes from
+ * calculateConnectors, so the overlay only re-renders when the layout (or a dragged card) changes.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.connectors - Connectors from calculateConnectors ({id, item, from, to})
+ * @param {string} props.orientation - Axis orientation ('horizontal' or 'vertical')
+ * @param {Object} props.options - Connector appearance
+ * @param {string} props.options.style - 'straight', 'elbow' or 'curve'
+ * @param {boolean} props.options.dashed - Whether lines are dashed
+ * @param {string} props.options.colorBy - 'neutral', 'group' or 'status'
+ * @param {Object} props.options.colorColumn - Status column info ({id, settings}) when coloring by status
+ * @param {string} props.options.endpoint - Endpoint at the axis: 'dot', 'arrow' or 'none'
+ * @returns {JSX.Element|null} - Connector overlay
+ */
+const TimelineConnectors = ({ connectors = [], orientation = 'horizontal', options = {} }) => {
+  const { style = 'straight', dashed = false, colorBy = 'neutral', colorColumn = null, endpoint = 'dot' } = options;
+  const labelColors = useMemo(() => getStatusLabelColors(colorColumn), [colorColumn]);
+
+  if (connectors.length === 0) return null;
+
+  return (
+    <svg
+      style={{
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        width: '100%',
+        height: '100%',
+        overflow: 'visible',
+        pointerEvents: 'none',
+        zIndex: 5, // Below items but above timeline
+      }}
+    >
+      {connectors.map(connector => {
+        const { d, endAngle } = buildConnectorPath(connector, style, orientation);
+        const color = getConnectorColor(connector.item, { colorBy, colorColumn, labelColors });
+
+        return (
+          <g key={connector.id}>
+            <path
+              d={d}
+              fill="none"
+              stroke={color}
+              strokeWidth="2"
+              strokeDasharray={dashed ? DASH_PATTERN : undefined}
+              opacity="0.7"
+            />
+            <ConnectorEndpoint point={connector.to} angle={endAngle} endpoint={endpoint} color={color} />
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default TimelineConnectors;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { CRITICAL_PATH_COLOR, DEPENDENCY_COLOR, VIOLATION_COLOR } from '../../functions/getConnectorColor';
+
+// Minimum distance the curve runs straight out of the predecessor and into the successor (px)
+const MIN_BEND = 24;
+
+/**
+ * Builds a curve that leaves the predecessor and enters the successor along the axis direction, looping back
+ * when the successor lies before the predecessor
+ * @param {{from: {x: number, y: number}, to: {x: number, y: number}}} arrow - Arrow end points
+ * @param {boolean} isVertical - Whether time flows top to bottom
+ * @returns {string} SVG path data
+ */
+const buildDependencyPath = ({ from, to }, isVertical) => {
+  if (isVertical) {
+    const bend = Math.max(MIN_BEND, Math.abs(to.y - from.y) / 2);
+    return `M ${from.x} ${from.y} C ${from.x} ${from.y + bend}, ${to.x} ${to.y - bend}, ${to.x} ${to.y}`;
+  }
+  const bend = Math.max(MIN_BEND, Math.abs(to.x - from.x) / 2);
+  return `M ${from.x} ${from.y} C ${from.x + bend} ${from.y}, ${to.x - bend} ${to.y}, ${to.x} ${to.y}`;
+};
+
+/**
+ * TimelineDependencies draws arrows from each predecessor to the items that depend on it, in one SVG overlay.
+ * Geometry comes from calculateDependencyArrows; violations (a successor dated before its predecessor ends)
+ * are drawn in red and explain themselves on hover, and dependencies on the critical path are drawn bold.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.arrows - Arrows from calculateDependencyArrows ({id, predecessor, successor, from, to, isViolation})
+ * @param {string} props.orientation - Axis orientation ('horizontal' or 'vertical')
+ * @param {Set} [props.criticalDependencyIds] - Dependencies on the critical path, from calculateCriticalPath
+ * @returns {JSX.Element|null} - Dependency overlay
+ */
+const TimelineDependencies = ({ arrows = [], orientation = 'horizontal', criticalDependencyIds = new Set() }) => {
+  if (arrows.length === 0) return null;
+
+  const isVertical = orientation === 'vertical';
+  // Arrowheads point along the axis, into the start of the successor
+  const arrowAngle = isVertical ? 90 : 0;
+
+  return (
+    <svg
+      className="timeline-dependencies"
+      style={{
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        width: '100%',
+        height: '100%',
+        overflow: 'visible',
+        pointerEvents: 'none',
+        zIndex: 6, // Above the connectors, below items
+      }}
+    >
+      {arrows.map(arrow => {
+        const isCritical = criticalDependencyIds.has(arrow.id);
+        const color = arrow.isViolation ? VIOLATION_COLOR : isCritical ? CRITICAL_PATH_COLOR : DEPENDENCY_COLOR;
+        const title = arrow.isViolation
+          ? `${arrow.successor.label} starts before ${arrow.predecessor.label} ends`
+          : `${arrow.successor.label} depends on ${arrow.predecessor.label}${isCritical ? ' (critical path)' : ''}`;
+
+        return (
+          <g key={arrow.id}>
+            <title>{title}</title>
+            <path
+              d={buildDependencyPath(arrow, isVertical)}
+              fill="none"
+              stroke={color}
+              strokeWidth={arrow.isViolation || isCritical ? 2.5 : 1.5}
+              strokeDasharray={arrow.isViolation ? '4 3' : undefined}
+              opacity="0.9"
+              style={{ pointerEvents: 'stroke' }}
+            />
+            <polygon
+              points="0,0 -8,-4 -8,4"
+              transform={`translate(${arrow.to.x} ${arrow.to.y}) rotate(${arrowAngle})`}
+              fill={color}
+            />
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default TimelineDependencies;
@@ -0,0 +1,228 @@
+import React from 'react';
+
+// Layout of the two tiers across a horizontal axis, in pixels from the axis
+const LOWER_TICK_HEIGHT = 6;
+const UPPER_TICK_HEIGHT = 34;
+const LOWER_LABEL_OFFSET = 8;
+const UPPER_LABEL_OFFSET = 24;
+// Vertical axis: labels run sideways, so the upper tier sits further out to clear the lower tier's labels
+const VERTICAL_UPPER_TICK_LENGTH = 64;
+const VERTICAL_UPPER_LABEL_OFFSET = 52;
+
+const labelStyle = {
+  position: 'absolute',
+  fontSize: '10px',
+  lineHeight: '12px',
+  color: 'var(--secondary-text-color)',
+  whiteSpace: 'nowrap',
+  pointerEvents: 'none',
+};
+
+/**
+ * Two-tier header for a vertical axis: ticks run sideways from the axis, lower-tier labels are centered
+ * on their cells and upper-tier labels start at their cell's top edge
+ *
+ * @param {Object} props - Component props
+ * @param {{lower: Array, upper: Array}} props.headers - Header cells from calculateScaleHeaders
+ * @param {string} props.axisLeft - CSS left of the timeline axis (e.g. '50%')
+ * @param {boolean} props.isLeft - Whether to draw on the left of the axis
+ * @returns {JSX.Element} - Vertical scale header
+ */
+const VerticalScaleHeader = ({ headers, axisLeft, isLeft }) => {
+  // Places an element `distance` px away from the axis on the header's side, `width` px wide
+  const offsetLeft = (distance, width) => (
+    `calc(${axisLeft} + ${isLeft ? -(distance + width) : distance}px)`
+  );
+  // Labels have no fixed width, so they are anchored at `distance` and grow away from the axis
+  const labelPosition = (distance) => ({
+    left: offsetLeft(distance, 0),
+    transform: isLeft ? 'translateX(-100%)' : 'none',
+    textAlign: isLeft ? 'right' : 'left',
+  });
+
+  return (
+    <>
+      {/* Scale marker line */}
+      <div
+        style={{
+          position: 'absolute',
+          top: 0,
+          height: '100%',
+          left: axisLeft,
+          width: '1px',
+          backgroundColor: 'var(--ui-border-color)',
+          zIndex: 1,
+        }}
+      />
+
+      {/* Upper tier: long boundary ticks, label at the start of each (clipped) cell */}
+      {headers.upper.map(cell => (
+        <React.Fragment key={`scale-upper-${cell.start.getTime()}`}>
+          {cell.startPosition > 0 && (
+            <div
+              style={{
+                position: 'absolute',
+                top: `${cell.startPosition}%`,
+                left: offsetLeft(0, VERTICAL_UPPER_TICK_LENGTH),
+                height: '1px',
+                width: `${VERTICAL_UPPER_TICK_LENGTH}px`,
+                backgroundColor: 'var(--ui-border-color)',
+                zIndex: 1,
+              }}
+            />
+          )}
+          <div
+            style={{
+              ...labelStyle,
+              ...labelPosition(VERTICAL_UPPER_LABEL_OFFSET),
+              top: `${cell.startPosition}%`,
+              paddingTop: '2px',
+              fontWeight: 600,
+              zIndex: 2,
+            }}
+          >
+            {cell.label}
+          </div>
+        </React.Fragment>
+      ))}
+
+      {/* Lower tier: short ticks at unit boundaries, labels centered in their cells */}
+      {headers.lower.map(cell => (
+        <React.Fragment key={`scale-lower-${cell.start.getTime()}`}>
+          {cell.startPosition > 0 && (
+            <div
+              style={{
+                position: 'absolute',
+                top: `${cell.startPosition}%`,
+                left: offsetLeft(0, LOWER_TICK_HEIGHT),
+                height: '1px',
+                width: `${LOWER_TICK_HEIGHT}px`,
+                backgroundColor: 'var(--ui-border-color)',
+                zIndex: 1,
+              }}
+            />
+          )}
+          {cell.showLabel && (
+            <div
+              style={{
+                ...labelStyle,
+                ...labelPosition(LOWER_LABEL_OFFSET),
+                top: `calc(${(cell.startPosition + cell.endPosition) / 2}% - 6px)`,
+                zIndex: 2,
+              }}
+            >
+              {cell.label}
+            </div>
+          )}
+        </React.Fragment>
+      ))}
+    </>
+  );
+};
+
+/**
+ * TimelineScaleHeader renders the two-tier axis header from calculateScaleHeaders: the primary unit
+ * (e.g. weeks) next to the axis and its enclosing unit (e.g. months) further out, with boundary ticks
+ *
+ * @param {Object} props - Component props
+ * @param {{lower: Array, upper: Array}} props.headers - Header cells from calculateScaleHeaders
+ * @param {string} props.timelineTop - CSS top of the timeline axis (e.g. '25%'), or its CSS left when vertical
+ * @param {string} props.side - Side of the axis to draw on ('above' or 'below'; left or right when vertical)
+ * @param {string} props.orientation - 'horizontal' or 'vertical' (time flows top to bottom)
+ * @returns {JSX.Element} - Scale header component
+ */
+const TimelineScaleHeader = ({ headers, timelineTop, side = 'above', orientation = 'horizontal' }) => {
+  const isAbove = side === 'above';
+  // Places an element `distance` px away from the axis on the header's side, `height` px tall
+  const offsetTop = (distance, height) => (
+    `calc(${timelineTop} + ${isAbove ? -(distance + height) : distance}px)`
+  );
+
+  if (orientation === 'vertical') {
+    return (
+      <VerticalScaleHeader headers={headers} axisLeft={timelineTop} isLeft={isAbove} />
+    );
+  }
+
+  return (
+    <>
+      {/* Scale marker line */}
+      <div
+        style={{
+          position: 'absolute',
+          left: 0,
+          width: '100%',
+          top: timelineTop,
+          height: '1px',
+          backgroundColor: 'var(--ui-border-color)',
+          zIndex: 1,
+        }}
+      />
+
+      {/* Upper tier: long boundary ticks, label at the start of each (clipped) cell */}
+      {headers.upper.map(cell => (
+        <React.Fragment key={`scale-upper-${cell.start.getTime()}`}>
+          {cell.startPosition > 0 && (
+            <div
+              style={{
+                position: 'absolute',
+                left: `${cell.startPosition}%`,
+                top: offsetTop(0, UPPER_TICK_HEIGHT),
+                width: '1px',
+                height: `${UPPER_TICK_HEIGHT}px`,
+                backgroundColor: 'var(--ui-border-color)',
+                zIndex: 1,
+              }}
+            />
+          )}
+          <div
+            style={{
+              ...labelStyle,
+              left: `${cell.startPosition}%`,
+              top: offsetTop(UPPER_LABEL_OFFSET, 12),
+              paddingLeft: '4px',
+              fontWeight: 600,
+              zIndex: 2,
+            }}
+          >
+            {cell.label}
+          </div>
+        </React.Fragment>
+      ))}
+
+      {/* Lower tier: short ticks at unit boundaries, labels centered in their cells */}
+      {headers.lower.map(cell => (
+        <React.Fragment key={`scale-lower-${cell.start.getTime()}`}>
+          {cell.startPosition > 0 && (
+            <div
+              style={{
+                position: 'absolute',
+                left: `${cell.startPosition}%`,
+                top: offsetTop(0, LOWER_TICK_HEIGHT),
+                width: '1px',
+                height: `${LOWER_TICK_HEIGHT}px`,
+                backgroundColor: 'var(--ui-border-color)',
+                zIndex: 1,
+              }}
+            />
+          )}
+          {cell.showLabel && (
+            <div
+              style={{
+                ...labelStyle,
+                left: `${(cell.startPosition + cell.endPosition) / 2}%`,
+                top: offsetTop(LOWER_LABEL_OFFSET, 12),
+                transform: 'translateX(-50%)',
+                zIndex: 2,
+              }}
+            >
+              {cell.label}
+            </div>
+          )}
+        </React.Fragment>
+      ))}
+    </>
+  );
+};
+
+export default TimelineScaleHeader;
@@ -0,0 +1,52 @@
+import React from 'react';
+import getSpanBarOffset from '../../functions/getSpanBarOffset';
+
+/**
+ * TimelineSpanBar renders a range item as a bar along the axis from its start to its end date
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.span - Span from calculateSpanRows (startPosition, endPosition, row, originalItem)
+ * @param {string} props.timelineTop - CSS top of the timeline axis (e.g. '25%'), or its CSS left when vertical
+ * @param {string} props.side - Side of the axis to draw on ('above' or 'below'; left or right when vertical)
+ * @param {boolean} props.isHidden - Whether the item is hidden
+ * @param {string} props.orientation - 'horizontal' or 'vertical' (time flows top to bottom)
+ * @returns {JSX.Element} - Span bar component
+ */
+const TimelineSpanBar = ({ span, timelineTop, side = 'above', isHidden = false, orientation = 'horizontal' }) => {
+  const color = span.originalItem?.group?.color || 'var(--primary-color)';
+  const { offset, thickness } = getSpanBarOffset(span.row, side);
+  const isVertical = orientation === 'vertical';
+  // Keep single-day ranges visible
+  const length = `max(${span.endPosition - span.startPosition}%, ${thickness}px)`;
+
+  return (
+    <div
+      id={`timeline-span-${span.id}`}
+      title={span.label}
+      style={{
+        position: 'absolute',
+        ...(isVertical
+          ? {
+            top: `${span.startPosition}%`,
+            height: length,
+            left: `calc(${timelineTop} + ${offset}px)`,
+            width: `${thickness}px`,
+          }
+          : {
+            left: `${span.startPosition}%`,
+            width: length,
+            top: `calc(${timelineTop} + ${offset}px)`,
+            height: `${thickness}px`,
+          }),
+        borderRadius: `${thickness / 2}px`,
+        backgroundColor: color,
+        opacity: 0.85,
+        boxShadow: '0 1px 2px rgba(0, 0, 0, 0.15)',
+        display: isHidden ? 'none' : 'block',
+        zIndex: 3,
+      }}
+    />
+  );
+};
+
+export default TimelineSpanBar;
@@ -3,27 +3,57 @@ import DraggableBoardItem from './DraggableBoardItem';
 
 /**
  * Renders timeline items as JSX elements with proper positioning
- * @param {Array} itemsWithPositions - Array of items with calculated render positions
- * @param {Function} onItemClick - Callback for item click events
- * @param {Function} onLabelChange - Callback for label change events
- * @param {Function} onRemove - Callback for removing items
- * @param {string} shape - Shape of timeline items ('rectangle', 'circle')
- * @param {Set} hiddenItemIds - Set of item IDs that should be hidden from view
- * @param {boolean} showItemDates - Whether to show editable dates on timeline items
- * @param {Function} onPositionChange - Callback for when an item's position changes
+ * @param {Object} options - Items and how to render them
+ * @param {Array} options.items - Array of items with calculated render positions
+ * @param {Function} [options.onItemClick] - Callback for item click events
+ * @param {Function} [options.onLabelChange] - Callback for label change events
+ * @param {Function} [options.onRemove] - Callback for removing items
+ * @param {string} [options.shape='rectangle'] - Shape of timeline items ('rectangle', 'circle')
+ * @param {Set} [options.hiddenItemIds] - Set of item IDs that should be hidden from view
+ * @param {boolean} [options.showItemDates=false] - Whether to show editable dates on timeline items
+ * @param {Function} [options.onPositionChange] - Callback for when an item's position changes
+ * @param {Function} [options.onDragEnd] - Callback for when a drag of an item finishes
+ * @param {boolean} [options.labelsReadOnly=false] - Whether item names can be edited
+ * @param {Object} [options.itemLayouts] - Persisted layout entries ({x, y, width, height}) keyed by item ID
+ * @param {Function} [options.onLayoutChange] - Callback with (itemId, changes) when a drag or resize should be
+ *   persisted
+ * @param {string} [options.orientation='horizontal'] - 'horizontal' or 'vertical'; when vertical, x is the top and
+ *   y the offset from the axis
+ * @param {string} [options.axisPosition='50%'] - CSS top of the axis (e.g. '120px'), or its CSS left when vertical;
+ *   y is relative to it
+ * @param {Function} [options.measureCard] - Returns a ref callback (by item ID) that reports each card's size to the
+ *   layout engine
+ * @param {string|null} [options.selectedItemId] - ID of the selected card
+ * @param {number} [options.snapGridSize=0] - Grid size (px) that dragged cards snap to; 0 for none
+ * @param {Function} [options.onAlignmentGuides] - Callback with the alignment guides to show while dragging
+ * @param {Object|null} [options.criticalPath] - Analysis from calculateCriticalPath, for slack tooltips and
+ *   critical rings
  * @returns {Array} Array of JSX elements for timeline items
  */
-export function renderTimelineItems(
-  itemsWithPositions, 
-  onItemClick, 
-  onLabelChange, 
-  onRemove, 
-  shape = 'rectangle', 
-  hiddenItemIds = new Set(), 
+export function renderTimelineItems({
+  items,
+  onItemClick,
+  onLabelChange,
+  onRemove,
+  shape = 'rectangle',
+  hiddenItemIds = new Set(),
   showItemDates = false,
-  onPositionChange = () => {}
-) {
-  return itemsWithPositions.map((item, index) => {
+  onPositionChange = () => {},
+  onDragEnd = () => {},
+  labelsReadOnly = false,
+  itemLayouts = {},
+  onLayoutChange = () => {},
+  orientation = 'horizontal',
+  axisPosition = '50%',
+  measureCard = null,
+  selectedItemId = null,
+  snapGridSize = 0,
+  onAlignmentGuides,
+  criticalPath = null
+}) {
+  const isVertical = orientation === 'vertical';
+
+  return items.map((item, index) => {
     const itemDate = new Date(item.date);
     
     // Check if this item should be hidden
@@ -35,8 +65,8 @@ export function renderTimelineItems(
         id={`board-item-${item.id}`}
         style={{
           position: 'absolute',
-          left: `${item.renderPosition.x}%`,
-          top: `calc(50% + ${item.renderPosition.y}px)`,
+          left: isVertical ? `calc(${axisPosition} + ${item.renderPosition.y}px)` : `${item.renderPosition.x}%`,
+          top: isVertical ? `${item.renderPosition.x}%` : `calc(${axisPosition} + ${item.renderPosition.y}px)`,
           zIndex: item.renderPosition.zIndex,
           display: isHidden ? 'none' : 'block', // Hide the item if it's in hiddenItemIds
           transform: 'translateX(-50%)', // Center the item on its position
@@ -48,10 +78,21 @@ export function renderTimelineItems(
           date={itemDate}
           shape={shape}
           onClick={() => onItemClick?.(item)}
-          onLabelChange={(itemId, newLabel) => onLabelChange?.(itemId, newLabel)}
+          onLabelChange={(itemId, newLabel, baseLabel) => onLabelChange?.(itemId, newLabel, baseLabel)}
+          labelsReadOnly={labelsReadOnly}
           onRemove={onRemove}
           showItemDates={showItemDates}
           onPositionChange={onPositionChange}
+          onDragEnd={onDragEnd}
+          savedLayout={itemLayouts[item.id]}
+          onLayoutChange={onLayoutChange}
+          orientation={orientation}
+          measureRef={measureCard?.(item.id)}
+          isSelected={item.id === selectedItemId}
+          snapGridSize={snapGridSize}
+          onAlignmentGuides={onAlignmentGuides}
+          isCritical={!!criticalPath?.criticalItemIds.has(String(item.id))}
+          slackDays={criticalPath?.slackDays.get(String(item.id))}
         />
       </div>
     );
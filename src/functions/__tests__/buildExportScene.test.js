@@ -0,0 +1,120 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import buildExportScene from '../buildExportScene';
+
+// jsdom has no layout: each element reports the box it is given here, and text takes its parent's box
+const place = (element, x, y, width, height) => {
+  element.getBoundingClientRect = () => new DOMRect(x, y, width, height);
+  return element;
+};
+
+const createElement = (html) => {
+  const template = document.createElement('template');
+  template.innerHTML = html.trim();
+  return template.content.firstElementChild;
+};
+
+describe('buildExportScene', () => {
+  let originalRangeRects;
+
+  beforeEach(() => {
+    originalRangeRects = [Range.prototype.getClientRects, Range.prototype.getBoundingClientRect];
+    Range.prototype.getBoundingClientRect = function getBoundingClientRect() {
+      return this.startContainer.parentElement.getBoundingClientRect();
+    };
+    Range.prototype.getClientRects = function getClientRects() {
+      return [this.getBoundingClientRect()];
+    };
+  });
+
+  afterEach(() => {
+    [Range.prototype.getClientRects, Range.prototype.getBoundingClientRect] = originalRangeRects;
+    document.body.innerHTML = '';
+  });
+
+  const renderBoard = () => {
+    const root = place(createElement('<div class="timeline-board"></div>'), 100, 50, 400, 200);
+    const container = createElement(
+      '<div class="timeline-container" data-view-start="2024-01-01T00:00:00.000Z" '
+      + 'data-view-end="2024-02-01T00:00:00.000Z" data-orientation="horizontal"></div>'
+    );
+    const axis = place(
+      createElement('<div class="timeline-axis-line" style="background-color: rgb(195, 198, 212)"></div>'),
+      120, 150, 360, 2
+    );
+    const card = place(createElement(
+      '<div style="position: absolute; z-index: 10; background-color: rgb(255, 255, 255); '
+      + 'border: 1px solid rgb(50, 51, 56); '
+      // jsdom does not expand the border-radius shorthand
+      + 'border-top-left-radius: 8px; border-top-right-radius: 8px; '
+      + 'border-bottom-right-radius: 8px; border-bottom-left-radius: 8px"></div>'
+    ), 150, 70, 140, 60);
+    const label = place(createElement('<span style="color: rgb(50, 51, 56); font-size: 13px">Launch</span>'), 160, 90, 60, 16);
+    // Painted below the card despite coming later in the document
+    const backdrop = place(createElement(
+      '<div style="position: absolute; z-index: 1; background-color: rgba(0, 115, 234, 0.5)"></div>'
+    ), 140, 60, 200, 100);
+    const toolbar = place(createElement('<div class="export-ignore" style="background-color: rgb(255, 0, 0)"></div>'), 0, 0, 50, 20);
+    const hidden = place(createElement('<div style="display: none; background-color: rgb(255, 0, 0)"></div>'), 0, 0, 50, 20);
+
+    card.appendChild(label);
+    container.append(axis, card, backdrop);
+    root.append(container, toolbar, hidden);
+    document.body.appendChild(root);
+    return root;
+  };
+
+  it('turns styled boxes and text into scene elements in paint order', () => {
+    const scene = buildExportScene(renderBoard(), { padding: 0 });
+
+    expect(scene.elements.map(element => element.type)).toEqual(['rect', 'rect', 'rect', 'text']);
+    const [axis, backdrop, card, label] = scene.elements;
+
+    expect(axis).toMatchObject({ x: 20, y: 100, width: 360, height: 2, fill: '#c3c6d4', fillOpacity: 1 });
+    expect(backdrop).toMatchObject({ fill: '#0073ea', fillOpacity: 0.5 });
+    expect(card).toMatchObject({
+      x: 50,
+      y: 20,
+      width: 140,
+      height: 60,
+      radius: 8,
+      fill: '#ffffff',
+      stroke: '#323338',
+      strokeWidth: 1
+    });
+    expect(label).toMatchObject({ text: 'Launch', x: 60, y: 40, fontSize: 13, color: '#323338', opacity: 1 });
+  });
+
+  it('leaves out ignored and hidden elements', () => {
+    const scene = buildExportScene(renderBoard(), { padding: 0 });
+    expect(scene.elements.some(element => element.fill === '#ff0000')).toBe(false);
+  });
+
+  it('offsets everything by the padding and adds it to the size', () => {
+    const root = renderBoard();
+    const scene = buildExportScene(root, { padding: 32, background: '#ffffff' });
+    const card = scene.elements.find(element => element.radius === 8);
+
+    expect(card).toMatchObject({ x: 82, y: 52 });
+    expect(scene).toMatchObject({ width: 464, height: 264, background: '#ffffff', clip: null });
+  });
+
+  it('reads the axis span and its dates from the timeline container', () => {
+    const scene = buildExportScene(renderBoard(), { padding: 0 });
+    expect(scene.axis).toEqual({
+      orientation: 'horizontal',
+      start: 20,
+      end: 380,
+      startDate: new Date('2024-01-01T00:00:00.000Z'),
+      endDate: new Date('2024-02-01T00:00:00.000Z')
+    });
+  });
+
+  it('has no axis without a dated timeline container', () => {
+    const root = place(createElement('<div><p style="color: rgb(0, 0, 0)">Empty</p></div>'), 0, 0, 100, 100);
+    place(root.firstElementChild, 10, 10, 50, 20);
+    document.body.appendChild(root);
+
+    expect(buildExportScene(root, { padding: 0 }).axis).toBeNull();
+  });
+});
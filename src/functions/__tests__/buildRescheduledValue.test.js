@@ -0,0 +1,67 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import buildRescheduledValue from '../buildRescheduledValue';
+
+const boardItem = (value) => ({
+  id: '1',
+  column_values: [{ id: 'date', value: value === null ? null : JSON.stringify(value) }]
+});
+
+const dateColumn = { id: 'date', type: 'date' };
+
+describe('buildRescheduledValue', () => {
+  // Timed values are stored in UTC, so the local day and the stored day differ near midnight
+  let originalTimezone;
+  beforeAll(() => {
+    originalTimezone = process.env.TZ;
+    process.env.TZ = 'America/New_York';
+  });
+  afterAll(() => {
+    if (originalTimezone === undefined) delete process.env.TZ;
+    else process.env.TZ = originalTimezone;
+  });
+
+  it('runs in a timezone behind UTC', () => {
+    expect(new Date(2024, 2, 5).getTimezoneOffset()).toBe(300);
+  });
+
+  it('moves a plain date to the new local day', () => {
+    expect(buildRescheduledValue(boardItem({ date: '2024-03-05' }), dateColumn, new Date(2024, 2, 8)))
+      .toEqual({ date: '2024-03-08' });
+  });
+
+  it('keeps the local time of day of a timed date near midnight', () => {
+    // 03:30 UTC on March 6 is 22:30 on March 5 in New York
+    const value = buildRescheduledValue(
+      boardItem({ date: '2024-03-06', time: '03:30:00' }),
+      dateColumn,
+      new Date(2024, 2, 8)
+    );
+
+    // 22:30 on March 8 in New York
+    expect(value).toEqual({ date: '2024-03-09', time: '03:30:00' });
+  });
+
+  it('keeps the local time of day across a daylight saving change', () => {
+    const value = buildRescheduledValue(
+      boardItem({ date: '2024-03-06', time: '03:30:00' }),
+      dateColumn,
+      new Date(2024, 2, 12)
+    );
+
+    // 22:30 on March 12 in New York, now UTC-4
+    expect(value).toEqual({ date: '2024-03-13', time: '02:30:00' });
+  });
+
+  it('keeps the duration of a timeline and ends it on the new date', () => {
+    const value = buildRescheduledValue(
+      boardItem({ from: '2024-03-01', to: '2024-03-05' }),
+      { id: 'date', type: 'timeline' },
+      new Date(2024, 2, 20)
+    );
+    expect(value).toEqual({ from: '2024-03-16', to: '2024-03-20' });
+  });
+
+  it('returns null for columns that cannot be rescheduled', () => {
+    expect(buildRescheduledValue(boardItem(null), { id: 'date', type: 'formula' }, new Date(2024, 2, 8))).toBeNull();
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import calculateCardLayout from '../calculateCardLayout';
+import calculateSpanRows from '../calculateSpanRows';
+import getSpanBarOffset from '../getSpanBarOffset';
+
+// 100-day window over a 1000px axis: one day is 10px
+const options = {
+  startDate: new Date(2024, 0, 1),
+  endDate: new Date(2024, 3, 10),
+  position: 'below',
+  axisLength: 1000,
+  defaultSize: { width: 140, height: 60 }
+};
+const item = (id, day) => ({ id, date: new Date(2024, 0, 1 + day) });
+const byId = (layout) => Object.fromEntries(layout.items.map(laidOut => [laidOut.id, laidOut]));
+
+describe('calculateCardLayout', () => {
+  it('puts cards that do not overlap in the first row', () => {
+    const layout = calculateCardLayout([item('a', 10), item('b', 50)], options);
+    const cards = byId(layout);
+
+    expect(cards.a.renderPosition).toEqual({ x: 10, y: 64, zIndex: 10 });
+    expect(cards.b.renderPosition.y).toBe(64);
+    expect(layout.extents).toEqual({ above: 0, below: 124 });
+  });
+
+  it('moves an overlapping card to the next row', () => {
+    const cards = byId(calculateCardLayout([item('a', 10), item('b', 15)], options));
+
+    // First row: 64px clearance; second row: after the 60px card and a 12px gap
+    expect(cards.b.renderPosition).toEqual({ x: 15, y: 136, zIndex: 11 });
+  });
+
+  it('reuses a row once a card fits after the last one in it', () => {
+    const cards = byId(calculateCardLayout([item('a', 10), item('b', 15), item('c', 30)], options));
+    expect(cards.c.renderPosition.y).toBe(64);
+  });
+
+  it('hangs cards above the axis by their top edge', () => {
+    const layout = calculateCardLayout([item('a', 10)], { ...options, position: 'above' });
+    expect(layout.items[0].renderPosition.y).toBe(-124);
+    expect(layout.extents).toEqual({ above: 124, below: 0 });
+  });
+
+  it('alternates sides, preferring the side with a free row', () => {
+    const cards = byId(calculateCardLayout([item('a', 10), item('b', 12), item('c', 14)], {
+      ...options,
+      position: 'alternate'
+    }));
+
+    expect(cards.a.renderPosition.y).toBeGreaterThan(0);
+    expect(cards.b.renderPosition.y).toBeLessThan(0);
+    // Both first rows are taken, so the tie keeps alternating
+    expect(cards.c.renderPosition.y).toBeGreaterThan(64);
+  });
+
+  it('packs with measured sizes over the default size', () => {
+    const cards = byId(calculateCardLayout([item('a', 10), item('b', 30)], {
+      ...options,
+      cardSizes: { a: { width: 400, height: 100 } }
+    }));
+
+    // a reaches 200px past its date, over b's start
+    expect(cards.b.renderPosition.y).toBe(64 + 100 + 12);
+    expect(cards.a.renderSize).toEqual({ width: 400, height: 100 });
+  });
+
+  it('gives skipped cards no space', () => {
+    const layout = calculateCardLayout([item('a', 10), item('b', 12)], { ...options, skipIds: new Set(['a']) });
+    const cards = byId(layout);
+
+    expect(cards.a.renderPosition.y).toBe(0);
+    expect(cards.b.renderPosition.y).toBe(64);
+    expect(layout.extents.below).toBe(124);
+  });
+
+  it('centers cards on their row across a vertical axis', () => {
+    const layout = calculateCardLayout([item('a', 10)], { ...options, orientation: 'vertical', axisLength: 2000 });
+    expect(layout.items[0].renderPosition.y).toBe(120 + 140 / 2);
+    expect(layout.extents.below).toBe(120 + 140);
+  });
+
+  it('starts the first row past stacked span bars', () => {
+    // Three overlapping ranges stack into three rows of bars
+    const spans = calculateSpanRows([0, 5, 10].map(day => ({
+      id: `span-${day}`,
+      startDate: new Date(2024, 0, 1 + day),
+      endDate: new Date(2024, 0, 30)
+    })), options.startDate, options.endDate);
+    const spanRowCount = Math.max(...spans.map(span => span.row)) + 1;
+    const outermostBar = getSpanBarOffset(spanRowCount - 1, 'below');
+
+    const layout = calculateCardLayout([item('a', 10)], { ...options, spanRowCount });
+
+    expect(spanRowCount).toBe(3);
+    // 6px to the first bar, then three 8px bars with 4px gaps between them
+    expect(outermostBar.offset + outermostBar.thickness).toBe(38);
+    expect(layout.items[0].renderPosition.y).toBe(64 + 38);
+    expect(layout.extents.below).toBe(64 + 38 + 60);
+  });
+});
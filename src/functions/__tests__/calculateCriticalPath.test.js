@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import calculateCriticalPath from '../calculateCriticalPath';
+
+// Date-only range in January 2024; it finishes at the end of its last day
+const range = (id, firstDay, lastDay) => ({
+  id,
+  isRange: true,
+  startDate: new Date(2024, 0, firstDay),
+  endDate: new Date(2024, 0, lastDay),
+  date: new Date(2024, 0, lastDay)
+});
+const link = (predecessorId, successorId) => ({ id: `${predecessorId}-${successorId}`, predecessorId, successorId });
+
+describe('calculateCriticalPath', () => {
+  it('finds the chain that sets the last finish and the slack of the other items', () => {
+    const items = [range('a', 1, 5), range('b', 6, 10), range('c', 6, 7)];
+    const result = calculateCriticalPath(items, [link('a', 'b'), link('a', 'c')]);
+
+    expect(Object.fromEntries(result.slackDays)).toEqual({ a: 0, b: 0, c: 3 });
+    expect(result.criticalItemIds).toEqual(new Set(['a', 'b']));
+    expect(result.criticalDependencyIds).toEqual(new Set(['a-b']));
+  });
+
+  it('gives negative slack to a predecessor that finishes after its successor starts', () => {
+    const items = [range('a', 1, 5), range('b', 3, 4)];
+    const result = calculateCriticalPath(items, [link('a', 'b')]);
+
+    expect(result.slackDays.get('a')).toBe(-2);
+    expect(result.slackDays.get('b')).toBe(1);
+    expect(result.criticalItemIds).toEqual(new Set(['a']));
+    expect(result.criticalDependencyIds.size).toBe(0);
+  });
+
+  it('only analyzes items that take part in a dependency', () => {
+    const items = [range('a', 1, 2), range('b', 3, 4), range('loose', 20, 25)];
+    const result = calculateCriticalPath(items, [link('a', 'b')]);
+
+    expect(result.slackDays.has('loose')).toBe(false);
+    expect(result.criticalItemIds).toEqual(new Set(['a', 'b']));
+  });
+
+  it('matches numeric item IDs against string dependency IDs', () => {
+    const items = [range(1, 1, 2), range(2, 3, 4)];
+    const result = calculateCriticalPath(items, [link('1', '2')]);
+    expect(result.criticalItemIds).toEqual(new Set(['1', '2']));
+  });
+
+  it('leaves items in a dependency cycle out of the analysis', () => {
+    const items = [range('a', 1, 2), range('b', 3, 4), range('c', 5, 6)];
+    const result = calculateCriticalPath(items, [link('a', 'b'), link('b', 'a'), link('b', 'c')]);
+
+    expect(result.slackDays.has('a')).toBe(false);
+    expect(result.slackDays.has('b')).toBe(false);
+    expect(result.slackDays.get('c')).toBe(0);
+  });
+
+  it('returns an empty analysis when no dependency links two known items', () => {
+    const result = calculateCriticalPath([range('a', 1, 2)], [link('a', 'missing')]);
+    expect(result).toEqual({ slackDays: new Map(), criticalItemIds: new Set(), criticalDependencyIds: new Set() });
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, expect, it } from 'vitest';
+import calculateExportFrame from '../calculateExportFrame';
+import frameExportScene from '../frameExportScene';
+
+// 1000 x 400 scene whose axis runs the full width from January 1 to 11, 100px a day (local time)
+const createScene = (elements = []) => ({
+  width: 1000,
+  height: 400,
+  background: '#ffffff',
+  axis: {
+    orientation: 'horizontal',
+    start: 0,
+    end: 1000,
+    startDate: new Date(2024, 0, 1),
+    endDate: new Date(2024, 0, 11)
+  },
+  clip: null,
+  elements
+});
+
+describe('calculateExportFrame', () => {
+  it('pads the whole scene at its own size by default', () => {
+    expect(calculateExportFrame(createScene())).toEqual({
+      crop: { x: 0, y: 0, width: 1000, height: 400 },
+      scale: 1,
+      offsetX: 32,
+      offsetY: 32,
+      width: 1064,
+      height: 464
+    });
+  });
+
+  it('crops along the axis to the date range', () => {
+    const frame = calculateExportFrame(createScene(), {
+      cropStart: new Date(2024, 0, 3),
+      cropEnd: new Date(2024, 0, 6),
+      padding: 0
+    });
+    expect(frame.crop).toEqual({ x: 200, y: 0, width: 300, height: 400 });
+  });
+
+  it('clamps crop dates outside the scene to its edges', () => {
+    const frame = calculateExportFrame(createScene(), {
+      cropStart: new Date(2023, 11, 1),
+      cropEnd: new Date(2024, 0, 6),
+      padding: 0
+    });
+    expect(frame.crop).toEqual({ x: 0, y: 0, width: 500, height: 400 });
+  });
+
+  it('ignores an empty crop range', () => {
+    const frame = calculateExportFrame(createScene(), {
+      cropStart: new Date(2024, 0, 6),
+      cropEnd: new Date(2024, 0, 3),
+      padding: 0
+    });
+    expect(frame.crop).toEqual({ x: 0, y: 0, width: 1000, height: 400 });
+  });
+
+  it('grows the canvas to the aspect ratio with the content centered', () => {
+    const frame = calculateExportFrame(createScene(), { padding: 0, aspectRatio: 1 });
+    expect(frame).toMatchObject({ width: 1000, height: 1000, offsetX: 0, offsetY: 300 });
+  });
+
+  it('scales to the target width', () => {
+    const frame = calculateExportFrame(createScene(), { padding: 0, width: 500 });
+    expect(frame).toMatchObject({ scale: 0.5, width: 500, height: 200 });
+  });
+
+  it('takes the aspect ratio from a target width and height', () => {
+    const frame = calculateExportFrame(createScene(), { padding: 0, width: 500, height: 500 });
+    expect(frame).toMatchObject({ scale: 0.5, width: 500, height: 500, offsetX: 0, offsetY: 150 });
+  });
+});
+
+describe('frameExportScene', () => {
+  const card = { type: 'rect', x: 300, y: 100, width: 100, height: 40, radius: 8, strokeWidth: 2 };
+  const label = { type: 'text', x: 310, y: 110, width: 60, height: 16, fontSize: 12, color: '#323338' };
+  const outside = { type: 'rect', x: 800, y: 100, width: 50, height: 40, strokeWidth: 1 };
+
+  it('moves and scales elements into the frame and drops those outside the crop', () => {
+    const scene = createScene([card, label, outside]);
+    const frame = calculateExportFrame(scene, {
+      cropStart: new Date(2024, 0, 3),
+      cropEnd: new Date(2024, 0, 6),
+      padding: 0,
+      width: 600
+    });
+    const framed = frameExportScene(scene, frame);
+
+    expect(framed.elements).toHaveLength(2);
+    expect(framed.elements[0]).toMatchObject({ x: 200, y: 200, width: 200, height: 80, radius: 16, strokeWidth: 4 });
+    expect(framed.elements[1]).toMatchObject({ x: 220, y: 220, fontSize: 24, color: '#323338' });
+    expect(framed.clip).toEqual({ x: 0, y: 0, width: 600, height: 800 });
+  });
+
+  it('narrows the axis to the crop with the dates it then spans', () => {
+    const scene = createScene();
+    const frame = calculateExportFrame(scene, { cropStart: new Date(2024, 0, 3), padding: 10 });
+
+    expect(frameExportScene(scene, frame).axis).toEqual({
+      orientation: 'horizontal',
+      start: 10,
+      end: 810,
+      startDate: new Date(2024, 0, 3),
+      endDate: new Date(2024, 0, 11)
+    });
+  });
+
+  it('does not clip an uncropped scene and can override text color and background', () => {
+    const scene = createScene([label]);
+    const framed = frameExportScene(scene, calculateExportFrame(scene), { background: null, textColor: '#000000' });
+
+    expect(framed.clip).toBeNull();
+    expect(framed.background).toBeNull();
+    expect(framed.elements[0].color).toBe('#000000');
+  });
+});
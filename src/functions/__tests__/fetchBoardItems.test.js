@@ -0,0 +1,104 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import fetchBoardItems from '../fetchBoardItems';
+import { callMondayApi } from '../../services/mondayApi';
+import { FIRST_ITEMS_PAGE_QUERY } from '../../services/boardQueries';
+
+vi.mock('../../services/mondayApi', () => ({
+  callMondayApi: vi.fn(),
+  parseMondayApiError: (error) => error
+}));
+
+const context = { boardId: 1 };
+
+// Board state held by the setters, like App's useState
+const createState = () => {
+  const state = { items: [], isLoading: false, isLoadingMore: false, error: null, pageError: null };
+  return {
+    state,
+    setBoardItems: (update) => { state.items = typeof update === 'function' ? update(state.items) : update; },
+    setIsLoading: (value) => { state.isLoading = value; },
+    setIsLoadingMore: (value) => { state.isLoadingMore = value; },
+    setError: (value) => { state.error = value; },
+    setPageError: (value) => { state.pageError = value; }
+  };
+};
+
+const load = ({ setBoardItems, setIsLoading, setError, ...options }, itemIds = null) => (
+  fetchBoardItems(context, itemIds, setBoardItems, setIsLoading, setError, options)
+);
+
+const firstPage = (items, cursor) => ({ data: { boards: [{ items_page: { items, cursor } }] } });
+const nextPage = (items, cursor) => ({ data: { next_items_page: { items, cursor } } });
+
+describe('fetchBoardItems', () => {
+  beforeEach(() => {
+    callMondayApi.mockReset();
+  });
+
+  it('streams every page of the board into state', async () => {
+    callMondayApi
+      .mockResolvedValueOnce(firstPage([{ id: '1' }], 'c1'))
+      .mockResolvedValueOnce(nextPage([{ id: '2' }], null));
+    const board = createState();
+
+    await load(board);
+
+    expect(board.state.items.map(item => item.id)).toEqual(['1', '2']);
+    expect(callMondayApi.mock.calls[1][1].variables).toEqual({ cursor: 'c1', limit: 500 });
+    expect(board.state).toMatchObject({ isLoading: false, isLoadingMore: false, error: null, pageError: null });
+  });
+
+  it('keeps the loaded pages when a later page fails and reports where to resume', async () => {
+    const failure = new Error('Internal server error');
+    callMondayApi
+      .mockResolvedValueOnce(firstPage([{ id: '1' }], 'c1'))
+      .mockResolvedValueOnce(nextPage([{ id: '2' }], 'c2'))
+      .mockRejectedValueOnce(failure);
+    const board = createState();
+
+    await load(board);
+
+    expect(board.state.items.map(item => item.id)).toEqual(['1', '2']);
+    expect(board.state.error).toBeNull();
+    expect(board.state.pageError).toEqual({ error: failure, cursor: 'c2' });
+    expect(board.state.isLoadingMore).toBe(false);
+  });
+
+  it('resumes from the failed page, appending to the items already loaded', async () => {
+    callMondayApi.mockResolvedValueOnce(nextPage([{ id: '3' }], null));
+    const board = createState();
+    board.state.items = [{ id: '1' }, { id: '2' }];
+    board.state.pageError = { error: new Error('Internal server error'), cursor: 'c2' };
+
+    await load({ ...board, resumeCursor: 'c2' });
+
+    expect(callMondayApi).toHaveBeenCalledTimes(1);
+    expect(callMondayApi.mock.calls[0][1].variables).toEqual({ cursor: 'c2', limit: 500 });
+    expect(board.state.items.map(item => item.id)).toEqual(['1', '2', '3']);
+    expect(board.state.pageError).toBeNull();
+  });
+
+  it('reports a failed resume against the same cursor', async () => {
+    const failure = new Error('Internal server error');
+    callMondayApi.mockRejectedValueOnce(failure);
+    const board = createState();
+
+    await load({ ...board, resumeCursor: 'c2' });
+
+    expect(board.state.pageError).toEqual({ error: failure, cursor: 'c2' });
+    expect(board.state.error).toBeNull();
+  });
+
+  it('fails the whole load when the first page fails', async () => {
+    const failure = new Error('Not Authenticated');
+    callMondayApi.mockRejectedValueOnce(failure);
+    const board = createState();
+
+    await load(board);
+
+    expect(callMondayApi.mock.calls[0][0]).toBe(FIRST_ITEMS_PAGE_QUERY);
+    expect(board.state.error).toBe(failure);
+    expect(board.state.pageError).toBeNull();
+    expect(board.state.isLoading).toBe(false);
+  });
+});
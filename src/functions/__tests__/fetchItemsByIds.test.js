@@ -0,0 +1,80 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import fetchItemsByIds from '../fetchItemsByIds';
+import { callMondayApi } from '../../services/mondayApi';
+
+vi.mock('../../services/mondayApi', () => ({ callMondayApi: vi.fn() }));
+
+// Error as callMondayApi throws it (a MondayApiError)
+const apiError = (message, details = {}) => Object.assign(new Error(message), { queryTooComplex: false, ...details });
+
+// Answers with one item per requested ID, failing any batch larger than maxBatch as too complex
+const answerUpTo = (maxBatch) => async (query, { variables }) => {
+  if (variables.itemIds.length > maxBatch) {
+    throw apiError('Query has complexity of 6000000', { queryTooComplex: true });
+  }
+  return { data: { items: variables.itemIds.map(id => ({ id })) } };
+};
+
+const range = (count) => Array.from({ length: count }, (_, index) => String(index + 1));
+const requestedBatches = () => callMondayApi.mock.calls.map(([, { variables }]) => variables.itemIds);
+
+describe('fetchItemsByIds', () => {
+  beforeEach(() => {
+    callMondayApi.mockReset();
+  });
+
+  it('splits the IDs into batches of at most 100', async () => {
+    callMondayApi.mockImplementation(answerUpTo(100));
+
+    const items = await fetchItemsByIds(range(250));
+
+    expect(requestedBatches().map(batch => batch.length)).toEqual([100, 100, 50]);
+    expect(items.map(item => item.id)).toEqual(range(250));
+  });
+
+  it('halves a batch the API reports as too complex until it succeeds, keeping item order', async () => {
+    callMondayApi.mockImplementation(answerUpTo(30));
+
+    const items = await fetchItemsByIds(range(100));
+
+    expect(requestedBatches().map(batch => batch.length)).toEqual([100, 50, 25, 25, 50, 25, 25]);
+    expect(items.map(item => item.id)).toEqual(range(100));
+  });
+
+  it('requests string IDs with a limit matching the batch', async () => {
+    callMondayApi.mockImplementation(answerUpTo(100));
+
+    await fetchItemsByIds([1, 2, 3]);
+
+    expect(callMondayApi.mock.calls[0][1].variables).toEqual({ itemIds: ['1', '2', '3'], limit: 3 });
+  });
+
+  it('rethrows errors that splitting cannot fix', async () => {
+    const error = apiError('Unauthorized', { code: 'UNAUTHORIZED' });
+    callMondayApi.mockRejectedValue(error);
+
+    await expect(fetchItemsByIds(range(10))).rejects.toBe(error);
+    expect(callMondayApi).toHaveBeenCalledTimes(1);
+  });
+
+  it('rethrows a too-complex error once a batch is down to a single item', async () => {
+    callMondayApi.mockImplementation(answerUpTo(0));
+
+    await expect(fetchItemsByIds(range(2))).rejects.toMatchObject({ queryTooComplex: true });
+    expect(requestedBatches().map(batch => batch.length)).toEqual([2, 1]);
+  });
+
+  it('stops before the next batch once cancelled', async () => {
+    let batches = 0;
+    const isCancelled = () => batches >= 1;
+    callMondayApi.mockImplementation(async (...args) => {
+      batches += 1;
+      return answerUpTo(100)(...args);
+    });
+
+    const items = await fetchItemsByIds(range(300), { isCancelled });
+
+    expect(callMondayApi).toHaveBeenCalledTimes(1);
+    expect(items).toHaveLength(100);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import groupItemsIntoLanes from '../groupItemsIntoLanes';
+
+const item = (id, { group = null, people = '' } = {}) => ({
+  id,
+  originalItem: { id, group, column_values: [{ id: 'person', text: people }] }
+});
+
+const peopleColumn = { id: 'person', type: 'people', title: 'Owner' };
+const laneItemIds = (lanes) => lanes.map(lane => [lane.title, lane.items.map(laneItem => laneItem.id)]);
+
+describe('groupItemsIntoLanes', () => {
+  it('keeps board group order, with ungrouped items in their own lane', () => {
+    const lanes = groupItemsIntoLanes([
+      item('1', { group: { id: 'b', title: 'Later' } }),
+      item('2', { group: { id: 'a', title: 'Now' } }),
+      item('3'),
+      item('4', { group: { id: 'b', title: 'Later' } })
+    ], 'group');
+
+    expect(laneItemIds(lanes)).toEqual([['Later', ['1', '4']], ['Now', ['2']], ['No group', ['3']]]);
+  });
+
+  it('puts an item assigned to several people in the first person\'s lane only', () => {
+    const lanes = groupItemsIntoLanes([
+      item('1', { people: 'Bea, Abe' }),
+      item('2', { people: 'Abe' }),
+      item('3')
+    ], 'column', peopleColumn);
+
+    expect(laneItemIds(lanes)).toEqual([['Abe', ['2']], ['Bea', ['1']], ['No Owner', ['3']]]);
+    expect(lanes.flatMap(lane => lane.items)).toHaveLength(3);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import migrateLayoutDocument, { createLayoutDocument, LAYOUT_SCHEMA_VERSION } from '../migrateLayoutDocument';
+
+describe('migrateLayoutDocument', () => {
+  it('starts an empty layout when nothing is stored', () => {
+    expect(migrateLayoutDocument(null)).toEqual({ document: createLayoutDocument(), status: 'empty', droppedCount: 0 });
+    expect(migrateLayoutDocument(undefined).status).toBe('empty');
+  });
+
+  it('migrates an unversioned layout to the current version', () => {
+    const { document, status, droppedCount } = migrateLayoutDocument({
+      items: { 1: { x: 40, y: -120, width: 160, height: 80 } },
+      hidden: ['2']
+    });
+
+    expect(status).toBe('migrated');
+    expect(droppedCount).toBe(0);
+    expect(document).toEqual({
+      version: LAYOUT_SCHEMA_VERSION,
+      items: { 1: { x: 40, y: -120, width: 160, height: 80 } },
+      hidden: ['2'],
+      dateColumnIds: []
+    });
+  });
+
+  it('keeps a current layout as it is', () => {
+    const stored = {
+      version: LAYOUT_SCHEMA_VERSION,
+      items: { 7: { x: 10, y: 24 } },
+      hidden: [],
+      dateColumnIds: ['date4', 'timeline']
+    };
+    expect(migrateLayoutDocument(stored)).toEqual({ document: stored, status: 'current', droppedCount: 0 });
+  });
+
+  it('keeps the valid fields of an entry and drops unusable entries', () => {
+    const { document, droppedCount } = migrateLayoutDocument({
+      version: 1,
+      items: {
+        // Offset out of range, size still usable
+        1: { x: 140, y: 10, width: 200, height: 90 },
+        // Size too small, offset still usable
+        2: { x: 50, y: 10, width: 10, height: 90 },
+        // Nothing usable
+        3: { x: 'left', width: 5000, height: 5000 },
+        4: null
+      },
+      hidden: [],
+      dateColumnIds: []
+    });
+
+    expect(document.items).toEqual({ 1: { width: 200, height: 90 }, 2: { x: 50, y: 10 } });
+    expect(droppedCount).toBe(2);
+  });
+
+  it('normalizes hidden IDs to unique strings and drops other values', () => {
+    const { document, droppedCount } = migrateLayoutDocument({
+      version: 1,
+      items: {},
+      hidden: ['1', 1, 2, { id: 3 }, null],
+      dateColumnIds: ['date', 4]
+    });
+
+    expect(document.hidden).toEqual(['1', '2']);
+    expect(document.dateColumnIds).toEqual(['date']);
+    expect(droppedCount).toBe(2);
+  });
+
+  it('falls back to an empty layout for unreadable documents', () => {
+    expect(migrateLayoutDocument('{"items":{}}').status).toBe('invalid');
+    expect(migrateLayoutDocument([]).status).toBe('invalid');
+    expect(migrateLayoutDocument({ version: -1 }).status).toBe('invalid');
+    expect(migrateLayoutDocument({ version: '1' }).document).toEqual(createLayoutDocument());
+  });
+
+  it('does not interpret layouts saved by a newer version', () => {
+    const { document, status } = migrateLayoutDocument({ version: LAYOUT_SCHEMA_VERSION + 1, items: { 1: { x: 1, y: 1 } } });
+    expect(status).toBe('newer');
+    expect(document).toEqual(createLayoutDocument());
+  });
+
+  it('treats malformed collections as empty', () => {
+    const { document } = migrateLayoutDocument({ version: 1, items: [{ x: 1, y: 1 }], hidden: 'all' });
+    expect(document.items).toEqual({});
+    expect(document.hidden).toEqual([]);
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, expect, it } from 'vitest';
+import parseColumnValue, { parseItemDates } from '../parseColumnValue';
+
+// Column value as the API returns it
+const column = (type, value, extra = {}) => ({
+  id: 'col',
+  type,
+  value: value === null ? null : JSON.stringify(value),
+  text: '',
+  ...extra
+});
+
+describe('parseColumnValue', () => {
+  describe('date', () => {
+    it('reads a plain date as local midnight', () => {
+      expect(parseColumnValue(column('date', { date: '2024-03-05' }))).toEqual({
+        start: new Date(2024, 2, 5),
+        end: new Date(2024, 2, 5),
+        hasTime: false
+      });
+    });
+
+    it('reads a date with a time as UTC', () => {
+      const parsed = parseColumnValue(column('date', { date: '2024-03-05', time: '14:30:00' }));
+      expect(parsed.end.toISOString()).toBe('2024-03-05T14:30:00.000Z');
+      expect(parsed.hasTime).toBe(true);
+    });
+
+    it('returns null for an empty date', () => {
+      expect(parseColumnValue(column('date', {}))).toBeNull();
+      expect(parseColumnValue(column('date', null))).toBeNull();
+    });
+  });
+
+  describe('timeline', () => {
+    it('spans from the start to the end day', () => {
+      expect(parseColumnValue(column('timeline', { from: '2024-01-10', to: '2024-01-20' }))).toEqual({
+        start: new Date(2024, 0, 10),
+        end: new Date(2024, 0, 20),
+        hasTime: false
+      });
+    });
+
+    it('puts a reversed range back in order', () => {
+      const parsed = parseColumnValue(column('timerange', { from: '2024-01-20', to: '2024-01-10' }));
+      expect(parsed.start).toEqual(new Date(2024, 0, 10));
+      expect(parsed.end).toEqual(new Date(2024, 0, 20));
+    });
+
+    it('uses the one end that is set', () => {
+      const parsed = parseColumnValue(column('timeline', { from: '2024-01-10' }));
+      expect(parsed.start).toEqual(new Date(2024, 0, 10));
+      expect(parsed.end).toEqual(new Date(2024, 0, 10));
+    });
+  });
+
+  it('spans a week from its start to its end date', () => {
+    const parsed = parseColumnValue(column('week', { week: { startDate: '2024-05-06', endDate: '2024-05-12' } }));
+    expect(parsed.start).toEqual(new Date(2024, 4, 6));
+    expect(parsed.end).toEqual(new Date(2024, 4, 12));
+  });
+
+  it('places an hour on the reference day', () => {
+    const parsed = parseColumnValue(column('hour', { hour: 9, minute: 15 }), undefined, {
+      referenceDate: new Date(2024, 6, 1, 18)
+    });
+    expect(parsed).toEqual({ start: new Date(2024, 6, 1, 9, 15), end: new Date(2024, 6, 1, 9, 15), hasTime: true });
+  });
+
+  it('reads creation and update logs from their timestamps, or else from their text', () => {
+    expect(parseColumnValue(column('creation_log', { created_at: '2024-02-01T08:00:00Z' })).end.toISOString())
+      .toBe('2024-02-01T08:00:00.000Z');
+    expect(parseColumnValue(column('last_updated', { updated_at: '2024-02-02T09:00:00Z' })).end.toISOString())
+      .toBe('2024-02-02T09:00:00.000Z');
+    expect(parseColumnValue(column('creation_log', null, { text: '2024-02-03 10:00:00 UTC' })).end.toISOString())
+      .toBe('2024-02-03T10:00:00.000Z');
+  });
+
+  describe('formula and mirror', () => {
+    it('prefers the display value over the text', () => {
+      const parsed = parseColumnValue(column('formula', null, { text: '', display_value: '2024-08-15' }));
+      expect(parsed).toEqual({ start: new Date(2024, 7, 15), end: new Date(2024, 7, 15), hasTime: false });
+    });
+
+    it('spans every date in the text', () => {
+      const parsed = parseColumnValue(column('mirror', null, { text: '2024-03-01, 2024-01-15, 2024-02-10' }));
+      expect(parsed.start).toEqual(new Date(2024, 0, 15));
+      expect(parsed.end).toEqual(new Date(2024, 2, 1));
+    });
+
+    it('reads times without a UTC marker as local', () => {
+      const parsed = parseColumnValue(column('formula', null, { text: '2024-03-01 13:45' }));
+      expect(parsed).toEqual({ start: new Date(2024, 2, 1, 13, 45), end: new Date(2024, 2, 1, 13, 45), hasTime: true });
+    });
+
+    it('returns null for text without a date', () => {
+      expect(parseColumnValue(column('formula', null, { text: 'n/a' }))).toBeNull();
+    });
+  });
+
+  it('prefers the board metadata type over the value type', () => {
+    const parsed = parseColumnValue(column('text', null, { text: '2024-04-04' }), 'formula');
+    expect(parsed.end).toEqual(new Date(2024, 3, 4));
+  });
+
+  it('infers the type from the value when none is reported', () => {
+    const parsed = parseColumnValue({ id: 'col', value: JSON.stringify({ from: '2024-01-01', to: '2024-01-03' }) });
+    expect(parsed.end).toEqual(new Date(2024, 0, 3));
+  });
+
+  it('returns null for unreadable JSON and unsupported types', () => {
+    expect(parseColumnValue({ id: 'col', type: 'date', value: '{not json' })).toBeNull();
+    expect(parseColumnValue(column('status', { index: 1 }))).toBeNull();
+    expect(parseColumnValue(null)).toBeNull();
+  });
+});
+
+describe('parseItemDates', () => {
+  it('parses the requested column of an item', () => {
+    const item = {
+      column_values: [
+        column('date', { date: '2024-01-01' }, { id: 'other' }),
+        column('date', { date: '2024-09-09' }, { id: 'due' })
+      ]
+    };
+    expect(parseItemDates(item, 'due').end).toEqual(new Date(2024, 8, 9));
+    expect(parseItemDates(item, 'missing')).toBeNull();
+  });
+});
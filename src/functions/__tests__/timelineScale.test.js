@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calculateScaleHeaders,
+  chooseAutoScale,
+  normalizeScale,
+  resolveScale,
+  startOfUnit
+} from '../timelineScale';
+
+describe('normalizeScale', () => {
+  it('accepts singular and plural unit names', () => {
+    expect(normalizeScale('week')).toBe('weeks');
+    expect(normalizeScale('months')).toBe('months');
+  });
+
+  it('passes auto and none through and falls back to days', () => {
+    expect(normalizeScale('auto')).toBe('auto');
+    expect(normalizeScale('none')).toBe('none');
+    expect(normalizeScale('fortnight')).toBe('days');
+    expect(normalizeScale(undefined)).toBe('days');
+  });
+});
+
+describe('chooseAutoScale', () => {
+  const start = new Date(2024, 0, 1);
+  const after = (days) => new Date(2024, 0, 1 + days);
+
+  it('picks a coarser unit for longer ranges', () => {
+    expect(chooseAutoScale(start, after(14))).toBe('days');
+    expect(chooseAutoScale(start, after(60))).toBe('weeks');
+    expect(chooseAutoScale(start, after(365))).toBe('months');
+    expect(chooseAutoScale(start, after(1200))).toBe('quarters');
+    expect(chooseAutoScale(start, after(4000))).toBe('years');
+  });
+
+  it('is what resolveScale uses for auto', () => {
+    expect(resolveScale('auto', start, after(60))).toBe('weeks');
+    expect(resolveScale('quarter', start, after(60))).toBe('quarters');
+  });
+});
+
+describe('startOfUnit', () => {
+  // Thursday
+  const date = new Date(2024, 7, 15, 13, 30);
+
+  it('rounds down to the start of each unit at local midnight', () => {
+    expect(startOfUnit(date, 'days')).toEqual(new Date(2024, 7, 15));
+    expect(startOfUnit(date, 'weeks')).toEqual(new Date(2024, 7, 11));
+    expect(startOfUnit(date, 'months')).toEqual(new Date(2024, 7, 1));
+    expect(startOfUnit(date, 'quarters')).toEqual(new Date(2024, 6, 1));
+    expect(startOfUnit(date, 'years')).toEqual(new Date(2024, 0, 1));
+  });
+});
+
+describe('calculateScaleHeaders', () => {
+  it('puts months above weeks, clipped to the range', () => {
+    const start = new Date(2024, 0, 10);
+    const end = new Date(2024, 2, 10);
+    const headers = calculateScaleHeaders(start, end, 'weeks');
+
+    expect(headers.scale).toBe('weeks');
+    expect(headers.upper.map(cell => cell.start)).toEqual([
+      new Date(2024, 0, 1),
+      new Date(2024, 1, 1),
+      new Date(2024, 2, 1)
+    ]);
+    // The first week starts before the range, so it is clipped to the left edge
+    expect(headers.lower[0].start).toEqual(new Date(2024, 0, 7));
+    expect(headers.lower[0].startPosition).toBe(0);
+    expect(headers.lower[headers.lower.length - 1].endPosition).toBe(100);
+    headers.lower.slice(1).forEach((cell, index) => {
+      expect(cell.startPosition).toBeCloseTo(headers.lower[index].endPosition);
+    });
+  });
+
+  it('labels only every few cells when they are too narrow to label all', () => {
+    const headers = calculateScaleHeaders(new Date(2024, 0, 1), new Date(2024, 2, 1), 'days');
+    const labelled = headers.lower.filter(cell => cell.showLabel);
+
+    expect(labelled.length).toBeLessThan(headers.lower.length);
+    expect(headers.lower[0].showLabel).toBe(true);
+  });
+
+  it('has no upper tier for years and no cells for none', () => {
+    const start = new Date(2020, 0, 1);
+    const end = new Date(2024, 0, 1);
+    expect(calculateScaleHeaders(start, end, 'years').upper).toEqual([]);
+    expect(calculateScaleHeaders(start, end, 'none')).toEqual({ scale: 'none', lower: [], upper: [] });
+  });
+
+  it('resolves auto from the range', () => {
+    expect(calculateScaleHeaders(new Date(2024, 0, 1), new Date(2024, 0, 10), 'auto').scale).toBe('days');
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { clampTimelineWindow, MIN_WINDOW_MS, panTimelineWindow, zoomTimelineWindow } from '../timelineWindow';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+// 100-day timeline
+const bounds = { start: 0, end: 100 * DAY_MS };
+
+describe('clampTimelineWindow', () => {
+  it('keeps a window that fits as it is', () => {
+    expect(clampTimelineWindow(10 * DAY_MS, 20 * DAY_MS, bounds.start, bounds.end)).toEqual({ start: 10 * DAY_MS, end: 20 * DAY_MS });
+  });
+
+  it('slides a window that runs past an edge back inside, keeping its width', () => {
+    expect(clampTimelineWindow(-5 * DAY_MS, 5 * DAY_MS, bounds.start, bounds.end)).toEqual({ start: 0, end: 10 * DAY_MS });
+    expect(clampTimelineWindow(95 * DAY_MS, 105 * DAY_MS, bounds.start, bounds.end)).toEqual({ start: 90 * DAY_MS, end: 100 * DAY_MS });
+  });
+
+  it('limits the width to the bounds and to the narrowest window', () => {
+    expect(clampTimelineWindow(-50 * DAY_MS, 150 * DAY_MS, bounds.start, bounds.end)).toEqual(bounds);
+    const narrow = clampTimelineWindow(10 * DAY_MS, 10 * DAY_MS + 1000, bounds.start, bounds.end);
+    expect(narrow.end - narrow.start).toBe(MIN_WINDOW_MS);
+  });
+
+  it('shows the whole range when it is narrower than the narrowest window', () => {
+    expect(clampTimelineWindow(0, 1000, 0, DAY_MS)).toEqual({ start: 0, end: DAY_MS });
+  });
+});
+
+describe('zoomTimelineWindow', () => {
+  it('keeps the date under the anchor in place', () => {
+    const view = { start: 20 * DAY_MS, end: 60 * DAY_MS };
+    const zoomed = zoomTimelineWindow(view, bounds, 0.5, 0.25);
+
+    expect(zoomed.end - zoomed.start).toBe(20 * DAY_MS);
+    // The anchor was a quarter of the way in, at day 30, and still is
+    expect(zoomed.start + (zoomed.end - zoomed.start) * 0.25).toBe(30 * DAY_MS);
+  });
+
+  it('zooms around the middle by default', () => {
+    expect(zoomTimelineWindow({ start: 20 * DAY_MS, end: 60 * DAY_MS }, bounds, 0.5))
+      .toEqual({ start: 30 * DAY_MS, end: 50 * DAY_MS });
+  });
+
+  it('stops zooming out at the bounds', () => {
+    expect(zoomTimelineWindow({ start: 20 * DAY_MS, end: 60 * DAY_MS }, bounds, 10)).toEqual(bounds);
+  });
+});
+
+describe('panTimelineWindow', () => {
+  it('moves the window by a fraction of its width', () => {
+    expect(panTimelineWindow({ start: 20 * DAY_MS, end: 40 * DAY_MS }, bounds, 0.5))
+      .toEqual({ start: 30 * DAY_MS, end: 50 * DAY_MS });
+    expect(panTimelineWindow({ start: 20 * DAY_MS, end: 40 * DAY_MS }, bounds, -0.5))
+      .toEqual({ start: 10 * DAY_MS, end: 30 * DAY_MS });
+  });
+
+  it('stops at the edges', () => {
+    expect(panTimelineWindow({ start: 80 * DAY_MS, end: 90 * DAY_MS }, bounds, 5))
+      .toEqual({ start: 90 * DAY_MS, end: 100 * DAY_MS });
+  });
+});
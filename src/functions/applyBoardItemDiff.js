@@ -0,0 +1,36 @@
+/**
+ * Applies an item-level diff to the current board items without disturbing untouched items.
+ * Updated items keep their place in the list, new items are appended (unless insertNew is off), removed items
+ * are dropped.
+ * Untouched items keep their object identity so memoized consumers do not re-render them.
+ *
+ * @param {Array} boardItems - Current board items
+ * @param {Object} diff - Changes to apply
+ * @param {Array} [diff.upserted] - Fresh copies of changed or newly created items
+ * @param {Array<string>} [diff.removedIds] - IDs of items that were deleted or archived
+ * @param {boolean} [diff.insertNew=true] - Whether upserted items not yet in the list are added; a filtered view
+ *   turns this off, since new items may not match its filter
+ * @returns {Array} New board items array
+ */
+const applyBoardItemDiff = (boardItems = [], { upserted = [], removedIds = [], insertNew = true } = {}) => {
+  if (upserted.length === 0 && removedIds.length === 0) {
+    return boardItems;
+  }
+
+  const removed = new Set(removedIds.map(String));
+  const freshById = new Map(upserted.map(item => [String(item.id), item]));
+
+  const nextItems = boardItems
+    .filter(item => !removed.has(String(item.id)))
+    .map(item => {
+      const fresh = freshById.get(String(item.id));
+      if (!fresh) return item;
+      freshById.delete(String(item.id));
+      return fresh;
+    });
+
+  // Anything left over did not exist before
+  return insertNew ? [...nextItems, ...freshById.values()] : nextItems;
+};
+
+export default applyBoardItemDiff;
@@ -0,0 +1,49 @@
+/**
+ * Builds the SVG path of a connector between a card and the axis
+ *
+ * - straight: a direct line from the card to its anchor
+ * - elbow: out from the card, along the axis halfway, then into the anchor at a right angle
+ * - curve: a cubic bezier leaving the card and entering the anchor perpendicular to the axis
+ *
+ * @param {{from: {x: number, y: number}, to: {x: number, y: number}}} connector - Endpoints in px
+ * @param {string} [style='straight'] - 'straight', 'elbow' or 'curve'
+ * @param {string} [orientation='horizontal'] - Axis orientation; elbows and curves bend along the axis
+ * @returns {{d: string, endAngle: number}} Path data, and the direction (degrees, SVG convention) the path
+ *   travels as it reaches the anchor, for drawing an arrowhead there
+ */
+const buildConnectorPath = ({ from, to }, style = 'straight', orientation = 'horizontal') => {
+  const isVertical = orientation === 'vertical';
+  const straightAngle = Math.atan2(to.y - from.y, to.x - from.x) * 180 / Math.PI;
+  // Direction of a path that enters the anchor across the axis
+  const perpendicularAngle = isVertical
+    ? (to.x >= from.x ? 0 : 180)
+    : (to.y >= from.y ? 90 : -90);
+
+  if (style === 'elbow') {
+    if (isVertical) {
+      const midX = (from.x + to.x) / 2;
+      return { d: `M ${from.x} ${from.y} H ${midX} V ${to.y} H ${to.x}`, endAngle: perpendicularAngle };
+    }
+    const midY = (from.y + to.y) / 2;
+    return { d: `M ${from.x} ${from.y} V ${midY} H ${to.x} V ${to.y}`, endAngle: perpendicularAngle };
+  }
+
+  if (style === 'curve') {
+    if (isVertical) {
+      const midX = (from.x + to.x) / 2;
+      return {
+        d: `M ${from.x} ${from.y} C ${midX} ${from.y}, ${midX} ${to.y}, ${to.x} ${to.y}`,
+        endAngle: perpendicularAngle
+      };
+    }
+    const midY = (from.y + to.y) / 2;
+    return {
+      d: `M ${from.x} ${from.y} C ${from.x} ${midY}, ${to.x} ${midY}, ${to.x} ${to.y}`,
+      endAngle: perpendicularAngle
+    };
+  }
+
+  return { d: `M ${from.x} ${from.y} L ${to.x} ${to.y}`, endAngle: straightAngle };
+};
+
+export default buildConnectorPath;
@@ -0,0 +1,407 @@
+import parseCssColor from './parseCssColor';
+import parsePathData from './parsePathData';
+
+/**
+ * A vector description of the rendered timeline, shared by the SVG, PDF and PowerPoint exporters.
+ * Coordinates are CSS px from the top-left of the scene; colors are '#rrggbb' with a separate opacity.
+ * @typedef {Object} ExportScene
+ * @property {number} width - Scene width (px), padding included
+ * @property {number} height - Scene height (px), padding included
+ * @property {string|null} background - Background color, or null for transparent
+ * @property {Object|null} [clip] - Box outside which elements are cut off ({x, y, width, height}), set when the
+ *   scene is cropped (see frameExportScene)
+ * @property {Object|null} axis - Where the timeline axis runs, for dating parts of the scene: {orientation,
+ *   start, end (scene px along the axis), startDate, endDate}; null when the board has no single axis
+ * @property {Array<Object>} elements - Shapes in paint order:
+ *   - rect: {x, y, width, height, radius, fill, fillOpacity, stroke, strokeOpacity, strokeWidth, rotation}
+ *   - ellipse: {x, y, width, height, fill, fillOpacity, stroke, strokeOpacity, strokeWidth, rotation}
+ *   - text: {x, y, width, height, text, fontSize, fontFamily, fontWeight, fontStyle, color, opacity, rotation,
+ *     block}; the box is one line of text, to be drawn centered in it, and the lines a text wraps onto share a
+ *     block number
+ *   - path: {segments (from parsePathData, in scene px), fill, fillOpacity, stroke, strokeOpacity, strokeWidth, dash}
+ *   - polygon: {points: [{x, y}], fill, fillOpacity, stroke, strokeOpacity, strokeWidth}
+ *   Rotation is in degrees around the center of the box.
+ */
+
+// Elements with this class (toolbars, zoom controls) are left out of exports
+export const EXPORT_IGNORE_CLASS = 'export-ignore';
+
+const SVG_SHAPES = new Set(['path', 'line', 'polyline', 'polygon', 'circle', 'ellipse', 'rect']);
+// Form controls and buttons are interactive chrome, not part of the picture
+const SKIPPED_TAGS = new Set(['BUTTON', 'INPUT', 'TEXTAREA', 'SELECT', 'SCRIPT', 'STYLE', 'TEMPLATE']);
+
+/**
+ * Reads the rotation (degrees) of a computed transform
+ * @param {string} transform - Computed transform ('none' or a matrix)
+ * @returns {number} Rotation in degrees
+ */
+const getRotation = (transform) => {
+  const match = transform && transform.match(/^matrix\(([^)]+)\)$/);
+  if (!match) return 0;
+  const [a, b] = match[1].split(',').map(Number);
+  return Math.round(Math.atan2(b, a) * 180 / Math.PI * 100) / 100;
+};
+
+/**
+ * Reads a computed numeric style value
+ * @param {string} value - Computed value
+ * @param {number} fallback - Value used when it is missing or unreadable
+ * @returns {number} Number
+ */
+const readNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return isNaN(number) ? fallback : number;
+};
+
+/**
+ * Compares the stacking of two elements: z-index path from the outermost stacking context inward
+ * @param {Array<number>} a - z-index path of the first element
+ * @param {Array<number>} b - z-index path of the second element
+ * @returns {number} Negative when a paints below b
+ */
+const compareStacking = (a, b) => {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const difference = (a[i] || 0) - (b[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+};
+
+/**
+ * Resolves a computed border radius (px or %) against a box
+ * @param {string} radius - Computed radius, e.g. '8px' or '50%'
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @returns {number} Radius in px, at most half the shorter side
+ */
+const resolveRadius = (radius, width, height) => {
+  const value = parseFloat(radius) || 0;
+  const px = radius?.endsWith('%') ? (value / 100) * Math.min(width, height) : value;
+  return Math.min(px, Math.min(width, height) / 2);
+};
+
+/**
+ * Splits a text node into the lines it wraps onto, with each line's box in client coordinates
+ * @param {Text} node - Text node
+ * @returns {Array<{text: string, rect: DOMRect}>} Lines of text
+ */
+const getTextLines = (node) => {
+  const range = document.createRange();
+  range.selectNodeContents(node);
+  const rects = Array.from(range.getClientRects()).filter(rect => rect.width > 0 && rect.height > 0);
+  const text = node.textContent.replace(/\s+/g, ' ').trim();
+  if (rects.length <= 1) {
+    return rects.length === 1 ? [{ text, rect: range.getBoundingClientRect() }] : [];
+  }
+
+  // Wrapped text: group the words by the line box they land on
+  const lines = [];
+  const pattern = /\S+/g;
+  let match;
+  while ((match = pattern.exec(node.textContent)) !== null) {
+    range.setStart(node, match.index);
+    range.setEnd(node, match.index + match[0].length);
+    const rect = range.getBoundingClientRect();
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.top - rect.top) < rect.height / 2) {
+      line.words.push(match[0]);
+      line.left = Math.min(line.left, rect.left);
+      line.right = Math.max(line.right, rect.right);
+      line.bottom = Math.max(line.bottom, rect.bottom);
+    } else {
+      lines.push({ words: [match[0]], left: rect.left, right: rect.right, top: rect.top, bottom: rect.bottom });
+    }
+  }
+  return lines.map(line => ({
+    text: line.words.join(' '),
+    rect: new DOMRect(line.left, line.top, line.right - line.left, line.bottom - line.top)
+  }));
+};
+
+/**
+ * Builds an ExportScene from the rendered timeline board, as real vector shapes and text rather than a
+ * screenshot. Boxes with a background or border become rects (or ellipses), text nodes become text lines,
+ * and the connector and dependency overlays are copied shape by shape with their stroke, dash and endpoints.
+ * Paint order follows the board's z-indexes, then document order.
+ *
+ * @param {HTMLElement} root - Element to export (the .timeline-board)
+ * @param {Object} [options] - Scene options
+ * @param {number} [options.padding=32] - Space added around the content (px)
+ * @param {string|null} [options.background=null] - Background color, or null for transparent
+ * @returns {ExportScene} Scene in paint order
+ */
+const buildExportScene = (root, { padding = 32, background = null } = {}) => {
+  const origin = root.getBoundingClientRect();
+  const toSceneX = (clientX) => clientX - origin.left + padding;
+  const toSceneY = (clientY) => clientY - origin.top + padding;
+  const entries = [];
+  const add = (element, zPath) => entries.push({ element, zPath, order: entries.length });
+  let textBlockCount = 0;
+
+  const readStroke = (style) => {
+    const stroke = parseCssColor(style.stroke);
+    const strokeWidth = readNumber(style.strokeWidth, 0);
+    return stroke && strokeWidth > 0
+      ? { stroke: stroke.hex, strokeOpacity: stroke.alpha, strokeWidth }
+      : { stroke: null, strokeOpacity: 0, strokeWidth: 0 };
+  };
+
+  const addSvgShape = (shape, opacity, zPath) => {
+    const style = getComputedStyle(shape);
+    if (style.display === 'none' || style.visibility === 'hidden') return;
+    const ctm = shape.getScreenCTM();
+    if (!ctm) return;
+
+    const shapeOpacity = opacity * readNumber(style.opacity, 1);
+    if (shapeOpacity <= 0) return;
+    const scale = Math.hypot(ctm.a, ctm.b);
+    const toScene = (x, y) => ({
+      x: toSceneX(ctm.a * x + ctm.c * y + ctm.e),
+      y: toSceneY(ctm.b * x + ctm.d * y + ctm.f)
+    });
+    const fill = parseCssColor(style.fill);
+    const { stroke, strokeOpacity, strokeWidth } = readStroke(style);
+    const paint = {
+      fill: fill?.hex || null,
+      fillOpacity: (fill?.alpha || 0) * readNumber(style.fillOpacity, 1) * shapeOpacity,
+      stroke,
+      strokeOpacity: strokeOpacity * readNumber(style.strokeOpacity, 1) * shapeOpacity,
+      strokeWidth: strokeWidth * scale
+    };
+    if (!paint.fill && !paint.stroke) return;
+
+    const number = (name) => parseFloat(shape.getAttribute(name)) || 0;
+    const tag = shape.tagName.toLowerCase();
+
+    if (tag === 'circle' || tag === 'ellipse') {
+      const rx = tag === 'circle' ? number('r') : number('rx');
+      const ry = tag === 'circle' ? number('r') : number('ry');
+      const center = toScene(number('cx'), number('cy'));
+      add({
+        type: 'ellipse',
+        x: center.x - rx * scale,
+        y: center.y - ry * scale,
+        width: rx * 2 * scale,
+        height: ry * 2 * scale,
+        rotation: 0,
+        ...paint
+      }, zPath);
+      return;
+    }
+
+    if (tag === 'polygon' || tag === 'polyline') {
+      const values = (shape.getAttribute('points') || '').trim().split(/[\s,]+/).map(Number);
+      const points = [];
+      for (let i = 0; i + 1 < values.length; i += 2) points.push(toScene(values[i], values[i + 1]));
+      if (tag === 'polyline') {
+        add({
+          type: 'path',
+          segments: points.map((point, index) => ({ type: index === 0 ? 'M' : 'L', ...point })),
+          ...paint,
+          fill: null,
+          dash: []
+        }, zPath);
+      } else {
+        add({ type: 'polygon', points, ...paint }, zPath);
+      }
+      return;
+    }
+
+    let d = shape.getAttribute('d') || '';
+    if (tag === 'line') {
+      d = `M ${number('x1')} ${number('y1')} L ${number('x2')} ${number('y2')}`;
+    } else if (tag === 'rect') {
+      const x = number('x');
+      const y = number('y');
+      d = `M ${x} ${y} H ${x + number('width')} V ${y + number('height')} H ${x} Z`;
+    }
+
+    const segments = parsePathData(d).map(segment => {
+      const mapped = { ...segment, ...toScene(segment.x, segment.y) };
+      if (segment.type === 'C') {
+        const control1 = toScene(segment.x1, segment.y1);
+        const control2 = toScene(segment.x2, segment.y2);
+        Object.assign(mapped, { x1: control1.x, y1: control1.y, x2: control2.x, y2: control2.y });
+      }
+      return mapped;
+    });
+    const dash = style.strokeDasharray && style.strokeDasharray !== 'none'
+      ? style.strokeDasharray.split(/[\s,]+/).map(value => parseFloat(value) * scale).filter(value => value > 0)
+      : [];
+    add({ type: 'path', segments, ...paint, dash }, zPath);
+  };
+
+  const addBox = (element, style, opacity, rotation, zPath) => {
+    const fill = parseCssColor(style.backgroundColor);
+    const sides = ['Top', 'Right', 'Bottom', 'Left'].map(side => ({
+      side,
+      width: style[`border${side}Style`] === 'none' ? 0 : parseFloat(style[`border${side}Width`]) || 0,
+      color: parseCssColor(style[`border${side}Color`])
+    }));
+    const drawnSides = sides.filter(side => side.width > 0 && side.color);
+    if (!fill && drawnSides.length === 0) return;
+
+    // Rotated boxes report their bounding box; rebuild the untransformed box around its center
+    const rect = element.getBoundingClientRect();
+    const width = rotation ? element.offsetWidth || rect.width : rect.width;
+    const height = rotation ? element.offsetHeight || rect.height : rect.height;
+    if (width <= 0 || height <= 0) return;
+    const x = toSceneX(rect.left + rect.width / 2) - width / 2;
+    const y = toSceneY(rect.top + rect.height / 2) - height / 2;
+
+    const radius = resolveRadius(style.borderTopLeftRadius, width, height);
+    const isUniformBorder = drawnSides.length === 4
+      && drawnSides.every(side => side.width === drawnSides[0].width && side.color.hex === drawnSides[0].color.hex);
+    const border = isUniformBorder ? drawnSides[0] : null;
+
+    if (fill || border) {
+      const isEllipse = radius > 0 && radius >= Math.min(width, height) / 2 - 0.5 && Math.abs(width - height) < 1;
+      add({
+        type: isEllipse ? 'ellipse' : 'rect',
+        x,
+        y,
+        width,
+        height,
+        radius: isEllipse ? undefined : radius,
+        rotation,
+        fill: fill?.hex || null,
+        fillOpacity: (fill?.alpha || 0) * opacity,
+        stroke: border?.color.hex || null,
+        strokeOpacity: (border?.color.alpha || 0) * opacity,
+        strokeWidth: border?.width || 0
+      }, zPath);
+    }
+
+    // Borders on some sides only (dividers) are drawn as thin bars
+    if (!isUniformBorder) {
+      drawnSides.forEach(({ side, width: borderWidth, color }) => {
+        const isHorizontalSide = side === 'Top' || side === 'Bottom';
+        add({
+          type: 'rect',
+          x: side === 'Right' ? x + width - borderWidth : x,
+          y: side === 'Bottom' ? y + height - borderWidth : y,
+          width: isHorizontalSide ? width : borderWidth,
+          height: isHorizontalSide ? borderWidth : height,
+          radius: 0,
+          rotation,
+          fill: color.hex,
+          fillOpacity: color.alpha * opacity,
+          stroke: null,
+          strokeOpacity: 0,
+          strokeWidth: 0
+        }, zPath);
+      });
+    }
+  };
+
+  const addText = (node, style, opacity, rotation, zPath) => {
+    const color = parseCssColor(style.color);
+    if (!color) return;
+    const font = {
+      block: textBlockCount++,
+      fontSize: parseFloat(style.fontSize) || 14,
+      fontFamily: style.fontFamily,
+      fontWeight: style.fontWeight,
+      fontStyle: style.fontStyle,
+      color: color.hex,
+      opacity: color.alpha * opacity,
+      rotation
+    };
+
+    if (rotation) {
+      // Rotated labels are a single line; use the untransformed box of their element
+      const parent = node.parentElement;
+      const rect = parent.getBoundingClientRect();
+      const width = parent.offsetWidth || rect.width;
+      const height = parent.offsetHeight || rect.height;
+      add({
+        type: 'text',
+        text: node.textContent.replace(/\s+/g, ' ').trim(),
+        x: toSceneX(rect.left + rect.width / 2) - width / 2,
+        y: toSceneY(rect.top + rect.height / 2) - height / 2,
+        width,
+        height,
+        ...font
+      }, zPath);
+      return;
+    }
+
+    getTextLines(node).forEach(({ text, rect }) => {
+      add({
+        type: 'text',
+        text,
+        x: toSceneX(rect.left),
+        y: toSceneY(rect.top),
+        width: rect.width,
+        height: rect.height,
+        ...font
+      }, zPath);
+    });
+  };
+
+  const visit = (element, opacity, rotation, zPath) => {
+    if (element.classList.contains(EXPORT_IGNORE_CLASS) || SKIPPED_TAGS.has(element.tagName)) return;
+
+    const style = getComputedStyle(element);
+    if (style.display === 'none' || style.visibility === 'hidden') return;
+    const elementOpacity = opacity * readNumber(style.opacity, 1);
+    if (elementOpacity <= 0) return;
+
+    const elementZPath = style.position !== 'static' && style.zIndex !== 'auto'
+      ? [...zPath, Number(style.zIndex)]
+      : zPath;
+
+    if (element instanceof SVGElement) {
+      if (SVG_SHAPES.has(element.tagName.toLowerCase())) {
+        addSvgShape(element, opacity, elementZPath);
+        return;
+      }
+      Array.from(element.children).forEach(child => visit(child, elementOpacity, rotation, elementZPath));
+      return;
+    }
+
+    const elementRotation = rotation + getRotation(style.transform);
+    if (element !== root) addBox(element, style, elementOpacity, elementRotation, elementZPath);
+
+    Array.from(element.childNodes).forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        if (child.textContent.trim()) addText(child, style, elementOpacity, elementRotation, elementZPath);
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        visit(child, elementOpacity, elementRotation, elementZPath);
+      }
+    });
+  };
+
+  visit(root, 1, 0, []);
+
+  const elements = entries
+    .sort((a, b) => compareStacking(a.zPath, b.zPath) || a.order - b.order)
+    .map(entry => entry.element);
+
+  // The axis line spans the visible window, whose dates the timeline container carries
+  const axisLine = root.querySelector('.timeline-axis-line');
+  const container = axisLine?.closest('.timeline-container');
+  let axis = null;
+  if (axisLine && container?.dataset.viewStart) {
+    const rect = axisLine.getBoundingClientRect();
+    const isVertical = container.dataset.orientation === 'vertical';
+    axis = {
+      orientation: isVertical ? 'vertical' : 'horizontal',
+      start: isVertical ? toSceneY(rect.top) : toSceneX(rect.left),
+      end: isVertical ? toSceneY(rect.bottom) : toSceneX(rect.right),
+      startDate: new Date(container.dataset.viewStart),
+      endDate: new Date(container.dataset.viewEnd)
+    };
+  }
+
+  return {
+    width: Math.max(root.scrollWidth, origin.width) + padding * 2,
+    height: Math.max(root.scrollHeight, origin.height) + padding * 2,
+    background,
+    axis,
+    clip: null,
+    elements
+  };
+};
+
+export default buildExportScene;
@@ -0,0 +1,82 @@
+import { RANGE_COLUMN_TYPES } from './getDateColumnInfo';
+
+// Column types that can be rescheduled by dragging
+export const RESCHEDULABLE_COLUMN_TYPES = new Set(['date', 'timeline']);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats a date as the YYYY-MM-DD string monday.com stores (local day)
+ * @param {Date} date - Date to format
+ * @returns {string} Day string
+ */
+const toDayString = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Formats a date as the UTC {date, time} pair monday.com stores for timed date columns
+ * @param {Date} date - Date to format
+ * @returns {{date: string, time: string}} UTC day (YYYY-MM-DD) and time (HH:MM:SS)
+ */
+const toUtcDateTime = (date) => {
+  const [day, time] = date.toISOString().split('T');
+  return { date: day, time: time.slice(0, 8) };
+};
+
+/**
+ * Builds the column value that moves an item to a new date.
+ * Date columns keep their local time of day; timeline columns keep their duration and end on the new date.
+ *
+ * @param {Object} boardItem - Board item with column_values
+ * @param {Object} column - Date column info ({id, type})
+ * @param {Date} newDate - The new (snapped) date
+ * @returns {Object|null} Value for change_column_value, or null if the column cannot be rescheduled
+ */
+const buildRescheduledValue = (boardItem, column, newDate) => {
+  if (!column || !RESCHEDULABLE_COLUMN_TYPES.has(column.type)) {
+    return null;
+  }
+
+  const current = boardItem.column_values?.find(col => col.id === column.id);
+  let currentValue = {};
+  try {
+    currentValue = current?.value ? JSON.parse(current.value) : {};
+  } catch (e) {
+    currentValue = {};
+  }
+
+  if (RANGE_COLUMN_TYPES.has(column.type)) {
+    const [fromYear, fromMonth, fromDay] = (currentValue.from || '').split('-').map(Number);
+    const [toYear, toMonth, toDay] = (currentValue.to || '').split('-').map(Number);
+    const durationDays = currentValue.from && currentValue.to
+      ? Math.round((new Date(toYear, toMonth - 1, toDay) - new Date(fromYear, fromMonth - 1, fromDay)) / DAY_MS)
+      : 0;
+
+    const from = new Date(newDate);
+    from.setDate(newDate.getDate() - durationDays);
+    return { from: toDayString(from), to: toDayString(newDate) };
+  }
+
+  if (!currentValue.time) {
+    return { date: toDayString(newDate) };
+  }
+
+  // Timed values are stored in UTC: move the local time of day to the new local day, then store that instant in UTC
+  const currentInstant = new Date(`${currentValue.date}T${currentValue.time}Z`);
+  if (isNaN(currentInstant)) {
+    return { date: toDayString(newDate) };
+  }
+  return toUtcDateTime(new Date(
+    newDate.getFullYear(),
+    newDate.getMonth(),
+    newDate.getDate(),
+    currentInstant.getHours(),
+    currentInstant.getMinutes(),
+    currentInstant.getSeconds()
+  ));
+};
+
+export default buildRescheduledValue;
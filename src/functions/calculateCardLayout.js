@@ -0,0 +1,149 @@
+import getSpanBarOffset from './getSpanBarOffset';
+
+// Gap kept between cards, along the axis and between rows (px)
+const CARD_GAP = 12;
+// Distance from the axis to the first row, leaving room for date labels and the scale header (px); stacked span
+// bars are added on top
+const AXIS_CLEARANCE = {
+  horizontal: 64,
+  vertical: 120
+};
+
+/**
+ * Returns the position of an item's anchor date along the window as a percentage.
+ * Dates are taken at local midnight, like the date markers they connect to.
+ *
+ * @param {Object} item - Timeline item (an optional anchorDate overrides date)
+ * @param {Date} startDate - Start of the visible window
+ * @param {Date} endDate - End of the visible window
+ * @returns {number} Position (0-100 inside the window)
+ */
+const getAnchorPosition = (item, startDate, endDate) => {
+  const anchor = new Date(item.anchorDate || item.date);
+  const anchorDay = new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate());
+  const range = endDate - startDate;
+  return range > 0 ? ((anchorDay - startDate) / range) * 100 : 0;
+};
+
+/**
+ * Lays out timeline cards without overlaps. Each card is centered on its date along the axis and packed
+ * into the first row (counted outward from the axis) where it fits next to the cards already placed,
+ * using its measured size. 'alternate' puts each card on the side where it lands closest to the axis.
+ * Rows are as deep as their deepest card, so cards of mixed sizes never overlap across rows either.
+ *
+ * @param {Array} items - Timeline items with date (or anchorDate) and id
+ * @param {Object} options - Layout options
+ * @param {Date} options.startDate - Start of the visible window
+ * @param {Date} options.endDate - End of the visible window
+ * @param {string} options.position - 'above', 'below' or 'alternate' (left/right of a vertical axis)
+ * @param {string} [options.orientation='horizontal'] - 'horizontal' or 'vertical'
+ * @param {number} options.axisLength - Length of the axis in pixels (container width, or height when vertical)
+ * @param {Object} [options.cardSizes={}] - Rendered card sizes ({width, height}) keyed by item ID
+ * @param {{width: number, height: number}} options.defaultSize - Size assumed for cards not measured yet
+ * @param {Set} [options.skipIds] - Items that are not drawn (hidden, outside the window); they take no space
+ * @param {number} [options.spanRowCount=0] - Rows of span bars stacked along the axis (from calculateSpanRows);
+ *   the first card row starts past them
+ * @returns {{items: Array, extents: {above: number, below: number}}} Items with renderPosition ({x: percent
+ *   along the axis, y: px across it, zIndex}) and renderSize (the {width, height} the card was packed with),
+ *   and how far the cards reach from the axis on each side.
+ *   Horizontally y is the card's top edge; vertically it is the card's center (cards are centered on their date).
+ */
+const calculateCardLayout = (items = [], {
+  startDate,
+  endDate,
+  position = 'below',
+  orientation = 'horizontal',
+  axisLength,
+  cardSizes = {},
+  defaultSize,
+  skipIds = new Set(),
+  spanRowCount = 0
+}) => {
+  const isVertical = orientation === 'vertical';
+  const outermostSpanBar = spanRowCount > 0 ? getSpanBarOffset(spanRowCount - 1, 'below') : null;
+  const spanDepth = outermostSpanBar ? outermostSpanBar.offset + outermostSpanBar.thickness : 0;
+  const clearance = (AXIS_CLEARANCE[orientation] ?? AXIS_CLEARANCE.horizontal) + spanDepth;
+
+  // Per side: the far end of the last card in each row (px along the axis) and the row's depth
+  const rows = { above: [], below: [] };
+
+  const sorted = items
+    .map((item, index) => ({ item, index, anchor: getAnchorPosition(item, startDate, endDate) }))
+    .sort((a, b) => a.anchor - b.anchor || a.index - b.index);
+
+  let placedCount = 0;
+  const placements = sorted.map(({ item, anchor }) => {
+    const size = cardSizes[item.id] || defaultSize;
+    if (skipIds.has(item.id)) {
+      return { item, anchor, size, side: null };
+    }
+
+    const alongSize = isVertical ? size.height : size.width;
+    const depth = isVertical ? size.width : size.height;
+    const center = (anchor / 100) * axisLength;
+    const start = center - alongSize / 2;
+    const end = center + alongSize / 2;
+
+    // First row on a side that is free at this card's start
+    const findRow = (side) => {
+      const row = rows[side].findIndex(candidate => candidate.end + CARD_GAP <= start);
+      return row === -1 ? rows[side].length : row;
+    };
+
+    let side = position === 'above' ? 'above' : 'below';
+    if (position === 'alternate') {
+      const aboveRow = findRow('above');
+      const belowRow = findRow('below');
+      // On a tie keep alternating, starting below like the original layout
+      if (aboveRow !== belowRow) {
+        side = aboveRow < belowRow ? 'above' : 'below';
+      } else {
+        side = placedCount % 2 === 0 ? 'below' : 'above';
+      }
+    }
+
+    const row = findRow(side);
+    if (row === rows[side].length) {
+      rows[side].push({ end, depth });
+    } else {
+      rows[side][row] = { end, depth: Math.max(rows[side][row].depth, depth) };
+    }
+    placedCount++;
+
+    return { item, anchor, size, side, row, depth };
+  });
+
+  // Distance from the axis to the inner edge of each row
+  const rowOffsets = {};
+  const extents = {};
+  ['above', 'below'].forEach(side => {
+    let offset = clearance;
+    rowOffsets[side] = rows[side].map(row => {
+      const rowOffset = offset;
+      offset += row.depth + CARD_GAP;
+      return rowOffset;
+    });
+    extents[side] = rows[side].length > 0 ? offset - CARD_GAP : 0;
+  });
+
+  return {
+    items: placements.map(({ item, anchor, size, side, row, depth }) => {
+      if (!side) {
+        return { ...item, renderPosition: { x: anchor, y: 0, zIndex: 10 }, renderSize: size };
+      }
+
+      const offset = rowOffsets[side][row];
+      let y;
+      if (isVertical) {
+        y = side === 'above' ? -(offset + depth / 2) : offset + depth / 2;
+      } else {
+        y = side === 'above' ? -(offset + depth) : offset;
+      }
+
+      return { ...item, renderPosition: { x: anchor, y, zIndex: 10 + row }, renderSize: size };
+    }),
+    extents
+  };
+};
+
+export default calculateCardLayout;
@@ -0,0 +1,93 @@
+import getCardRect from './getCardRect';
+import getSpanBarOffset from './getSpanBarOffset';
+
+/**
+ * Returns the edge of a card that faces the axis, given the card's extent across the axis
+ * @param {number} near - Card edge closer to the start (top, or left when vertical)
+ * @param {number} far - Card edge further from the start (bottom, or right when vertical)
+ * @param {number} axis - Axis position on the same scale
+ * @returns {number} The edge to attach the connector to
+ */
+const getFacingEdge = (near, far, axis) => {
+  if (far < axis) return far;
+  if (near > axis) return near;
+  return Math.abs(near - axis) < Math.abs(far - axis) ? near : far;
+};
+
+/**
+ * Calculates connector lines between cards and the axis from layout state alone, without reading the DOM.
+ * Cards connect to their date marker on the axis; span cards connect to the middle of their duration bar.
+ * Connectors start at the middle of the card's edge facing the axis, so they stay attached to the card
+ * wherever it has been dragged; how the two ends are joined is up to buildConnectorPath.
+ *
+ * @param {Array} items - Items from calculateCardLayout (renderPosition, renderSize)
+ * @param {Object} options - Geometry of the timeline
+ * @param {string} [options.orientation='horizontal'] - 'horizontal' or 'vertical'
+ * @param {number} options.axisLength - Axis length in px (container width, or height when vertical)
+ * @param {number} options.axisOffset - Axis position across the container in px (its top, or left when vertical)
+ * @param {Map} options.itemToMarkerMap - Item ID to {markerPosition}, from processBoardItemsWithMarkers
+ * @param {Array} [options.spans=[]] - Span bars from calculateSpanRows (id, row)
+ * @param {string} [options.spanSide='above'] - Side of the axis the span bars are drawn on
+ * @param {Object} [options.cardOffsets={}] - Dragged offset (px) of each card from its layout position, by item ID
+ * @param {Set} [options.skipIds] - Items whose cards are not drawn
+ * @returns {Array<{id: string, item: Object, from: {x: number, y: number}, to: {x: number, y: number},
+ *   toAnchor: string}>} One connector per drawn card, in container px; toAnchor is 'marker' or 'span'
+ */
+const calculateConnectors = (items = [], {
+  orientation = 'horizontal',
+  axisLength,
+  axisOffset,
+  itemToMarkerMap = new Map(),
+  spans = [],
+  spanSide = 'above',
+  cardOffsets = {},
+  skipIds = new Set()
+}) => {
+  const isVertical = orientation === 'vertical';
+  const spansById = new Map(spans.map(span => [span.id, span]));
+  const toPx = (percent) => (percent / 100) * axisLength;
+
+  return items
+    .filter(item => !skipIds.has(item.id) && item.renderPosition && item.renderSize)
+    .map(item => {
+      const { x } = item.renderPosition;
+      const rect = getCardRect(item, { orientation, axisLength, axisOffset, dragOffset: cardOffsets[item.id] || 0 });
+
+      // Where the connector ends: the middle of the span bar, or the item's date marker on the axis
+      const span = spansById.get(item.id);
+      let toAnchor = 'span';
+      let alongTo = toPx(x);
+      let acrossTo;
+      if (span) {
+        const { offset, thickness } = getSpanBarOffset(span.row, spanSide);
+        acrossTo = axisOffset + offset + thickness / 2;
+      } else {
+        const markerInfo = itemToMarkerMap.get(item.id);
+        if (!markerInfo) return null;
+        toAnchor = 'marker';
+        alongTo = toPx(markerInfo.markerPosition);
+        acrossTo = axisOffset;
+      }
+
+      if (isVertical) {
+        return {
+          id: `connector-${item.id}`,
+          item,
+          from: { x: getFacingEdge(rect.left, rect.right, acrossTo), y: (rect.top + rect.bottom) / 2 },
+          to: { x: acrossTo, y: alongTo },
+          toAnchor
+        };
+      }
+
+      return {
+        id: `connector-${item.id}`,
+        item,
+        from: { x: (rect.left + rect.right) / 2, y: getFacingEdge(rect.top, rect.bottom, acrossTo) },
+        to: { x: alongTo, y: acrossTo },
+        toAnchor
+      };
+    })
+    .filter(Boolean);
+};
+
+export default calculateConnectors;
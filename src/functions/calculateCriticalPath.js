@@ -0,0 +1,92 @@
+import getItemSchedule from './getItemSchedule';
+import TimelineLogger from '../utils/logger';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Analyzes the schedule of dependent items: how much each item can slip before it delays the last finish
+ * in the plan (its slack, or total float), and which items and dependencies form the critical path.
+ *
+ * Dependencies are finish-to-start. Items keep their scheduled durations (from their date or timeline column),
+ * and a backward pass from the plan's latest finish gives each item its latest allowed finish; slack is the
+ * gap between that and its scheduled finish. Items with no slack are critical, and items with negative slack
+ * already push a successor past its planned start. Only items that take part in a dependency are analyzed;
+ * items caught in a dependency cycle have no defined slack and are left out.
+ *
+ * @param {Array} items - Timeline items (id, date, startDate, endDate, isRange, hasTime)
+ * @param {Array<{id: string, predecessorId: string, successorId: string}>} dependencies - From getItemDependencies
+ * @returns {{slackDays: Map<string, number>, criticalItemIds: Set<string>, criticalDependencyIds: Set<string>}}
+ *   Slack in whole days per analyzed item, and the items and dependencies on the critical path
+ */
+const calculateCriticalPath = (items = [], dependencies = []) => {
+  const schedules = new Map(items.map(item => [String(item.id), getItemSchedule(item)]));
+  const links = dependencies.filter(({ predecessorId, successorId }) => (
+    schedules.has(predecessorId) && schedules.has(successorId)
+  ));
+  if (links.length === 0) {
+    return { slackDays: new Map(), criticalItemIds: new Set(), criticalDependencyIds: new Set() };
+  }
+
+  const successors = new Map();
+  const remainingSuccessors = new Map();
+  links.forEach(({ predecessorId, successorId }) => {
+    [predecessorId, successorId].forEach(id => {
+      if (!successors.has(id)) successors.set(id, []);
+      if (!remainingSuccessors.has(id)) remainingSuccessors.set(id, 0);
+    });
+    successors.get(predecessorId).push(successorId);
+    remainingSuccessors.set(predecessorId, remainingSuccessors.get(predecessorId) + 1);
+  });
+
+  const predecessors = new Map(Array.from(successors.keys(), id => [id, []]));
+  links.forEach(({ predecessorId, successorId }) => predecessors.get(successorId).push(predecessorId));
+
+  // The plan finishes when its last analyzed item does
+  const projectFinish = Math.max(...Array.from(successors.keys(), id => schedules.get(id).finish));
+
+  // Backward pass, from items without successors towards their predecessors
+  const latestFinish = new Map();
+  const latestStart = new Map();
+  const queue = Array.from(remainingSuccessors.keys()).filter(id => remainingSuccessors.get(id) === 0);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    const { start, finish } = schedules.get(id);
+    const itemSuccessors = successors.get(id);
+    const finishBy = itemSuccessors.length > 0
+      ? Math.min(...itemSuccessors.map(successorId => latestStart.get(successorId)))
+      : projectFinish;
+    latestFinish.set(id, finishBy);
+    latestStart.set(id, finishBy - (finish - start));
+
+    predecessors.get(id).forEach(predecessorId => {
+      remainingSuccessors.set(predecessorId, remainingSuccessors.get(predecessorId) - 1);
+      if (remainingSuccessors.get(predecessorId) === 0) queue.push(predecessorId);
+    });
+  }
+
+  if (latestFinish.size < successors.size) {
+    TimelineLogger.warn('calculateCriticalPath: dependency cycle, items left out of the analysis', {
+      itemIds: Array.from(successors.keys()).filter(id => !latestFinish.has(id))
+    });
+  }
+
+  const slackDays = new Map();
+  latestFinish.forEach((finishBy, id) => {
+    slackDays.set(id, Math.round((finishBy - schedules.get(id).finish) / DAY_MS));
+  });
+
+  const criticalItemIds = new Set(Array.from(slackDays.keys()).filter(id => slackDays.get(id) <= 0));
+  // A dependency is critical when it links two critical items and the successor is the one that
+  // sets its predecessor's latest finish
+  const criticalDependencyIds = new Set(links
+    .filter(({ predecessorId, successorId }) => (
+      criticalItemIds.has(predecessorId)
+      && criticalItemIds.has(successorId)
+      && latestStart.get(successorId) === latestFinish.get(predecessorId)
+    ))
+    .map(({ id }) => id));
+
+  return { slackDays, criticalItemIds, criticalDependencyIds };
+};
+
+export default calculateCriticalPath;
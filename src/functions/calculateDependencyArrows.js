@@ -0,0 +1,90 @@
+import getCardRect from './getCardRect';
+import getItemSchedule from './getItemSchedule';
+import getSpanBarOffset from './getSpanBarOffset';
+
+/**
+ * Calculates dependency arrows between laid-out items from layout state alone, without reading the DOM.
+ * Items drawn as span bars are linked bar to bar, other items card to card. Arrows leave the predecessor at
+ * its end (right edge, or bottom when vertical) and point at the start of the successor, so a successor
+ * dated before its predecessor finishes gets an arrow that doubles back, and is flagged as a violation.
+ *
+ * @param {Array<{id: string, predecessorId: string, successorId: string}>} dependencies - From getItemDependencies
+ * @param {Array} items - Items from calculateCardLayout (renderPosition, renderSize, dates)
+ * @param {Object} options - Geometry of the timeline
+ * @param {string} [options.orientation='horizontal'] - 'horizontal' or 'vertical'
+ * @param {number} options.axisLength - Axis length in px (container width, or height when vertical)
+ * @param {number} options.axisOffset - Axis position across the container in px (its top, or left when vertical)
+ * @param {Object} [options.axisOffsets={}] - Axis position (px) of items drawn on their own axis, such as a
+ *   swimlane's, by item ID; other items use axisOffset
+ * @param {Array} [options.spans=[]] - Span bars from calculateSpanRows (id, row, startPosition, endPosition)
+ * @param {string} [options.spanSide='above'] - Side of the axis the span bars are drawn on
+ * @param {Object} [options.cardOffsets={}] - Dragged offset (px) of each card from its layout position, by item ID
+ * @param {Set} [options.skipIds] - Items that are not drawn; their dependencies are skipped
+ * @returns {Array<{id: string, predecessor: Object, successor: Object, from: {x: number, y: number},
+ *   to: {x: number, y: number}, isViolation: boolean}>} One arrow per dependency between drawn items, in container px
+ */
+const calculateDependencyArrows = (dependencies = [], items = [], {
+  orientation = 'horizontal',
+  axisLength,
+  axisOffset,
+  axisOffsets = {},
+  spans = [],
+  spanSide = 'above',
+  cardOffsets = {},
+  skipIds = new Set()
+}) => {
+  const isVertical = orientation === 'vertical';
+  const itemsById = new Map(items.map(item => [String(item.id), item]));
+  const spansById = new Map(spans.map(span => [String(span.id), span]));
+  const toPx = (percent) => (percent / 100) * axisLength;
+
+  // Edges of what an item is drawn as: its span bar, or its card
+  const getItemRect = (item) => {
+    const itemAxisOffset = axisOffsets[item.id] ?? axisOffset;
+    const span = spansById.get(String(item.id));
+    if (!span) {
+      return getCardRect(item, {
+        orientation,
+        axisLength,
+        axisOffset: itemAxisOffset,
+        dragOffset: cardOffsets[item.id] || 0
+      });
+    }
+
+    const { offset, thickness } = getSpanBarOffset(span.row, spanSide);
+    const alongStart = toPx(span.startPosition);
+    // Single-day ranges are drawn at least as long as the bar is thick
+    const alongEnd = Math.max(toPx(span.endPosition), alongStart + thickness);
+    const acrossStart = itemAxisOffset + offset;
+    return isVertical
+      ? { left: acrossStart, top: alongStart, right: acrossStart + thickness, bottom: alongEnd }
+      : { left: alongStart, top: acrossStart, right: alongEnd, bottom: acrossStart + thickness };
+  };
+
+  return dependencies
+    .map(dependency => {
+      const predecessor = itemsById.get(dependency.predecessorId);
+      const successor = itemsById.get(dependency.successorId);
+      const isDrawn = (item) => item && !skipIds.has(item.id) && item.renderPosition && item.renderSize;
+      if (!isDrawn(predecessor) || !isDrawn(successor)) return null;
+
+      const fromRect = getItemRect(predecessor);
+      const toRect = getItemRect(successor);
+
+      return {
+        id: dependency.id,
+        predecessor,
+        successor,
+        from: isVertical
+          ? { x: (fromRect.left + fromRect.right) / 2, y: fromRect.bottom }
+          : { x: fromRect.right, y: (fromRect.top + fromRect.bottom) / 2 },
+        to: isVertical
+          ? { x: (toRect.left + toRect.right) / 2, y: toRect.top }
+          : { x: toRect.left, y: (toRect.top + toRect.bottom) / 2 },
+        isViolation: getItemSchedule(successor).start < getItemSchedule(predecessor).finish
+      };
+    })
+    .filter(Boolean);
+};
+
+export default calculateDependencyArrows;
@@ -0,0 +1,87 @@
+/**
+ * Where an export's content sits in the exported image
+ * @typedef {Object} ExportFrame
+ * @property {{x: number, y: number, width: number, height: number}} crop - Part of the scene that is exported
+ *   (scene px)
+ * @property {number} scale - Output px per scene px
+ * @property {number} offsetX - Where the crop's left edge lands in the output (px)
+ * @property {number} offsetY - Where the crop's top edge lands in the output (px)
+ * @property {number} width - Output width (px, before any pixel ratio)
+ * @property {number} height - Output height (px, before any pixel ratio)
+ */
+
+/**
+ * Scene position of a date along the timeline axis
+ * @param {Object} axis - Scene axis (see buildExportScene)
+ * @param {Date} date - Date
+ * @returns {number} Position along the axis (scene px)
+ */
+const getAxisPosition = (axis, date) => (
+  axis.start + ((date - axis.startDate) / (axis.endDate - axis.startDate)) * (axis.end - axis.start)
+);
+
+/**
+ * Calculates how an export scene is cropped, padded and sized. The crop follows a date range along the axis;
+ * padding is added around it; the canvas then grows to the requested aspect ratio (content centered) and is
+ * scaled to the requested width or height.
+ *
+ * @param {import('./buildExportScene').ExportScene} scene - Scene from buildExportScene, without padding
+ * @param {Object} [options] - Frame options
+ * @param {Date|null} [options.cropStart=null] - Earliest date to include; null for the start of the scene
+ * @param {Date|null} [options.cropEnd=null] - Latest date to include; null for the end of the scene
+ * @param {number} [options.padding=32] - Space around the content (px, before scaling)
+ * @param {number|null} [options.aspectRatio=null] - Width / height of the output; null to follow the content
+ *   (or the target width and height when both are given)
+ * @param {number|null} [options.width=null] - Target output width (px)
+ * @param {number|null} [options.height=null] - Target output height (px), used when no width is given or, with a
+ *   width and no aspect ratio, to set the aspect ratio
+ * @returns {ExportFrame} Frame of the export
+ */
+const calculateExportFrame = (scene, {
+  cropStart = null,
+  cropEnd = null,
+  padding = 32,
+  aspectRatio = null,
+  width = null,
+  height = null
+} = {}) => {
+  const crop = { x: 0, y: 0, width: scene.width, height: scene.height };
+
+  // Crop along the axis to the date range; dates outside the scene are clamped to it
+  const { axis } = scene;
+  if (axis && axis.endDate > axis.startDate && (cropStart || cropEnd)) {
+    const isVertical = axis.orientation === 'vertical';
+    const sceneLength = isVertical ? scene.height : scene.width;
+    const from = cropStart ? Math.max(0, getAxisPosition(axis, cropStart)) : 0;
+    const to = cropEnd ? Math.min(sceneLength, getAxisPosition(axis, cropEnd)) : sceneLength;
+    if (to > from) {
+      if (isVertical) {
+        crop.y = from;
+        crop.height = to - from;
+      } else {
+        crop.x = from;
+        crop.width = to - from;
+      }
+    }
+  }
+
+  let canvasWidth = crop.width + padding * 2;
+  let canvasHeight = crop.height + padding * 2;
+  const ratio = aspectRatio || (width && height ? width / height : null);
+  if (ratio) {
+    if (canvasWidth / canvasHeight < ratio) canvasWidth = canvasHeight * ratio;
+    else canvasHeight = canvasWidth / ratio;
+  }
+
+  const scale = width ? width / canvasWidth : height ? height / canvasHeight : 1;
+  return {
+    crop,
+    scale,
+    offsetX: ((canvasWidth - crop.width) / 2) * scale,
+    offsetY: ((canvasHeight - crop.height) / 2) * scale,
+    width: Math.round(canvasWidth * scale),
+    height: Math.round(canvasHeight * scale)
+  };
+};
+
+export default calculateExportFrame;
@@ -0,0 +1,42 @@
+import { calculateItemPosition } from './timelineUtils';
+
+/**
+ * Calculates axis positions for range items and packs overlapping ranges into separate rows
+ *
+ * @param {Array} items - Timeline items with startDate and endDate
+ * @param {Date} startDate - Start date of the timeline
+ * @param {Date} endDate - End date of the timeline
+ * @returns {Array} Items with startPosition/endPosition (0-100%) and a zero-based row index
+ */
+const calculateSpanRows = (items, startDate, endDate) => {
+  if (!items || items.length === 0) {
+    return [];
+  }
+
+  const spans = items
+    .filter(item => item.startDate && item.endDate)
+    .map(item => ({
+      ...item,
+      startPosition: calculateItemPosition(item.startDate, startDate, endDate),
+      endPosition: calculateItemPosition(item.endDate, startDate, endDate)
+    }))
+    .sort((a, b) => a.startPosition - b.startPosition || a.endPosition - b.endPosition);
+
+  // End position of the last span placed in each row
+  const rowEnds = [];
+
+  return spans.map(span => {
+    // Place the span in the first row that is free at its start
+    let row = rowEnds.findIndex(rowEnd => rowEnd < span.startPosition);
+    if (row === -1) {
+      row = rowEnds.length;
+      rowEnds.push(span.endPosition);
+    } else {
+      rowEnds[row] = span.endPosition;
+    }
+
+    return { ...span, row };
+  });
+};
+
+export default calculateSpanRows;
@@ -0,0 +1,28 @@
+import { callMondayApi } from '../services/mondayApi';
+import { CHANGE_COLUMN_VALUE_MUTATION } from '../services/boardQueries';
+import TimelineLogger from '../utils/logger';
+
+/**
+ * Writes a column value back to the monday.com board
+ * @param {string|number} boardId - Board containing the item
+ * @param {string|number} itemId - Item to update
+ * @param {string} columnId - Column to update
+ * @param {Object} value - New column value (serialized to JSON for the API)
+ * @returns {Promise<Object>} The API response
+ * @throws {MondayApiError} When the mutation fails and cannot be retried
+ */
+const changeColumnValue = async (boardId, itemId, columnId, value) => {
+  TimelineLogger.dataOperation('changeColumnValue', { boardId, itemId, columnId });
+
+  return callMondayApi(CHANGE_COLUMN_VALUE_MUTATION, {
+    variables: {
+      boardId: String(boardId),
+      itemId: String(itemId),
+      columnId,
+      value: JSON.stringify(value)
+    },
+    operation: 'changeColumnValue'
+  });
+};
+
+export default changeColumnValue;
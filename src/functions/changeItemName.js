@@ -0,0 +1,54 @@
+import { callMondayApi } from '../services/mondayApi';
+import { CHANGE_SIMPLE_COLUMN_VALUE_MUTATION } from '../services/boardQueries';
+import fetchItemsByIds from './fetchItemsByIds';
+import TimelineLogger from '../utils/logger';
+
+/**
+ * Error raised when an item was renamed on the board after the user started editing it
+ */
+export class NameConflictError extends Error {
+  /**
+   * @param {string} currentName - The name the item has on the board now
+   */
+  constructor(currentName) {
+    super(`The item was renamed to "${currentName}" on the board`);
+    this.name = 'NameConflictError';
+    this.currentName = currentName;
+  }
+}
+
+/**
+ * Renames an item on the monday.com board, refusing to overwrite a rename made elsewhere
+ * since the user started editing
+ *
+ * @param {string|number} boardId - Board containing the item
+ * @param {string|number} itemId - Item to rename
+ * @param {string} newName - The new name
+ * @param {string} baseName - The name the user started editing from
+ * @returns {Promise<string>} The name stored on the board
+ * @throws {NameConflictError} When the board name no longer matches baseName
+ * @throws {MondayApiError} When the API call fails and cannot be retried
+ */
+const changeItemName = async (boardId, itemId, newName, baseName) => {
+  TimelineLogger.dataOperation('changeItemName', { boardId, itemId });
+
+  // Check for a concurrent rename before writing
+  const [current] = await fetchItemsByIds([itemId]);
+  if (current && current.name !== baseName && current.name !== newName) {
+    throw new NameConflictError(current.name);
+  }
+
+  const response = await callMondayApi(CHANGE_SIMPLE_COLUMN_VALUE_MUTATION, {
+    variables: {
+      boardId: String(boardId),
+      itemId: String(itemId),
+      columnId: 'name',
+      value: newName
+    },
+    operation: 'changeItemName'
+  });
+
+  return response.data?.change_simple_column_value?.name ?? newName;
+};
+
+export default changeItemName;
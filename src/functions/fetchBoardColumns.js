@@ -0,0 +1,37 @@
+import { callMondayApi } from '../services/mondayApi';
+import { BOARD_COLUMNS_QUERY } from '../services/boardQueries';
+import TimelineLogger from '../utils/logger';
+
+/**
+ * Fetches column metadata for a board
+ * @param {string|number} boardId - The board to read columns from
+ * @returns {Promise<Array<{id: string, type: string, title: string, settings: Object}>>} Board columns
+ *   with settings_str already parsed into `settings`
+ * @throws {MondayApiError} When the call fails and cannot be retried
+ */
+const fetchBoardColumns = async (boardId) => {
+  const startTime = Date.now();
+  const response = await callMondayApi(BOARD_COLUMNS_QUERY, {
+    variables: { boardId: [String(boardId)] },
+    operation: 'fetchBoardColumns'
+  });
+
+  const columns = response.data?.boards?.[0]?.columns || [];
+
+  TimelineLogger.performance('fetchBoardColumns', Date.now() - startTime, {
+    boardId,
+    columnCount: columns.length
+  });
+
+  return columns.map(({ settings_str: settingsStr, ...column }) => {
+    let settings = {};
+    try {
+      settings = settingsStr ? JSON.parse(settingsStr) : {};
+    } catch (e) {
+      TimelineLogger.warn('fetchBoardColumns: unreadable column settings', { columnId: column.id });
+    }
+    return { ...column, settings };
+  });
+};
+
+export default fetchBoardColumns;
@@ -1,106 +1,222 @@
-import mondaySdk from "monday-sdk-js";
+import { callMondayApi, parseMondayApiError } from '../services/mondayApi';
+import { FIRST_ITEMS_PAGE_QUERY, NEXT_ITEMS_PAGE_QUERY } from '../services/boardQueries';
+import fetchItemsByIds from './fetchItemsByIds';
 import TimelineLogger from '../utils/logger';
 
-// Initialize monday SDK
-const monday = mondaySdk();
+// Maximum page size accepted by items_page / next_items_page
+const DEFAULT_PAGE_SIZE = 500;
 
 /**
- * Fetches board items from monday.com using the provided context
+ * Walks the board's items_page / next_items_page cursors, handing each page to onPage as it arrives
+ * @param {string|number} boardId - The board to load
+ * @param {number} pageSize - Number of items requested per page
+ * @param {Function} onPage - Called with (items, pageIndex) for every page received
+ * @param {Function} isCancelled - Returns true when the caller no longer wants results
+ * @param {Object} progress - Updated as pages arrive: {cursor} of the next page to request and {pageCount} received
+ * @param {string|null} [startCursor=null] - Cursor to resume from; the first page is then not requested again
+ * @returns {Promise<number>} Total number of items loaded
+ */
+const fetchAllBoardItemPages = async (boardId, pageSize, onPage, isCancelled, progress, startCursor = null) => {
+  const fetchNextPage = async (cursor) => {
+    const response = await callMondayApi(NEXT_ITEMS_PAGE_QUERY, {
+      variables: { cursor, limit: pageSize },
+      operation: 'fetchBoardItems.nextPage',
+      isCancelled
+    });
+    return response.data?.next_items_page;
+  };
+
+  let page;
+  let pageIndex;
+  if (startCursor) {
+    progress.cursor = startCursor;
+    page = await fetchNextPage(startCursor);
+    // Appended to the pages already loaded
+    pageIndex = 1;
+  } else {
+    const firstResponse = await callMondayApi(FIRST_ITEMS_PAGE_QUERY, {
+      variables: { boardId: [String(boardId)], limit: pageSize },
+      operation: 'fetchBoardItems.firstPage',
+      isCancelled
+    });
+
+    const board = firstResponse.data?.boards?.[0];
+    if (!board) {
+      TimelineLogger.warn('No board data found', { boardId });
+      onPage([], 0);
+      return 0;
+    }
+    page = board.items_page;
+    pageIndex = 0;
+  }
+
+  let total = 0;
+
+  while (page && !isCancelled()) {
+    total += page.items.length;
+    onPage(page.items, pageIndex);
+    progress.cursor = page.cursor || null;
+    progress.pageCount++;
+
+    TimelineLogger.debug('fetchBoardItems: page received', {
+      pageIndex,
+      pageItemCount: page.items.length,
+      totalLoaded: total,
+      hasMore: !!page.cursor
+    });
+
+    if (!page.cursor) break;
+
+    page = await fetchNextPage(page.cursor);
+    pageIndex++;
+  }
+
+  return total;
+};
+
+/**
+ * Fetches board items from monday.com using the provided context.
+ * When itemIds is null the whole board is loaded page by page and streamed into state,
+ * so the timeline can render the first page while the rest is still arriving. If a later page fails, the pages
+ * already shown are kept and the failure goes to setPageError with the cursor to resume from. An empty itemIds
+ * array is a view whose filter matches nothing, so no items are loaded.
+ * Dependency column values carry their linked_item_ids, which the timeline draws as dependency arrows.
  * @param {Object} context - The monday.com context containing boardId
- * @param {Array<string>} itemIds - Optional array of specific item IDs to fetch
+ * @param {Array<string>|null} itemIds - Specific item IDs to fetch, or null for the whole board
  * @param {Function} setBoardItems - State setter function for board items
  * @param {Function} setIsLoading - State setter function for loading state
- * @param {Function} setError - State setter function for error state
+ * @param {Function} setError - State setter function for error state, receives a MondayApiError
+ * @param {Object} [options] - Additional options
+ * @param {Function} [options.setIsLoadingMore] - State setter toggled while further pages are loading
+ * @param {Function} [options.setPageError] - State setter for a later page that failed, receives
+ *   {error: MondayApiError, cursor} (null when loading starts); without it such failures go to setError
+ * @param {string|null} [options.resumeCursor] - Cursor from a page error to continue the whole-board load from,
+ *   appending to the items already loaded
+ * @param {Function} [options.isCancelled] - Returns true once the caller has moved on (e.g. effect cleanup)
+ * @param {number} [options.pageSize] - Items requested per page when loading the whole board
  * @returns {Promise<void>}
  */
 
-const fetchBoardItems = async (context, itemIds, setBoardItems, setIsLoading, setError) => {
+const fetchBoardItems = async (context, itemIds, setBoardItems, setIsLoading, setError, options = {}) => {
+  const {
+    setIsLoadingMore = () => {},
+    setPageError = null,
+    resumeCursor = null,
+    isCancelled = () => false,
+    pageSize = DEFAULT_PAGE_SIZE
+  } = options;
   const startTime = Date.now();
-  
+
   if (!context || !context.boardId) {
     TimelineLogger.warn('Invalid context provided to fetchBoardItems', { context });
     return;
   }
-  
+
+  const hasSpecificItems = Array.isArray(itemIds);
+
   TimelineLogger.dataOperation('fetchBoardItems.start', {
     boardId: context.boardId,
-    itemCount: itemIds?.length || 0,
-    hasSpecificItems: !!(itemIds && itemIds.length > 0)
+    itemCount: itemIds?.length ?? 'all',
+    hasSpecificItems
   });
-  
-  setIsLoading(true);
+
+  const isResuming = !hasSpecificItems && !!resumeCursor;
+  // Where the whole-board load has got to, so a failed page can be resumed
+  const progress = { cursor: null, pageCount: 0 };
+
+  // A resumed load keeps the timeline on screen
+  if (isResuming) {
+    setIsLoadingMore(true);
+  } else {
+    setIsLoading(true);
+  }
   setError(null);
-  
-  let query;
-  
-  if (itemIds && itemIds.length > 0) {
-    // Query specific items by their IDs
-    const itemIdsString = itemIds.map(id => `"${id}"`).join(', ');
-    query = `query {
-      items(ids: [${itemIdsString}]) {
-        id
-        name
-        board {
-          id
-        }
-        group {
-          id
-          title
-          color
-        }
-        column_values {
-          id
-          value
-        }
-      }
-    }`;
-    
-    TimelineLogger.debug('GraphQL query constructed', { 
-      queryType: 'specific_items',
-      itemCount: itemIds.length 
-    });
-            
-    try {
-      const response = await monday.api(query);
-      const duration = Date.now() - startTime;
-      
-      TimelineLogger.performance('fetchBoardItems.apiCall', duration);
-      
-      if (itemIds && itemIds.length > 0) {
-        // Handle response for specific items query
-        if (response.data && response.data.items) {
-          TimelineLogger.dataOperation('fetchBoardItems.success', {
-            itemCount: response.data.items.length,
-            queryType: 'specific_items'
-          });
-          setBoardItems(response.data.items);
-        } else {
-          TimelineLogger.warn('No items found for the specified IDs', { itemIds });
-          setBoardItems([]);
-        }
+  if (setPageError) setPageError(null);
+
+  try {
+    if (hasSpecificItems && itemIds.length === 0) {
+      // The view's filter matches no items
+      TimelineLogger.debug('No item IDs in view, nothing to fetch');
+      setBoardItems([]);
+    } else if (hasSpecificItems) {
+      // Query specific items by their IDs, in API-sized batches
+      TimelineLogger.debug('GraphQL query constructed', {
+        queryType: 'specific_items',
+        itemCount: itemIds.length
+      });
+
+      const items = await fetchItemsByIds(itemIds, { isCancelled });
+      if (isCancelled()) return;
+
+      TimelineLogger.performance('fetchBoardItems.apiCall', Date.now() - startTime);
+
+      if (items.length > 0) {
+        TimelineLogger.dataOperation('fetchBoardItems.success', {
+          itemCount: items.length,
+          queryType: 'specific_items'
+        });
       } else {
-        // Handle response for all items query
-        if (response.data && response.data.boards && response.data.boards.length > 0) {
-          TimelineLogger.dataOperation('fetchBoardItems.success', {
-            itemCount: response.data.boards[0].items_page.items.length,
-            queryType: 'all_items'
-          });
-          setBoardItems(response.data.boards[0].items_page.items);
-        } else {
-          TimelineLogger.warn('No board data found');
-          setBoardItems([]);
-        }
+        TimelineLogger.warn('No items found for the specified IDs', { itemIds });
       }
-    } catch (error) {
-      const duration = Date.now() - startTime;
-      TimelineLogger.error('fetchBoardItems.failed', error, {
-        boardId: context.boardId,
-        itemCount: itemIds?.length || 0,
-        duration: `${duration}ms`
+      setBoardItems(items);
+    } else {
+      // Load the entire board, streaming pages into state as they arrive
+      TimelineLogger.debug('GraphQL query constructed', {
+        queryType: 'all_items',
+        pageSize,
+        resumed: isResuming
+      });
+
+      const total = await fetchAllBoardItemPages(
+        context.boardId,
+        pageSize,
+        (items, pageIndex) => {
+          if (isCancelled()) return;
+
+          if (pageIndex === 0) {
+            setBoardItems(items);
+            // Let the timeline render the first page while the rest loads
+            setIsLoading(false);
+            setIsLoadingMore(true);
+          } else {
+            setBoardItems(prevItems => [...prevItems, ...items]);
+          }
+        },
+        isCancelled,
+        progress,
+        isResuming ? resumeCursor : null
+      );
+
+      if (isCancelled()) return;
+
+      TimelineLogger.dataOperation('fetchBoardItems.success', {
+        itemCount: total,
+        queryType: 'all_items'
       });
-      setError('Failed to fetch board items');
-    } finally {
+      TimelineLogger.performance('fetchBoardItems.apiCall', Date.now() - startTime);
+    }
+  } catch (error) {
+    if (isCancelled()) return;
+
+    const duration = Date.now() - startTime;
+    TimelineLogger.error('fetchBoardItems.failed', error, {
+      boardId: context.boardId,
+      itemCount: itemIds?.length ?? 'all',
+      duration: `${duration}ms`
+    });
+    // Keep the API's own reason so the UI can show why loading failed
+    const reason = parseMondayApiError(error) || error;
+    const hasShownItems = isResuming || progress.pageCount > 0;
+    if (setPageError && hasShownItems && progress.cursor) {
+      // Keep the items already on screen; the load can resume from the failed page
+      setPageError({ error: reason, cursor: progress.cursor });
+    } else {
+      setError(reason);
+    }
+  } finally {
+    if (!isCancelled()) {
       setIsLoading(false);
+      setIsLoadingMore(false);
     }
   }
 };
@@ -0,0 +1,60 @@
+import { callMondayApi } from '../services/mondayApi';
+import { ITEMS_BY_IDS_QUERY } from '../services/boardQueries';
+import TimelineLogger from '../utils/logger';
+
+// monday.com returns at most 100 items per items(ids: ...) query
+const MAX_IDS_PER_QUERY = 100;
+
+/**
+ * Fetches one batch of items, halving the batch whenever the API reports it as too complex
+ * @param {Array<string>} batch - Item IDs to fetch
+ * @param {Function} isCancelled - Returns true to stop fetching
+ * @returns {Promise<Array>} Items returned for the batch
+ */
+const fetchBatch = async (batch, isCancelled) => {
+  try {
+    const response = await callMondayApi(ITEMS_BY_IDS_QUERY, {
+      variables: { itemIds: batch, limit: batch.length },
+      operation: 'fetchItemsByIds',
+      isCancelled
+    });
+    return response.data?.items || [];
+  } catch (error) {
+    if (!error.queryTooComplex || batch.length <= 1) {
+      throw error;
+    }
+
+    const middle = Math.ceil(batch.length / 2);
+    TimelineLogger.warn('fetchItemsByIds: batch too complex, splitting', {
+      batchSize: batch.length,
+      reason: error.message
+    });
+
+    const firstHalf = await fetchBatch(batch.slice(0, middle), isCancelled);
+    const secondHalf = await fetchBatch(batch.slice(middle), isCancelled);
+    return [...firstHalf, ...secondHalf];
+  }
+};
+
+/**
+ * Fetches specific board items by ID, splitting the request into API-sized batches
+ * @param {Array<string>} itemIds - IDs of the items to fetch
+ * @param {Object} [options] - Additional options
+ * @param {Function} [options.isCancelled] - Returns true once the caller no longer wants results
+ * @returns {Promise<Array>} The fetched items, in batch order
+ * @throws {MondayApiError} When a batch fails and cannot be retried or split further
+ */
+const fetchItemsByIds = async (itemIds = [], options = {}) => {
+  const { isCancelled = () => false } = options;
+  const ids = itemIds.map(String);
+  const items = [];
+
+  for (let i = 0; i < ids.length && !isCancelled(); i += MAX_IDS_PER_QUERY) {
+    const batch = ids.slice(i, i + MAX_IDS_PER_QUERY);
+    items.push(...await fetchBatch(batch, isCancelled));
+  }
+
+  return items;
+};
+
+export default fetchItemsByIds;
@@ -0,0 +1,52 @@
+// Distance (px) within which a dragged card snaps into line with a neighbor
+const ALIGN_THRESHOLD = 6;
+
+/**
+ * Returns the horizontal lines of a card that other cards can line up with: top, middle and bottom
+ * @param {{top: number, bottom: number}} rect - Vertical extent of the card
+ * @returns {Array<number>} Line positions (px)
+ */
+const getAlignmentLines = ({ top, bottom }) => [top, (top + bottom) / 2, bottom];
+
+/**
+ * Finds how far to nudge a dragged card so it lines up with a neighbor, or else lands on the snap grid.
+ * The card's top, middle and bottom are compared with those of every other card; the closest match within
+ * the threshold wins and every line that then coincides is returned as a guide to draw.
+ *
+ * @param {{top: number, bottom: number}} movingRect - Proposed extent of the dragged card (px, container coordinates)
+ * @param {Array<{top: number, bottom: number}>} otherRects - Extents of the other visible cards
+ * @param {Object} [options] - Snap options
+ * @param {number} [options.gridSize=0] - Grid spacing in px; 0 disables the grid
+ * @param {number} [options.threshold=6] - Snap distance in px
+ * @returns {{delta: number, guides: Array<number>}} Offset to add to the card's position, and the y position
+ *   of each alignment guide (empty when snapping to the grid or not at all)
+ */
+const findAlignmentSnap = (movingRect, otherRects = [], { gridSize = 0, threshold = ALIGN_THRESHOLD } = {}) => {
+  const movingLines = getAlignmentLines(movingRect);
+  const targetLines = otherRects.flatMap(getAlignmentLines);
+
+  let delta = null;
+  movingLines.forEach(line => {
+    targetLines.forEach(target => {
+      const distance = target - line;
+      if (Math.abs(distance) <= threshold && (delta === null || Math.abs(distance) < Math.abs(delta))) {
+        delta = distance;
+      }
+    });
+  });
+
+  if (delta !== null) {
+    const guides = movingLines
+      .map(line => line + delta)
+      .filter(line => targetLines.some(target => Math.abs(target - line) < 0.5));
+    return { delta, guides: Array.from(new Set(guides)) };
+  }
+
+  if (gridSize > 0) {
+    return { delta: Math.round(movingRect.top / gridSize) * gridSize - movingRect.top, guides: [] };
+  }
+
+  return { delta: 0, guides: [] };
+};
+
+export default findAlignmentSnap;
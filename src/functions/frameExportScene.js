@@ -0,0 +1,104 @@
+import getSceneElementBounds from './getSceneElementBounds';
+
+/**
+ * Moves the scene axis into the frame, narrowed to the crop with the dates it then spans
+ * @param {Object|null} axis - Scene axis (see buildExportScene)
+ * @param {import('./calculateExportFrame').ExportFrame} frame - Frame of the export
+ * @returns {Object|null} Axis in output px
+ */
+const frameAxis = (axis, { crop, scale, offsetX, offsetY }) => {
+  if (!axis) return null;
+  const isVertical = axis.orientation === 'vertical';
+  const cropStart = isVertical ? crop.y : crop.x;
+  const cropEnd = cropStart + (isVertical ? crop.height : crop.width);
+  const start = Math.max(axis.start, cropStart);
+  const end = Math.min(axis.end, cropEnd);
+  if (end <= start) return null;
+
+  const toDate = (position) => new Date(
+    axis.startDate.getTime() + ((position - axis.start) / (axis.end - axis.start)) * (axis.endDate - axis.startDate)
+  );
+  const toOutput = (position) => (isVertical ? offsetY : offsetX) + (position - cropStart) * scale;
+  return {
+    ...axis,
+    start: toOutput(start),
+    end: toOutput(end),
+    startDate: toDate(start),
+    endDate: toDate(end)
+  };
+};
+
+/**
+ * Fits an export scene into a frame from calculateExportFrame: elements outside the crop are dropped, the rest
+ * are moved and scaled into the output, and the scene is clipped to the crop when it is smaller than the scene.
+ *
+ * @param {import('./buildExportScene').ExportScene} scene - Scene from buildExportScene, without padding
+ * @param {import('./calculateExportFrame').ExportFrame} frame - Frame of the export
+ * @param {Object} [options] - Output options
+ * @param {string|null} [options.background] - Background color, or null for transparent; defaults to the scene's
+ * @param {string|null} [options.textColor=null] - Color for all text ('#rrggbb'); null keeps the on-screen colors
+ * @returns {import('./buildExportScene').ExportScene} Scene in output px
+ */
+const frameExportScene = (scene, frame, { background = scene.background, textColor = null } = {}) => {
+  const { crop, scale, offsetX, offsetY } = frame;
+  const toX = (x) => offsetX + (x - crop.x) * scale;
+  const toY = (y) => offsetY + (y - crop.y) * scale;
+  const toPoint = (point) => ({ ...point, x: toX(point.x), y: toY(point.y) });
+  const toBox = (element) => ({
+    ...element,
+    x: toX(element.x),
+    y: toY(element.y),
+    width: element.width * scale,
+    height: element.height * scale
+  });
+
+  const isInCrop = (element) => {
+    const bounds = getSceneElementBounds(element);
+    return bounds.right >= crop.x && bounds.left <= crop.x + crop.width
+      && bounds.bottom >= crop.y && bounds.top <= crop.y + crop.height;
+  };
+
+  const elements = scene.elements.filter(isInCrop).map(element => {
+    switch (element.type) {
+      case 'rect':
+        return { ...toBox(element), radius: (element.radius || 0) * scale, strokeWidth: element.strokeWidth * scale };
+      case 'ellipse':
+        return { ...toBox(element), strokeWidth: element.strokeWidth * scale };
+      case 'text':
+        return {
+          ...toBox(element),
+          fontSize: element.fontSize * scale,
+          color: textColor || element.color
+        };
+      case 'path':
+        return {
+          ...element,
+          segments: element.segments.map(segment => (
+            segment.type === 'C'
+              ? { ...toPoint(segment), x1: toX(segment.x1), y1: toY(segment.y1), x2: toX(segment.x2), y2: toY(segment.y2) }
+              : toPoint(segment)
+          )),
+          strokeWidth: element.strokeWidth * scale,
+          dash: (element.dash || []).map(value => value * scale)
+        };
+      case 'polygon':
+        return { ...element, points: element.points.map(toPoint), strokeWidth: element.strokeWidth * scale };
+      default:
+        return element;
+    }
+  });
+
+  const isCropped = crop.width < scene.width || crop.height < scene.height;
+  return {
+    width: frame.width,
+    height: frame.height,
+    background,
+    axis: frameAxis(scene.axis, frame),
+    clip: isCropped
+      ? { x: offsetX, y: offsetY, width: crop.width * scale, height: crop.height * scale }
+      : null,
+    elements
+  };
+};
+
+export default frameExportScene;
@@ -10,63 +10,19 @@ import { calculateItemPosition } from './timelineUtils';
  * @param {Date} startDate - Start date of the timeline
  * @param {Date} endDate - End date of the timeline
  * @param {string} dateFormat - Format for displaying dates
+ * @param {string} [columnType] - The column's type from board metadata (e.g. 'date', 'timeline')
+ * @param {Object} [options] - Additional options
+ * @param {boolean} [options.clipToRange=false] - Only mark dates inside [startDate, endDate] instead of widening
+ *   the range to fit every date (used for the zoomed-in window)
  * @returns {Array} Array of timeline markers with date, label, and position
  */
-const generateTimelineMarkers = (boardItems, dateColumn, startDate, endDate, dateFormat) => {
+const generateTimelineMarkers = (boardItems, dateColumn, startDate, endDate, dateFormat, columnType, { clipToRange = false } = {}) => {
   if (boardItems.length > 0 && dateColumn) {
-    // Enhanced field detection - automatically detect field type from data structure
-    const dates = new Set();
-    
-    boardItems.forEach(item => {
-      const column = item.column_values?.find(col => col.id === dateColumn);
-      
-      if (column?.value) {
-        try {
-          const columnValue = JSON.parse(column.value);
-          let dateStr = null;
-          
-          // Check if this is a timeline/range field by looking at the data structure
-          const hasTimelineFields = columnValue.to || columnValue.end || columnValue.from;
-          const hasStandardDate = columnValue.date;
-          
-          // Determine which type of field this is based on available data
-          if (hasTimelineFields) {
-            // Timeline/range field - use the end date
-            if (columnValue.to) {
-              dateStr = columnValue.to;
-            } else if (columnValue.end) {
-              dateStr = columnValue.end;
-            } else if (columnValue.from) {
-              dateStr = columnValue.from;
-            }
-          } else if (hasStandardDate) {
-            // Standard date field
-            dateStr = columnValue.date;
-          }
-          
-          if (dateStr) {
-            // Normalize to consistent format (YYYY-MM-DD)
-            const [year, month, day] = dateStr.split('-').map(Number);
-            const normalizedDate = new Date(year, month - 1, day, 12, 0, 0);
-            
-            if (normalizedDate instanceof Date && !isNaN(normalizedDate)) {
-              // Use ISO string to ensure uniqueness (removes time differences)
-              dates.add(normalizedDate.toISOString().split('T')[0]);
-            }
-          }
-        } catch (error) {
-          console.error('Error parsing date value:', error);
-        }
-      }
-    });
-    
-    // Convert Set back to array of Date objects and sort chronologically
-    const uniqueDates = Array.from(dates)
-      .map(dateString => {
-        const [year, month, day] = dateString.split('-').map(Number);
-        return new Date(year, month - 1, day, 12, 0, 0);
-      })
-      .sort((a, b) => a.getTime() - b.getTime());
+    // Same parser as the cards, so markers and cards always land on the same day
+    const allDates = getUniqueDates(boardItems, dateColumn, columnType);
+    const uniqueDates = clipToRange
+      ? allDates.filter(date => date >= startDate && date <= endDate)
+      : allDates;
     
     if (uniqueDates.length > 0) {
       // Create date-only versions to avoid timezone issues when comparing
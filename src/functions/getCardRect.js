@@ -0,0 +1,39 @@
+/**
+ * Returns where a laid-out card is drawn in the timeline container, from layout state alone
+ *
+ * @param {Object} item - Item from calculateCardLayout (renderPosition, renderSize)
+ * @param {Object} options - Geometry of the timeline
+ * @param {string} [options.orientation='horizontal'] - 'horizontal' or 'vertical'
+ * @param {number} options.axisLength - Axis length in px (container width, or height when vertical)
+ * @param {number} options.axisOffset - Axis position across the container in px (its top, or left when vertical)
+ * @param {number} [options.dragOffset=0] - Dragged offset (px) of the card from its layout position
+ * @returns {{left: number, top: number, right: number, bottom: number}} Card edges in container px
+ */
+const getCardRect = (item, { orientation = 'horizontal', axisLength, axisOffset, dragOffset = 0 }) => {
+  const { x, y } = item.renderPosition;
+  const { width, height } = item.renderSize;
+  const along = (x / 100) * axisLength;
+
+  if (orientation === 'vertical') {
+    // Cards are centered on their layout position and dragged along the axis
+    const centerX = axisOffset + y;
+    const centerY = along + dragOffset;
+    return {
+      left: centerX - width / 2,
+      top: centerY - height / 2,
+      right: centerX + width / 2,
+      bottom: centerY + height / 2
+    };
+  }
+
+  // Cards hang from their top edge, centered on their date, and are dragged across the axis
+  const top = axisOffset + y + dragOffset;
+  return {
+    left: along - width / 2,
+    top,
+    right: along + width / 2,
+    bottom: top + height
+  };
+};
+
+export default getCardRect;
@@ -0,0 +1,36 @@
+// Colors of the timeline's SVG overlays. They are literal values rather than CSS variables, so image exports of
+// the overlays match the screen.
+
+// Connector color when no group or status color applies
+export const NEUTRAL_CONNECTOR_COLOR = '#666666';
+// Dependency arrow colors: regular dependencies, and successors dated before their predecessor ends
+export const DEPENDENCY_COLOR = '#676879';
+export const VIOLATION_COLOR = '#e2445c';
+// Highlight for critical items and dependencies (see calculateCriticalPath)
+export const CRITICAL_PATH_COLOR = '#ff642e';
+
+/**
+ * Picks the color of an item's connector
+ *
+ * @param {Object} item - Timeline item (with originalItem)
+ * @param {Object} options - Color options
+ * @param {string} [options.colorBy='neutral'] - 'neutral', 'group' (the item's group color) or 'status'
+ *   (the color of the item's label in colorColumn)
+ * @param {Object} [options.colorColumn] - Status column info ({id}) used when coloring by status
+ * @param {Map<string, string>} [options.labelColors] - Label colors of colorColumn, from getStatusLabelColors
+ * @returns {string} Literal CSS color
+ */
+const getConnectorColor = (item, { colorBy = 'neutral', colorColumn = null, labelColors = new Map() } = {}) => {
+  if (colorBy === 'group') {
+    return item.originalItem?.group?.color || NEUTRAL_CONNECTOR_COLOR;
+  }
+
+  if (colorBy === 'status' && colorColumn) {
+    const columnValue = item.originalItem?.column_values?.find(col => col.id === colorColumn.id);
+    return labelColors.get((columnValue?.text || '').trim()) || NEUTRAL_CONNECTOR_COLOR;
+  }
+
+  return NEUTRAL_CONNECTOR_COLOR;
+};
+
+export default getConnectorColor;
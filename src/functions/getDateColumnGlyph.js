@@ -0,0 +1,15 @@
+// Glyphs and colors cycled through for each selected date column
+const GLYPHS = ['circle', 'diamond', 'square', 'triangle'];
+const COLORS = ['#579bfc', '#ff642e', '#00c875', '#a25ddc', '#fdab3d', '#e2445c'];
+
+/**
+ * Returns the glyph and color used to mark dates from a date column
+ * @param {number} index - Position of the column in the date column selection
+ * @returns {{glyph: string, color: string}} Glyph name ('circle', 'diamond', 'square', 'triangle') and color
+ */
+const getDateColumnGlyph = (index) => ({
+  glyph: GLYPHS[index % GLYPHS.length],
+  color: COLORS[index % COLORS.length]
+});
+
+export default getDateColumnGlyph;
@@ -0,0 +1,86 @@
+// Column types whose values describe a date range rather than a single date
+export const RANGE_COLUMN_TYPES = new Set(['timeline', 'timerange', 'week']);
+
+/**
+ * Returns the IDs of the date columns selected in settings, in selection order
+ * @param {Object} settings - App settings; `settings.date` maps column IDs to a selected flag
+ * @returns {Array<string>} Selected column IDs
+ */
+export const getSelectedDateColumnIds = (settings = {}) => {
+  if (!settings || !settings.date) return [];
+  return Object.keys(settings.date).filter(key => settings.date[key] === true);
+};
+
+/**
+ * Reads the column type reported on the items' own column values.
+ * Only used when board column metadata is unavailable.
+ * @param {Array} boardItems - Board items to inspect
+ * @param {string} columnId - Column to inspect
+ * @returns {string|null} Column type, or null if no item reports one
+ */
+const getTypeFromColumnValues = (boardItems = [], columnId) => {
+  const sample = boardItems
+    .map(item => item.column_values?.find(col => col.id === columnId))
+    .find(col => col?.type);
+  return sample ? sample.type : null;
+};
+
+/**
+ * Resolves one selected column against the board's column metadata
+ * @param {string} columnId - Selected column ID
+ * @param {Array} columns - Board columns from fetchBoardColumns
+ * @param {Array} boardItems - Board items, used to infer the type if metadata is missing
+ * @returns {{id: string, type: string|null, title: string, isRange: boolean, settings: Object}} Column info
+ */
+const resolveColumn = (columnId, columns, boardItems) => {
+  const column = columns.find(col => col.id === columnId);
+
+  if (column) {
+    return {
+      id: column.id,
+      type: column.type,
+      title: column.title,
+      isRange: RANGE_COLUMN_TYPES.has(column.type),
+      settings: column.settings || {}
+    };
+  }
+
+  // Metadata not loaded (or the column was removed) - fall back to the type on the values.
+  // A null type lets parseColumnValue infer it from each value's shape.
+  const type = getTypeFromColumnValues(boardItems, columnId);
+  return {
+    id: columnId,
+    type,
+    title: columnId,
+    isRange: RANGE_COLUMN_TYPES.has(type),
+    settings: {}
+  };
+};
+
+/**
+ * Resolves every selected date column against the board's column metadata, in selection order
+ * @param {Object} settings - App settings containing the `date` column selection
+ * @param {Array} [columns] - Board columns from fetchBoardColumns
+ * @param {Array} [boardItems] - Board items, used to infer types if metadata is missing
+ * @returns {Array<{id: string, type: string|null, title: string, isRange: boolean, settings: Object}>} Column infos
+ */
+export const getDateColumnInfos = (settings, columns = [], boardItems = []) => (
+  getSelectedDateColumnIds(settings).map(columnId => resolveColumn(columnId, columns, boardItems))
+);
+
+/**
+ * Resolves the selected date column against the board's column metadata.
+ * When several columns are selected, the first one is the primary column that positions the cards.
+ *
+ * @param {Object} settings - App settings containing the `date` column selection
+ * @param {Array} [columns] - Board columns from fetchBoardColumns
+ * @param {Array} [boardItems] - Board items, used to infer the type if metadata is missing
+ * @returns {{id: string, type: string|null, title: string, isRange: boolean, settings: Object}|null}
+ *   Info about the primary column, or null if no column is selected
+ */
+const getDateColumnInfo = (settings, columns = [], boardItems = []) => {
+  const [columnId] = getSelectedDateColumnIds(settings);
+  return columnId ? resolveColumn(columnId, columns, boardItems) : null;
+};
+
+export default getDateColumnInfo;
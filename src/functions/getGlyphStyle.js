@@ -0,0 +1,30 @@
+/**
+ * Generate styles for a date column glyph (see getDateColumnGlyph)
+ * @param {string} glyph - Glyph name ('circle', 'diamond', 'square', 'triangle')
+ * @param {string} color - Fill color
+ * @param {number} size - Glyph size in pixels (default: 10)
+ * @returns {Object} CSS styles object for the glyph
+ */
+const getGlyphStyle = (glyph, color, size = 10) => {
+  const base = {
+    width: `${size}px`,
+    height: `${size}px`,
+    backgroundColor: color,
+    border: glyph === 'triangle' ? 'none' : '1px solid rgba(0, 0, 0, 0.2)',
+    boxSizing: 'border-box',
+  };
+
+  switch (glyph) {
+    case 'circle':
+      return { ...base, borderRadius: '50%' };
+    case 'diamond':
+      return { ...base, transform: 'rotate(45deg) scale(0.85)' };
+    case 'triangle':
+      return { ...base, clipPath: 'polygon(50% 0, 100% 100%, 0 100%)' };
+    case 'square':
+    default:
+      return base;
+  }
+};
+
+export default getGlyphStyle;
@@ -0,0 +1,54 @@
+import TimelineLogger from '../utils/logger';
+
+/**
+ * Reads the items a dependency column value links to. Uses linked_item_ids from the API, falling back to
+ * the stored value ({linkedPulseIds: [{linkedPulseId}]}) for responses fetched without it.
+ * @param {Object} columnValue - Dependency column value ({id, value, linked_item_ids})
+ * @returns {Array<string>} Linked item IDs
+ */
+const getLinkedItemIds = (columnValue) => {
+  if (Array.isArray(columnValue.linked_item_ids)) {
+    return columnValue.linked_item_ids.map(String);
+  }
+  if (!columnValue.value) return [];
+
+  try {
+    const value = JSON.parse(columnValue.value);
+    return (value?.linkedPulseIds || []).map(link => String(link.linkedPulseId));
+  } catch (e) {
+    TimelineLogger.warn('getItemDependencies: unreadable dependency value', {
+      columnId: columnValue.id,
+      error: e.message
+    });
+    return [];
+  }
+};
+
+/**
+ * Collects the dependencies between board items from their dependency columns. An item's dependency
+ * column lists the items it depends on, so each linked item is a predecessor of the item holding the value.
+ * Links to items that are not loaded, and duplicates across several dependency columns, are dropped.
+ *
+ * @param {Array} boardItems - Board items with column_values
+ * @returns {Array<{id: string, predecessorId: string, successorId: string}>} One entry per dependency
+ */
+const getItemDependencies = (boardItems = []) => {
+  const loadedIds = new Set(boardItems.map(item => String(item.id)));
+  const dependencies = new Map();
+
+  boardItems.forEach(item => {
+    const successorId = String(item.id);
+    (item.column_values || [])
+      .filter(columnValue => columnValue.type === 'dependency')
+      .flatMap(getLinkedItemIds)
+      .forEach(predecessorId => {
+        if (predecessorId === successorId || !loadedIds.has(predecessorId)) return;
+        const id = `dependency-${predecessorId}-${successorId}`;
+        if (!dependencies.has(id)) dependencies.set(id, { id, predecessorId, successorId });
+      });
+  });
+
+  return Array.from(dependencies.values());
+};
+
+export default getItemDependencies;
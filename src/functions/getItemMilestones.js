@@ -0,0 +1,57 @@
+import { parseItemDates } from './parseColumnValue';
+import { calculateItemPosition } from './timelineUtils';
+import calculateSpanRows from './calculateSpanRows';
+import getDateColumnGlyph from './getDateColumnGlyph';
+
+/**
+ * Collects each item's dates across several date columns, so an item's progression
+ * (e.g. kickoff, code freeze, launch) can be drawn as connected milestones
+ *
+ * @param {Array} boardItems - Board items from monday.com
+ * @param {Array} dateColumns - Selected date columns from getDateColumnInfos, in selection order
+ * @param {Date} startDate - Start date of the timeline
+ * @param {Date} endDate - End date of the timeline
+ * @returns {Array} One track per item with dates: milestones sorted by date (each with columnId,
+ *   columnTitle, date, position, glyph, color), plus startPosition/endPosition and a row from calculateSpanRows
+ */
+const getItemMilestones = (boardItems = [], dateColumns = [], startDate, endDate) => {
+  if (boardItems.length === 0 || dateColumns.length === 0) {
+    return [];
+  }
+
+  const tracks = boardItems
+    .map(item => {
+      const milestones = dateColumns
+        .map((column, index) => {
+          const parsed = parseItemDates(item, column.id, column.type);
+          if (!parsed) return null;
+
+          return {
+            columnId: column.id,
+            columnTitle: column.title,
+            date: parsed.end,
+            position: calculateItemPosition(parsed.end, startDate, endDate),
+            ...getDateColumnGlyph(index)
+          };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.date - b.date);
+
+      if (milestones.length === 0) return null;
+
+      return {
+        id: item.id,
+        label: item.name,
+        originalItem: item,
+        milestones,
+        startDate: milestones[0].date,
+        endDate: milestones[milestones.length - 1].date
+      };
+    })
+    .filter(Boolean);
+
+  // Give overlapping progressions their own row so their connecting lines stay readable
+  return calculateSpanRows(tracks, startDate, endDate);
+};
+
+export default getItemMilestones;
@@ -0,0 +1,18 @@
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Returns when an item's work starts and finishes, for scheduling dependent items.
+ * A date-only range covers its last day too, so it finishes at the end of that day and its successor can
+ * start the next day; single dates and timed values are instants.
+ *
+ * @param {Object} item - Timeline item (date, or startDate/endDate for ranges, and hasTime)
+ * @returns {{start: number, finish: number}} Timestamps (ms)
+ */
+const getItemSchedule = (item) => {
+  const end = new Date(item.endDate || item.date).getTime();
+  const start = item.startDate ? new Date(item.startDate).getTime() : end;
+  const finish = item.isRange && !item.hasTime ? end + DAY_MS : end;
+  return { start, finish };
+};
+
+export default getItemSchedule;
@@ -1,96 +1,42 @@
 import TimelineLogger from '../utils/logger';
+import { parseItemDates } from './parseColumnValue';
 
 /**
  * Processes board items to extract items with valid dates from a specified column
  * @param {Array} boardItems - The board items to process
  * @param {String} dateColumn - The ID of the column containing date values
- * @param {Boolean} isTimelineField - Whether this is a timeline/timeline range field
- * @returns {Array} - Filtered array of items with valid dates
+ * @param {String} [columnType] - The column's type from board metadata (e.g. 'date', 'timeline')
+ * @returns {Array} - Filtered array of items with valid dates. `date` is the point used for markers
+ *   (the end of a range), `startDate`/`endDate` keep the full span
  */
-export const getItemsWithDates = (boardItems, dateColumn, isTimelineField = false) => {
+export const getItemsWithDates = (boardItems, dateColumn, columnType) => {
   const startTime = Date.now();
   const processedItems = boardItems
     .map(item => {
-      const column = item.column_values?.find(col => col.id === dateColumn);
-      let itemDate = null;
-      let parseError = null;
-      
-      if (column?.value) {
-        try {
-          const columnValue = JSON.parse(column.value);
-          
-          if (isTimelineField && columnValue) {
-            // Handle timeline/timeline range fields
-            // Use the 'to' or 'end' date as the timeline position
-            let endDateStr = null;
-            
-            if (columnValue.to) {
-              endDateStr = columnValue.to;
-            } else if (columnValue.end) {
-              endDateStr = columnValue.end;
-            } else if (columnValue.from) {
-              // Fallback to 'from' if 'to'/'end' not available
-              endDateStr = columnValue.from;
-            }
-            
-            if (endDateStr) {
-              const [year, month, day] = endDateStr.split('-').map(Number);
-              itemDate = new Date(year, month - 1, day, 0, 0, 0);
-              
-              TimelineLogger.debug('Timeline end date parsed successfully', {
-                itemId: item.id,
-                endDateStr,
-                parsedDate: itemDate.toISOString(),
-                isTimelineField: true,
-                availableFields: Object.keys(columnValue)
-              });
-            }
-          } else if (columnValue && columnValue.date) {
-            // Handle regular date fields
-            const dateStr = columnValue.date;
-            const timeStr = columnValue.time || '00:00:00';
-            const [year, month, day] = dateStr.split('-').map(Number);
-            const [hours, minutes, seconds] = timeStr.split(':').map(Number);
-            itemDate = new Date(year, month - 1, day, hours || 0, minutes || 0, seconds || 0);
-            
-            TimelineLogger.debug('Regular date parsed successfully', {
-              itemId: item.id,
-              dateStr,
-              timeStr,
-              parsedDate: itemDate.toISOString(),
-              isTimelineField: false
-            });
-          }
-        } catch (e) {
-          parseError = e.message;
-          TimelineLogger.warn('Date parsing failed', {
-            itemId: item.id,
-            columnValue: column.value,
-            error: e.message,
-            isTimelineField
-          });
-        }
-      }
-      
+      const parsed = parseItemDates(item, dateColumn, columnType);
+
       return {
         id: item.id,
         label: item.name,
-        date: itemDate,
-        originalItem: item,
-        isTimelineField // Store this for potential use in timeline rendering
+        date: parsed ? parsed.end : null,
+        startDate: parsed ? parsed.start : null,
+        endDate: parsed ? parsed.end : null,
+        hasTime: parsed ? parsed.hasTime : false,
+        isRange: !!parsed && parsed.start.getTime() !== parsed.end.getTime(),
+        originalItem: item
       };
     })
     .filter(item => item.date instanceof Date && !isNaN(item.date));
-    
+
   const duration = Date.now() - startTime;
   TimelineLogger.performance('getItemsWithDates.complete', duration, {
     inputCount: boardItems.length,
     outputCount: processedItems.length,
     dateColumn,
-    isTimelineField,
-    successRate: Math.round((processedItems.length / boardItems.length) * 100)
+    columnType,
+    successRate: boardItems.length > 0 ? Math.round((processedItems.length / boardItems.length) * 100) : 0
   });
-  
+
   return processedItems;
 };
 
@@ -1,8 +1,33 @@
 // Get marker and date styles based on datePosition
-const getMarkerStyles = (datePosition) => {
+// In vertical orientation 'above' puts the label left of the axis and 'below' right of it; labels are never angled
+const getMarkerStyles = (datePosition, orientation = 'horizontal') => {
   const isAbove = datePosition.includes('above');
   const isAngled = datePosition.includes('angled');
   
+  if (orientation === 'vertical') {
+    return {
+      markerContainer: {
+        flexDirection: isAbove ? 'row-reverse' : 'row',
+      },
+      markerLine: {
+        width: '8px',
+        height: '1px',
+        backgroundColor: 'var(--ui-border-color)',
+        [isAbove ? 'marginLeft' : 'marginRight']: '4px',
+      },
+      dateLabel: {
+        fontSize: '10px',
+        color: 'var(--secondary-text-color)',
+        whiteSpace: 'nowrap',
+        textAlign: isAbove ? 'right' : 'left',
+        [isAbove ? 'marginRight' : 'marginLeft']: '4px',
+      },
+      positioning: {
+        transform: isAbove ? 'translate(-100%, -50%)' : 'translateY(-50%)',
+      }
+    };
+  }
+  
   return {
     markerContainer: {
       flexDirection: isAbove ? 'column-reverse' : 'column',
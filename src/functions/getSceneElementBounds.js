@@ -0,0 +1,33 @@
+/**
+ * Returns the scene-space bounding box of an export scene element, for telling whether it falls inside a page
+ * or crop. Curve control points are included, so the box may be slightly larger than the curve itself.
+ *
+ * @param {Object} element - Scene element (see buildExportScene)
+ * @returns {{left: number, top: number, right: number, bottom: number}} Bounding box (px)
+ */
+const getSceneElementBounds = (element) => {
+  if (element.type === 'path' || element.type === 'polygon') {
+    const points = element.type === 'path'
+      ? element.segments.filter(segment => segment.type !== 'Z').flatMap(segment => (
+        segment.type === 'C'
+          ? [{ x: segment.x1, y: segment.y1 }, { x: segment.x2, y: segment.y2 }, segment]
+          : [segment]
+      ))
+      : element.points;
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    return { left: Math.min(...xs), top: Math.min(...ys), right: Math.max(...xs), bottom: Math.max(...ys) };
+  }
+  // Rotated boxes can reach past their unrotated box by up to half their diagonal
+  const reach = element.rotation ? Math.hypot(element.width, element.height) / 2 : 0;
+  const centerX = element.x + element.width / 2;
+  const centerY = element.y + element.height / 2;
+  return {
+    left: Math.min(element.x, centerX - reach),
+    top: Math.min(element.y, centerY - reach),
+    right: Math.max(element.x + element.width, centerX + reach),
+    bottom: Math.max(element.y + element.height, centerY + reach)
+  };
+};
+
+export default getSceneElementBounds;
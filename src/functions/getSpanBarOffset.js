@@ -0,0 +1,22 @@
+// Span bar geometry in pixels
+const BAR_HEIGHT = 8;
+const ROW_GAP = 4;
+const AXIS_OFFSET = 6;
+
+/**
+ * Returns where a span bar sits across the axis: its rows stack outward from the axis on one side
+ *
+ * @param {number} row - Zero-based row from calculateSpanRows
+ * @param {string} side - Side of the axis ('above' or 'below'; left or right when vertical)
+ * @returns {{offset: number, thickness: number}} Offset of the bar's top (or left) edge from the axis, and the
+ *   bar's thickness, in pixels
+ */
+const getSpanBarOffset = (row, side) => {
+  const rowOffset = AXIS_OFFSET + row * (BAR_HEIGHT + ROW_GAP);
+  return {
+    offset: side === 'above' ? -(rowOffset + BAR_HEIGHT) : rowOffset,
+    thickness: BAR_HEIGHT
+  };
+};
+
+export default getSpanBarOffset;
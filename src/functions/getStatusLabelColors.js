@@ -0,0 +1,15 @@
+/**
+ * Reads the colors a status column defines for its labels
+ * @param {Object} [column] - Column info with parsed settings ({settings: {labels, labels_colors}})
+ * @returns {Map<string, string>} Label text to color
+ */
+const getStatusLabelColors = (column) => {
+  const colors = new Map();
+  const { labels = {}, labels_colors: labelColors = {} } = column?.settings || {};
+  Object.entries(labels).forEach(([index, label]) => {
+    if (labelColors[index]?.color) colors.set(label, labelColors[index].color);
+  });
+  return colors;
+};
+
+export default getStatusLabelColors;
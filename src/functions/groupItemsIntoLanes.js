@@ -0,0 +1,70 @@
+import getStatusLabelColors from './getStatusLabelColors';
+
+// Lane for items without a value in the lane column
+const EMPTY_LANE_ID = '__empty__';
+const NEUTRAL_LANE_COLOR = '#c4c4c4';
+
+/**
+ * Returns the lane key of an item. An item assigned to several people goes in the lane of the first one, so
+ * every item is drawn, measured and dragged as one card.
+ * @param {Object} item - Timeline item with originalItem
+ * @param {Object} laneColumn - Lane column info ({id, type})
+ * @returns {string} Lane title (empty string for no value)
+ */
+const getColumnLaneKey = (item, laneColumn) => {
+  const columnValue = item.originalItem?.column_values?.find(col => col.id === laneColumn.id);
+  const text = (columnValue?.text || '').trim();
+
+  if (laneColumn.type === 'people' || laneColumn.type === 'multiple-person') {
+    return text.split(',').map(name => name.trim()).find(Boolean) || '';
+  }
+  return text;
+};
+
+/**
+ * Splits timeline items into swimlanes, one per monday group or per value of a status/people column
+ *
+ * @param {Array} items - Timeline items (with originalItem)
+ * @param {string} laneBy - 'group' or 'column'
+ * @param {Object} [laneColumn] - Column info ({id, type, title, settings}) when laneBy is 'column'
+ * @returns {Array<{id: string, title: string, color: string, items: Array}>} Lanes; groups keep board
+ *   order, column values are sorted by title with the "no value" lane last
+ */
+const groupItemsIntoLanes = (items = [], laneBy = 'group', laneColumn = null) => {
+  const lanes = new Map();
+  const addToLane = (id, title, color, item) => {
+    if (!lanes.has(id)) lanes.set(id, { id, title, color, items: [] });
+    lanes.get(id).items.push(item);
+  };
+
+  if (laneBy === 'column' && laneColumn) {
+    const labelColors = getStatusLabelColors(laneColumn);
+    items.forEach(item => {
+      const key = getColumnLaneKey(item, laneColumn);
+      if (key) {
+        addToLane(`value:${key}`, key, labelColors.get(key) || NEUTRAL_LANE_COLOR, item);
+      } else {
+        addToLane(EMPTY_LANE_ID, `No ${laneColumn.title || 'value'}`, NEUTRAL_LANE_COLOR, item);
+      }
+    });
+
+    return Array.from(lanes.values()).sort((a, b) => {
+      if (a.id === EMPTY_LANE_ID) return 1;
+      if (b.id === EMPTY_LANE_ID) return -1;
+      return a.title.localeCompare(b.title);
+    });
+  }
+
+  items.forEach(item => {
+    const group = item.originalItem?.group;
+    if (group?.id) {
+      addToLane(`group:${group.id}`, group.title || 'Unnamed Group', group.color || NEUTRAL_LANE_COLOR, item);
+    } else {
+      addToLane(EMPTY_LANE_ID, 'No group', NEUTRAL_LANE_COLOR, item);
+    }
+  });
+
+  return Array.from(lanes.values());
+};
+
+export default groupItemsIntoLanes;
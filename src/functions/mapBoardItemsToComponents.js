@@ -1,5 +1,6 @@
 import React from 'react';
 import DraggableBoardItem from '../components/timeline/DraggableBoardItem.jsx';
+import { parseItemDates } from './parseColumnValue';
 
 /**
  * Maps board items to DraggableBoardItem components, sorted by date.
@@ -9,10 +10,11 @@ import DraggableBoardItem from '../components/timeline/DraggableBoardItem.jsx';
  * @param {Function} options.onItemClick - Click handler for board items
  * @param {Object} options.customStyles - Custom styles to apply to items
  * @param {string} options.dateColumnId - Column ID of the date column
+ * @param {string} [options.dateColumnType] - Type of the date column from board metadata
  * @returns {Array} - Array of DraggableBoardItem components sorted by date
  */
 const mapBoardItemsToComponents = (boardItems = [], options = {}) => {
-  const { onItemClick, customStyles = {}, dateColumnId } = options;
+  const { onItemClick, customStyles = {}, dateColumnId, dateColumnType } = options;
   
   if (!boardItems || !Array.isArray(boardItems) || boardItems.length === 0) {
     return [];
@@ -26,12 +28,8 @@ const mapBoardItemsToComponents = (boardItems = [], options = {}) => {
   // Process and sort items by parsed date
   const sortedItems = boardItems
     .map(item => {
-      const column = item.column_values.find(col => col.id === dateColumnId);
-      const columnValue = column?.value ? JSON.parse(column.value) : null;
-
-      const parsedDate = columnValue && columnValue.date
-        ? new Date(`${columnValue.date}T${columnValue.time || '00:00:00'}`)
-        : null;
+      const parsed = parseItemDates(item, dateColumnId, dateColumnType);
+      const parsedDate = parsed ? parsed.end : null;
 
       return { ...item, parsedDate };
     })
@@ -0,0 +1,161 @@
+import TimelineLogger from '../utils/logger';
+
+/**
+ * Current version of the persisted layout document.
+ *
+ * Version history:
+ * - 0: unversioned `{ items: { [itemId]: { x, y, width, height } }, hidden: [itemId] }`
+ * - 1: adds `version` and `dateColumnIds`, the ordered date column selection the layout was arranged
+ *      against (instead of the raw `settings.date` map). Item entries keep explicit units:
+ *      `x` is a percentage (0-100) of the card's slot, `y` a pixel offset from the axis row,
+ *      `width`/`height` pixels.
+ */
+export const LAYOUT_SCHEMA_VERSION = 1;
+
+// Bounds for accepting a stored card size, in pixels
+const MIN_CARD_SIZE = 50;
+const MAX_CARD_SIZE = 2000;
+// Dragged offsets beyond this many pixels from the axis are treated as corrupt
+const MAX_OFFSET = 10000;
+
+/**
+ * Creates an empty layout document at the current version
+ * @param {Array<string>} [dateColumnIds] - Date column selection the layout belongs to
+ * @returns {{version: number, items: Object, hidden: Array<string>, dateColumnIds: Array<string>}} Layout document
+ */
+export const createLayoutDocument = (dateColumnIds = []) => ({
+  version: LAYOUT_SCHEMA_VERSION,
+  items: {},
+  hidden: [],
+  dateColumnIds
+});
+
+// Upgrades a document from the version in the key to the next one
+const MIGRATIONS = {
+  0: (document) => ({
+    version: 1,
+    items: document.items,
+    hidden: document.hidden,
+    // Layouts saved before versioning didn't record the column selection
+    dateColumnIds: []
+  })
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Keeps the fields of a stored item entry that are valid; the rest fall back to auto-layout
+ * @param {*} entry - Stored entry
+ * @returns {Object|null} Valid fields, or null if none are usable
+ */
+const validateItemEntry = (entry) => {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const valid = {};
+  // Offsets are only meaningful as a pair
+  if (isFiniteNumber(entry.x) && entry.x >= 0 && entry.x <= 100
+    && isFiniteNumber(entry.y) && Math.abs(entry.y) <= MAX_OFFSET) {
+    valid.x = entry.x;
+    valid.y = entry.y;
+  }
+  if (isFiniteNumber(entry.width) && isFiniteNumber(entry.height)
+    && [entry.width, entry.height].every(size => size >= MIN_CARD_SIZE && size <= MAX_CARD_SIZE)) {
+    valid.width = entry.width;
+    valid.height = entry.height;
+  }
+
+  return Object.keys(valid).length > 0 ? valid : null;
+};
+
+/**
+ * Validates a document at the current version, dropping entries that don't match the schema
+ * @param {Object} document - Migrated document
+ * @returns {{document: Object, droppedCount: number}} Clean document and how many entries were dropped
+ */
+const validateLayoutDocument = (document) => {
+  const rawItems = document.items && typeof document.items === 'object' && !Array.isArray(document.items)
+    ? document.items
+    : {};
+  const rawHidden = Array.isArray(document.hidden) ? document.hidden : [];
+
+  const items = {};
+  let droppedCount = 0;
+  Object.entries(rawItems).forEach(([itemId, entry]) => {
+    const valid = validateItemEntry(entry);
+    if (valid) {
+      items[itemId] = valid;
+    } else {
+      droppedCount += 1;
+    }
+  });
+
+  const hidden = rawHidden
+    .filter(itemId => typeof itemId === 'string' || isFiniteNumber(itemId))
+    .map(String);
+  droppedCount += rawHidden.length - hidden.length;
+
+  const dateColumnIds = Array.isArray(document.dateColumnIds)
+    ? document.dateColumnIds.filter(columnId => typeof columnId === 'string')
+    : [];
+
+  return {
+    document: { version: LAYOUT_SCHEMA_VERSION, items, hidden: Array.from(new Set(hidden)), dateColumnIds },
+    droppedCount
+  };
+};
+
+/**
+ * Brings a stored layout document up to the current schema version and validates it.
+ * Anything that can't be read falls back to an empty layout (i.e. automatic positions), entry by entry
+ * where possible. Documents written by a newer version of the app are not interpreted; the caller should
+ * not save over them.
+ *
+ * @param {*} stored - Value loaded from instance storage
+ * @returns {{document: Object, status: 'empty'|'current'|'migrated'|'newer'|'invalid', droppedCount: number}}
+ *   The usable document, what happened while loading it, and how many entries were discarded
+ */
+const migrateLayoutDocument = (stored) => {
+  if (stored === null || stored === undefined) {
+    return { document: createLayoutDocument(), status: 'empty', droppedCount: 0 };
+  }
+  if (typeof stored !== 'object' || Array.isArray(stored)) {
+    TimelineLogger.warn('Discarding unreadable timeline layout', { type: typeof stored });
+    return { document: createLayoutDocument(), status: 'invalid', droppedCount: 0 };
+  }
+
+  const storedVersion = stored.version === undefined ? 0 : stored.version;
+  if (!Number.isInteger(storedVersion) || storedVersion < 0) {
+    TimelineLogger.warn('Discarding timeline layout with an unknown version', { version: stored.version });
+    return { document: createLayoutDocument(), status: 'invalid', droppedCount: 0 };
+  }
+  if (storedVersion > LAYOUT_SCHEMA_VERSION) {
+    TimelineLogger.warn('Timeline layout was saved by a newer version; using automatic layout', {
+      version: storedVersion,
+      supportedVersion: LAYOUT_SCHEMA_VERSION
+    });
+    return { document: createLayoutDocument(), status: 'newer', droppedCount: 0 };
+  }
+
+  let document = stored;
+  try {
+    for (let version = storedVersion; version < LAYOUT_SCHEMA_VERSION; version += 1) {
+      document = MIGRATIONS[version](document);
+    }
+  } catch (error) {
+    TimelineLogger.error('Timeline layout migration failed', error, { fromVersion: storedVersion });
+    return { document: createLayoutDocument(), status: 'invalid', droppedCount: 0 };
+  }
+
+  const { document: validated, droppedCount } = validateLayoutDocument(document);
+  if (droppedCount > 0) {
+    TimelineLogger.warn('Dropped invalid timeline layout entries', { droppedCount });
+  }
+
+  return {
+    document: validated,
+    status: storedVersion < LAYOUT_SCHEMA_VERSION ? 'migrated' : 'current',
+    droppedCount
+  };
+};
+
+export default migrateLayoutDocument;
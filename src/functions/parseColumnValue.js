@@ -0,0 +1,201 @@
+import TimelineLogger from '../utils/logger';
+
+/**
+ * Normalized date information extracted from a column value
+ * @typedef {Object} ParsedDateValue
+ * @property {Date} start - Start of the value (equal to end for single dates)
+ * @property {Date} end - End of the value; this is the point used when an item is drawn as a single marker
+ * @property {boolean} hasTime - Whether the value carries a time of day. Values without one are at local midnight
+ */
+
+// Column types this parser understands
+export const DATE_COLUMN_TYPES = new Set([
+  'date',
+  'timeline',
+  'timerange',
+  'week',
+  'hour',
+  'creation_log',
+  'last_updated',
+  'formula',
+  'mirror'
+]);
+
+// YYYY-MM-DD, optionally followed by HH:MM[:SS] and a UTC marker
+const DATE_TEXT_PATTERN = /(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?\s*(UTC|Z)?)?/g;
+
+/**
+ * Creates a local-midnight Date from a YYYY-MM-DD string
+ * @param {string} dateStr - Date string
+ * @returns {Date|null} Parsed date, or null if invalid
+ */
+const parseDay = (dateStr) => {
+  if (typeof dateStr !== 'string') return null;
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const date = new Date(year, month - 1, day, 0, 0, 0);
+  return isNaN(date) ? null : date;
+};
+
+/**
+ * Builds a ParsedDateValue, rejecting invalid or missing dates
+ * @param {Date|null} start - Start date
+ * @param {Date|null} end - End date
+ * @param {boolean} hasTime - Whether the dates carry a time of day
+ * @returns {ParsedDateValue|null} Normalized value
+ */
+const toRange = (start, end, hasTime = false) => {
+  const validStart = start && !isNaN(start) ? start : null;
+  const validEnd = end && !isNaN(end) ? end : null;
+  if (!validStart && !validEnd) return null;
+
+  const rangeStart = validStart || validEnd;
+  const rangeEnd = validEnd || validStart;
+
+  // Guard against reversed ranges
+  return rangeStart <= rangeEnd
+    ? { start: rangeStart, end: rangeEnd, hasTime }
+    : { start: rangeEnd, end: rangeStart, hasTime };
+};
+
+/**
+ * Extracts every date found in display text (formula, mirror and log columns).
+ * Times followed by UTC are read as UTC; other times and plain dates are read as local.
+ * @param {string} text - Display text
+ * @returns {ParsedDateValue|null} Range spanning the earliest and latest date in the text
+ */
+const parseDateText = (text) => {
+  if (!text || typeof text !== 'string') return null;
+
+  const dates = [];
+  let hasTime = false;
+
+  for (const match of text.matchAll(DATE_TEXT_PATTERN)) {
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+
+    if (hours !== undefined) {
+      hasTime = true;
+      const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds || 0)];
+      dates.push(utc ? new Date(Date.UTC(...parts)) : new Date(...parts));
+    } else {
+      dates.push(new Date(Number(year), Number(month) - 1, Number(day), 0, 0, 0));
+    }
+  }
+
+  const valid = dates.filter(date => !isNaN(date));
+  if (valid.length === 0) return null;
+
+  const times = valid.map(date => date.getTime());
+  return toRange(new Date(Math.min(...times)), new Date(Math.max(...times)), hasTime);
+};
+
+/**
+ * Infers the column type from the shape of a stored value.
+ * Only used when neither the board metadata nor the column value reports a type.
+ * @param {Object|null} value - Parsed JSON value
+ * @returns {string|null} Inferred column type
+ */
+const inferTypeFromValue = (value) => {
+  if (!value || typeof value !== 'object') return null;
+  if (value.from || value.to) return 'timeline';
+  if (value.week) return 'week';
+  if (value.date) return 'date';
+  if (value.hour !== undefined) return 'hour';
+  if (value.created_at) return 'creation_log';
+  if (value.updated_at) return 'last_updated';
+  return null;
+};
+
+/**
+ * Parses a monday.com column value into a normalized `{start, end, hasTime}` shape.
+ *
+ * - date: `{date, time}`; time is stored in UTC, so timed values are read as UTC
+ * - timeline / timerange: `{from, to}`
+ * - week: `{week: {startDate, endDate}}`
+ * - hour: `{hour, minute}`; carries no date, so it is placed on `options.referenceDate`
+ * - creation_log / last_updated: `{created_at}` / `{updated_at}`, falling back to the text
+ * - formula / mirror: the display text, spanning every date it contains
+ *
+ * @param {Object} columnValue - Column value from the API ({id, type, value, text, display_value})
+ * @param {string} [columnType] - Column type from board metadata; defaults to columnValue.type
+ * @param {Object} [options] - Additional options
+ * @param {Date} [options.referenceDate] - Day used for hour columns (defaults to today)
+ * @returns {ParsedDateValue|null} Normalized dates, or null if the value holds no date
+ */
+const parseColumnValue = (columnValue, columnType, options = {}) => {
+  if (!columnValue) return null;
+
+  let value = null;
+  if (columnValue.value) {
+    try {
+      value = JSON.parse(columnValue.value);
+    } catch (e) {
+      TimelineLogger.warn('parseColumnValue: unreadable column value', {
+        columnId: columnValue.id,
+        error: e.message
+      });
+    }
+  }
+
+  const text = columnValue.display_value || columnValue.text;
+  const type = columnType || columnValue.type || inferTypeFromValue(value);
+
+  switch (type) {
+    case 'date': {
+      if (!value?.date) return null;
+      if (value.time) {
+        return toRange(new Date(`${value.date}T${value.time}Z`), null, true);
+      }
+      return toRange(parseDay(value.date), null, false);
+    }
+
+    case 'timeline':
+    case 'timerange': {
+      if (!value) return null;
+      return toRange(parseDay(value.from || value.start), parseDay(value.to || value.end), false);
+    }
+
+    case 'week': {
+      if (!value?.week) return null;
+      return toRange(parseDay(value.week.startDate), parseDay(value.week.endDate), false);
+    }
+
+    case 'hour': {
+      if (!value || value.hour === undefined || value.hour === null) return null;
+      const day = new Date(options.referenceDate || Date.now());
+      const date = new Date(day.getFullYear(), day.getMonth(), day.getDate(), Number(value.hour), Number(value.minute || 0), 0);
+      return toRange(date, null, true);
+    }
+
+    case 'creation_log': {
+      if (value?.created_at) return toRange(new Date(value.created_at), null, true);
+      return parseDateText(text);
+    }
+
+    case 'last_updated': {
+      if (value?.updated_at) return toRange(new Date(value.updated_at), null, true);
+      return parseDateText(text);
+    }
+
+    case 'formula':
+    case 'mirror':
+      return parseDateText(text);
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Finds a column on a board item and parses it
+ * @param {Object} item - Board item with column_values
+ * @param {string} columnId - Column to parse
+ * @param {string} [columnType] - Column type from board metadata
+ * @param {Object} [options] - Options passed to parseColumnValue
+ * @returns {ParsedDateValue|null} Normalized dates, or null if the item has none
+ */
+export const parseItemDates = (item, columnId, columnType, options) => {
+  const column = item?.column_values?.find(col => col.id === columnId);
+  return parseColumnValue(column, columnType, options);
+};
+
+export default parseColumnValue;
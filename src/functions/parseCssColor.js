@@ -0,0 +1,37 @@
+/**
+ * Parses a computed CSS color into a hex color and its alpha. Computed styles report colors as rgb()/rgba(),
+ * whatever they were written as (names, hex, CSS variables), so that is what this reads; hex is accepted too.
+ *
+ * @param {string} color - CSS color, e.g. 'rgb(103, 104, 121)', 'rgba(0, 0, 0, 0.1)' or '#676879'
+ * @returns {{hex: string, alpha: number}|null} Color as '#rrggbb' with alpha (0-1), or null when the color is
+ *   missing, 'none' or fully transparent
+ */
+const parseCssColor = (color) => {
+  if (!color || color === 'none' || color === 'transparent') return null;
+
+  let channels = null;
+  let alpha = 1;
+
+  const rgbMatch = color.match(/^rgba?\(([^)]+)\)$/i);
+  if (rgbMatch) {
+    const parts = rgbMatch[1].split(/[\s,/]+/).filter(Boolean);
+    channels = parts.slice(0, 3).map(Number);
+    if (parts[3] !== undefined) {
+      alpha = parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : Number(parts[3]);
+    }
+  } else {
+    const hexMatch = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (!hexMatch) return null;
+    const hex = hexMatch[1].length === 3 ? hexMatch[1].replace(/./g, digit => digit + digit) : hexMatch[1];
+    channels = [0, 2, 4].map(index => parseInt(hex.slice(index, index + 2), 16));
+  }
+
+  if (channels.some(channel => isNaN(channel)) || isNaN(alpha) || alpha <= 0) return null;
+
+  const hex = channels
+    .map(channel => Math.round(Math.min(255, Math.max(0, channel))).toString(16).padStart(2, '0'))
+    .join('');
+  return { hex: `#${hex}`, alpha: Math.min(1, alpha) };
+};
+
+export default parseCssColor;
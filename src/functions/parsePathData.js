@@ -0,0 +1,115 @@
+/**
+ * Parses SVG path data into absolute move, line and cubic curve segments, so exporters that only know those
+ * primitives (PDF, PowerPoint) can redraw connector and dependency paths. Relative commands, H/V lines and
+ * quadratic curves are converted; arcs are not used by the timeline and are drawn as straight lines.
+ *
+ * @param {string} d - SVG path data
+ * @returns {Array<{type: string, x: number, y: number, x1?: number, y1?: number, x2?: number, y2?: number}>}
+ *   Segments of type 'M' (move), 'L' (line), 'C' (cubic curve with control points x1/y1 and x2/y2) and 'Z'
+ */
+const parsePathData = (d = '') => {
+  const tokens = d.match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) || [];
+  const segments = [];
+  let index = 0;
+  let command = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+
+  const next = () => Number(tokens[index++]);
+  const hasNumber = () => index < tokens.length && !/[a-zA-Z]/.test(tokens[index]);
+
+  while (index < tokens.length) {
+    if (/[a-zA-Z]/.test(tokens[index])) {
+      command = tokens[index++];
+    } else if (!command) {
+      break;
+    }
+
+    const relative = command === command.toLowerCase();
+    const offsetX = relative ? x : 0;
+    const offsetY = relative ? y : 0;
+
+    switch (command.toUpperCase()) {
+      case 'M': {
+        x = offsetX + next();
+        y = offsetY + next();
+        startX = x;
+        startY = y;
+        segments.push({ type: 'M', x, y });
+        // Further coordinate pairs after a move are lines
+        command = relative ? 'l' : 'L';
+        break;
+      }
+      case 'L': {
+        x = offsetX + next();
+        y = offsetY + next();
+        segments.push({ type: 'L', x, y });
+        break;
+      }
+      case 'H': {
+        x = offsetX + next();
+        segments.push({ type: 'L', x, y });
+        break;
+      }
+      case 'V': {
+        y = offsetY + next();
+        segments.push({ type: 'L', x, y });
+        break;
+      }
+      case 'C': {
+        const x1 = offsetX + next();
+        const y1 = offsetY + next();
+        const x2 = offsetX + next();
+        const y2 = offsetY + next();
+        x = offsetX + next();
+        y = offsetY + next();
+        segments.push({ type: 'C', x1, y1, x2, y2, x, y });
+        break;
+      }
+      case 'Q': {
+        const qx = offsetX + next();
+        const qy = offsetY + next();
+        const endX = offsetX + next();
+        const endY = offsetY + next();
+        // Elevate the quadratic curve to a cubic one
+        segments.push({
+          type: 'C',
+          x1: x + (2 / 3) * (qx - x),
+          y1: y + (2 / 3) * (qy - y),
+          x2: endX + (2 / 3) * (qx - endX),
+          y2: endY + (2 / 3) * (qy - endY),
+          x: endX,
+          y: endY
+        });
+        x = endX;
+        y = endY;
+        break;
+      }
+      case 'A': {
+        index += 5;
+        x = offsetX + next();
+        y = offsetY + next();
+        segments.push({ type: 'L', x, y });
+        break;
+      }
+      case 'Z': {
+        x = startX;
+        y = startY;
+        segments.push({ type: 'Z', x, y });
+        break;
+      }
+      default:
+        // Unknown command: skip its numbers
+        while (hasNumber()) index++;
+    }
+
+    // Commands without parameters must not loop on leftover numbers
+    if (command.toUpperCase() === 'Z' && hasNumber()) break;
+  }
+
+  return segments;
+};
+
+export default parsePathData;
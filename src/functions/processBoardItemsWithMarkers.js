@@ -10,9 +10,10 @@ import processBoardItems from './processBoardItems';
  * @param {Date} endDate - End date of the timeline
  * @param {Object} position - Position configuration object
  * @param {Array} markers - Array of timeline markers with position and date properties
+ * @param {string} [columnType] - The column's type from board metadata (e.g. 'date', 'timeline')
  * @returns {Object} Object containing processedBoardItems and itemToMarkerMap
  */
-const processBoardItemsWithMarkers = (boardItems, dateColumn, startDate, endDate, position, markers) => {
+const processBoardItemsWithMarkers = (boardItems, dateColumn, startDate, endDate, position, markers, columnType) => {
   // Early return if no board items or date column
   if (!boardItems || boardItems.length === 0 || !dateColumn) {
     return {
@@ -23,26 +24,7 @@ const processBoardItemsWithMarkers = (boardItems, dateColumn, startDate, endDate
 
   try {
     // Subtask 1: Extract board items with dates
-    // First, determine if this is a timeline field by examining the data structure
-    let isTimelineField = false;
-    if (boardItems && boardItems.length > 0 && dateColumn) {
-      const sampleItem = boardItems.find(item => 
-        item.column_values?.some(col => col.id === dateColumn && col.value)
-      );
-      
-      if (sampleItem) {
-        const column = sampleItem.column_values.find(col => col.id === dateColumn);
-        try {
-          const columnValue = JSON.parse(column.value);
-          // Check if this has timeline field structure
-          isTimelineField = !!(columnValue.to || columnValue.end || columnValue.from);
-        } catch (e) {
-          isTimelineField = false;
-        }
-      }
-    }
-    
-    const itemsWithDates = getItemsWithDates(boardItems, dateColumn, isTimelineField);
+    const itemsWithDates = getItemsWithDates(boardItems, dateColumn, columnType);
     
     if (itemsWithDates.length === 0) {
       return {
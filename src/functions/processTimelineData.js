@@ -1,5 +1,8 @@
-import { determineTimelineScale, calculateItemPosition } from './timelineUtils';
+import { calculateItemPosition } from './timelineUtils';
+import { resolveScale } from './timelineScale';
 import { getItemsWithDates } from './getItemsWithDates';
+import { getDateColumnInfos } from './getDateColumnInfo';
+import { parseItemDates } from './parseColumnValue';
 import TimelineLogger from '../utils/logger';
 
 /**
@@ -7,9 +10,11 @@ import TimelineLogger from '../utils/logger';
  * @param {Array} boardItems - Array of board items from monday.com
  * @param {Object} settings - Settings object containing date column configuration
  * @param {string} scale - Timeline scale setting
- * @returns {Object|null} Object containing timelineParams and timelineItems, or null if processing fails
+ * @param {Array} [columns] - Board column metadata used to resolve the date column's type
+ * @returns {Object|null} Object containing timelineParams, timelineItems, the primary dateColumn info and all
+ *   selected dateColumns, or null if processing fails
  */
-export function processTimelineData(boardItems, settings, scale) {
+export function processTimelineData(boardItems, settings, scale, columns = []) {
   const startTime = Date.now();
   
   if (!boardItems || boardItems.length === 0) {
@@ -18,28 +23,11 @@ export function processTimelineData(boardItems, settings, scale) {
   }
 
   try {
-    // Find the date column ID - handle both regular date and timeline/timeline range fields
-    let dateColumn = null;
-    let isTimelineField = false;
-    
-    if (settings.date) {
-      const dateKeys = Object.keys(settings.date);
-      for (const key of dateKeys) {
-        if (settings.date[key] === true) {
-          // Check if this is a timeline field (contains 'timeline' or 'timerange')
-          if (key.toLowerCase().includes('timeline') || key.toLowerCase().includes('timerange')) {
-            dateColumn = key;
-            isTimelineField = true;
-            break;
-          } else {
-            // Regular date field
-            dateColumn = key;
-            isTimelineField = false;
-            break;
-          }
-        }
-      }
-    }
+    // Resolve the selected date columns and their real types from the board metadata.
+    // The first column positions the cards; any others are drawn as extra milestones.
+    const dateColumns = getDateColumnInfos(settings, columns, boardItems);
+    const [dateColumnInfo] = dateColumns;
+    const dateColumn = dateColumnInfo?.id;
 
     if (!dateColumn) {
       TimelineLogger.warn('processTimelineData: No date column selected in settings', {
@@ -50,13 +38,12 @@ export function processTimelineData(boardItems, settings, scale) {
     }
     
     TimelineLogger.debug('processTimelineData: Processing with date column', { 
-      dateColumn, 
-      isTimelineField,
-      fieldType: isTimelineField ? 'timeline/timerange' : 'regular_date' 
+      dateColumn,
+      columnType: dateColumnInfo.type
     });
     
     // Extract dates from board items using the imported function
-    const itemsWithDates = getItemsWithDates(boardItems, dateColumn, isTimelineField);
+    const itemsWithDates = getItemsWithDates(boardItems, dateColumn, dateColumnInfo.type);
     
     if (itemsWithDates.length === 0) {
       TimelineLogger.warn('processTimelineData: No valid dates found in board items', {
@@ -72,8 +59,16 @@ export function processTimelineData(boardItems, settings, scale) {
       dateColumn
     });
     
-    // Find min and max dates
-    const dates = itemsWithDates.map(item => item.date);
+    // Find min and max dates, including range starts so duration bars fit on the axis
+    const dates = itemsWithDates.flatMap(item => [item.startDate || item.date, item.date]);
+    
+    // Include milestone dates from the other selected columns
+    dateColumns.slice(1).forEach(column => {
+      boardItems.forEach(item => {
+        const parsed = parseItemDates(item, column.id, column.type);
+        if (parsed) dates.push(parsed.end);
+      });
+    });
     const minDate = new Date(Math.min(...dates));
     const maxDate = new Date(Math.max(...dates));
     
@@ -97,8 +92,8 @@ export function processTimelineData(boardItems, settings, scale) {
     const startDate = new Date(minDate.getTime() - padding);
     const endDate = new Date(maxDate.getTime() + padding);
     
-    // Determine appropriate scale
-    const timelineScale = determineTimelineScale(startDate, endDate, scale);
+    // Resolve the scale setting; 'auto' picks a primary unit for the padded range
+    const timelineScale = resolveScale(scale, startDate, endDate);
     
     // Create timeline parameters
     const timelineParams = {
@@ -119,6 +114,10 @@ export function processTimelineData(boardItems, settings, scale) {
         id: item.id,
         label: item.label,
         date: item.date,
+        startDate: item.startDate,
+        endDate: item.endDate,
+        hasTime: item.hasTime,
+        isRange: item.isRange,
         position: calculateItemPosition(item.date, startDate, endDate),
         originalItem: originalItemWithDate
       };
@@ -126,7 +125,9 @@ export function processTimelineData(boardItems, settings, scale) {
     
     const result = {
       timelineParams,
-      timelineItems
+      timelineItems,
+      dateColumn: dateColumnInfo,
+      dateColumns
     };
     
     const duration = Date.now() - startTime;
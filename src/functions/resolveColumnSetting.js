@@ -0,0 +1,18 @@
+/**
+ * Resolves a column-picker setting (e.g. { status: true }) against the board's column metadata
+ *
+ * @param {Object.<string, boolean>} setting - Column setting from the view settings
+ * @param {Array} columns - Board column metadata ({id, type, title, settings})
+ * @returns {{id: string, type: string|null, title: string, settings: Object}|null} The selected column, or null
+ *   when none is selected; a column missing from the metadata keeps its ID as title
+ */
+const resolveColumnSetting = (setting, columns = []) => {
+  const columnId = Object.keys(setting || {}).find(key => setting[key] === true);
+  if (!columnId) return null;
+  const column = columns.find(col => col.id === columnId);
+  return column
+    ? { id: column.id, type: column.type, title: column.title, settings: column.settings || {} }
+    : { id: columnId, type: null, title: columnId, settings: {} };
+};
+
+export default resolveColumnSetting;
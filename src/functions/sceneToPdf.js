@@ -0,0 +1,290 @@
+import { jsPDF } from 'jspdf';
+import formatDate from './formatDate';
+import getSceneElementBounds from './getSceneElementBounds';
+
+// Paper sizes offered for PDF export (jsPDF format names)
+export const PDF_PAPER_SIZES = [
+  { value: 'a4', text: 'A4' },
+  { value: 'letter', text: 'Letter' },
+  { value: 'a3', text: 'A3' },
+  { value: 'tabloid', text: 'Tabloid' }
+];
+
+// Page margins offered for PDF export (pt)
+export const PDF_MARGINS = [
+  { value: 0, text: 'None' },
+  { value: 18, text: 'Narrow' },
+  { value: 36, text: 'Normal' },
+  { value: 72, text: 'Wide' }
+];
+
+// Page header (title and dates) and footer (page number) bands (pt)
+const HEADER_HEIGHT = 28;
+const FOOTER_HEIGHT = 20;
+// Largest scale: CSS px at their physical size (96 per inch, 72 pt per inch)
+const MAX_SCALE = 0.75;
+const HEADER_COLOR = '#323338';
+const FOOTER_COLOR = '#676879';
+
+/**
+ * Picks the standard PDF font closest to a CSS font
+ * @param {Object} element - Text element (fontFamily, fontWeight, fontStyle)
+ * @returns {{family: string, style: string}} jsPDF font name and style
+ */
+const getPdfFont = ({ fontFamily = '', fontWeight = '400', fontStyle = 'normal' }) => {
+  const family = /mono|courier/i.test(fontFamily)
+    ? 'courier'
+    : /(^|,)\s*["']?(times|georgia|serif)/i.test(fontFamily) ? 'times' : 'helvetica';
+  const isBold = fontWeight === 'bold' || Number(fontWeight) >= 600;
+  const isItalic = fontStyle === 'italic' || fontStyle === 'oblique';
+  const style = isBold && isItalic ? 'bolditalic' : isBold ? 'bold' : isItalic ? 'italic' : 'normal';
+  return { family, style };
+};
+
+/**
+ * Corners of a box rotated around its center
+ * @param {Object} element - Element with x, y, width, height and rotation (degrees)
+ * @returns {Array<{x: number, y: number}>} Corners in scene px
+ */
+const getRotatedCorners = ({ x, y, width, height, rotation }) => {
+  const angle = rotation * Math.PI / 180;
+  const centerX = x + width / 2;
+  const centerY = y + height / 2;
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([dx, dy]) => {
+    const offsetX = dx * width / 2;
+    const offsetY = dy * height / 2;
+    return {
+      x: centerX + offsetX * Math.cos(angle) - offsetY * Math.sin(angle),
+      y: centerY + offsetX * Math.sin(angle) + offsetY * Math.cos(angle)
+    };
+  });
+};
+
+/**
+ * Draws one scene element on the current page
+ * @param {jsPDF} doc - Document
+ * @param {Object} element - Scene element
+ * @param {{x: Function, y: Function, scale: number}} view - Maps scene px to page pt
+ * @param {Function} setOpacity - Applies (fillOpacity, strokeOpacity) to what is drawn next
+ */
+const drawElement = (doc, element, view, setOpacity) => {
+  const { scale } = view;
+
+  if (element.type === 'text') {
+    const { family, style } = getPdfFont(element);
+    setOpacity(element.opacity ?? 1, 1);
+    doc.setFont(family, style);
+    doc.setFontSize(element.fontSize * scale);
+    doc.setTextColor(element.color);
+    doc.text(element.text, view.x(element.x + element.width / 2), view.y(element.y + element.height / 2), {
+      align: 'center',
+      baseline: 'middle',
+      // jsPDF turns text counterclockwise
+      angle: element.rotation ? -element.rotation : 0
+    });
+    return;
+  }
+
+  const hasFill = !!element.fill;
+  const hasStroke = !!element.stroke && element.strokeWidth > 0;
+  if (!hasFill && !hasStroke) return;
+
+  setOpacity(hasFill ? element.fillOpacity ?? 1 : 1, hasStroke ? element.strokeOpacity ?? 1 : 1);
+  if (hasFill) doc.setFillColor(element.fill);
+  if (hasStroke) {
+    doc.setDrawColor(element.stroke);
+    doc.setLineWidth(element.strokeWidth * scale);
+  }
+  const style = hasFill && hasStroke ? 'FD' : hasFill ? 'F' : 'S';
+
+  const drawPolygon = (points) => {
+    points.forEach((point, index) => {
+      if (index === 0) doc.moveTo(view.x(point.x), view.y(point.y));
+      else doc.lineTo(view.x(point.x), view.y(point.y));
+    });
+    doc.close();
+  };
+  const paint = () => {
+    if (style === 'FD') doc.fillStroke();
+    else if (style === 'F') doc.fill();
+    else doc.stroke();
+  };
+
+  switch (element.type) {
+    case 'rect':
+      if (element.rotation) {
+        drawPolygon(getRotatedCorners(element));
+        paint();
+      } else if (element.radius) {
+        const radius = element.radius * scale;
+        doc.roundedRect(view.x(element.x), view.y(element.y), element.width * scale, element.height * scale,
+          radius, radius, style);
+      } else {
+        doc.rect(view.x(element.x), view.y(element.y), element.width * scale, element.height * scale, style);
+      }
+      break;
+
+    case 'ellipse':
+      doc.ellipse(
+        view.x(element.x + element.width / 2),
+        view.y(element.y + element.height / 2),
+        (element.width / 2) * scale,
+        (element.height / 2) * scale,
+        style
+      );
+      break;
+
+    case 'polygon':
+      drawPolygon(element.points);
+      paint();
+      break;
+
+    case 'path':
+      doc.setLineDashPattern((element.dash || []).map(value => value * scale), 0);
+      element.segments.forEach(segment => {
+        if (segment.type === 'M') doc.moveTo(view.x(segment.x), view.y(segment.y));
+        else if (segment.type === 'L') doc.lineTo(view.x(segment.x), view.y(segment.y));
+        else if (segment.type === 'C') {
+          doc.curveTo(view.x(segment.x1), view.y(segment.y1), view.x(segment.x2), view.y(segment.y2),
+            view.x(segment.x), view.y(segment.y));
+        } else if (segment.type === 'Z') doc.close();
+      });
+      paint();
+      doc.setLineDashPattern([], 0);
+      break;
+
+    default:
+      break;
+  }
+};
+
+/**
+ * Renders an ExportScene as a multi-page PDF, entirely client-side. The timeline is scaled to fit the page
+ * across its axis and, when it is longer than one page along the axis, tiled over as many pages as it needs.
+ * Every page repeats a header with the title and the dates that page covers, and is numbered in its footer.
+ *
+ * @param {import('./buildExportScene').ExportScene} scene - Scene from buildExportScene
+ * @param {Object} [options] - Page options
+ * @param {string} [options.paperSize='a4'] - 'a4', 'letter', 'a3' or 'tabloid'
+ * @param {string} [options.orientation='landscape'] - 'portrait' or 'landscape'
+ * @param {number} [options.margin=36] - Page margin (pt)
+ * @param {string} [options.title='Timeline'] - Title repeated in every page header
+ * @returns {jsPDF} The document, ready to save
+ */
+const sceneToPdf = (scene, { paperSize = 'a4', orientation = 'landscape', margin = 36, title = 'Timeline' } = {}) => {
+  const doc = new jsPDF({ orientation, unit: 'pt', format: paperSize });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const content = {
+    left: margin,
+    top: margin + HEADER_HEIGHT,
+    width: pageWidth - margin * 2,
+    height: pageHeight - margin * 2 - HEADER_HEIGHT - FOOTER_HEIGHT
+  };
+
+  // Fit the scene across the axis, then tile it along the axis
+  const isVertical = scene.axis?.orientation === 'vertical';
+  const scale = isVertical
+    ? Math.min(MAX_SCALE, content.width / scene.width)
+    : Math.min(MAX_SCALE, content.height / scene.height);
+  const tileLength = (isVertical ? content.height : content.width) / scale;
+  const sceneLength = isVertical ? scene.height : scene.width;
+  const pageCount = Math.max(1, Math.ceil(sceneLength / tileLength - 0.001));
+  // A scene that fits on one page is centered on it
+  const centering = pageCount === 1
+    ? ((isVertical ? content.height : content.width) - sceneLength * scale) / 2
+    : 0;
+
+  // Dates covered by a stretch of the scene along the axis
+  const describeRange = (from, to) => {
+    const { axis } = scene;
+    if (!axis || axis.end <= axis.start) return '';
+    const toDate = (position) => {
+      const fraction = Math.min(1, Math.max(0, (position - axis.start) / (axis.end - axis.start)));
+      return new Date(axis.startDate.getTime() + fraction * (axis.endDate - axis.startDate));
+    };
+    return `${formatDate(toDate(from), 'mdy')} - ${formatDate(toDate(to), 'mdy')}`;
+  };
+
+  // One GState per distinct opacity pair, set only when the opacity changes. Pages start fully opaque.
+  const gStates = new Map();
+  let currentOpacity = '1:1';
+  const setOpacity = (fillOpacity, strokeOpacity) => {
+    const key = `${fillOpacity}:${strokeOpacity}`;
+    if (key === currentOpacity) return;
+    if (!gStates.has(key)) {
+      gStates.set(key, new doc.GState({ opacity: fillOpacity, 'stroke-opacity': strokeOpacity }));
+    }
+    doc.setGState(gStates.get(key));
+    currentOpacity = key;
+  };
+
+  for (let page = 0; page < pageCount; page++) {
+    if (page > 0) doc.addPage(paperSize, orientation);
+
+    const tileStart = page * tileLength;
+    const tileEnd = Math.min(sceneLength, tileStart + tileLength);
+    const view = {
+      scale,
+      x: (x) => content.left + (isVertical ? x * scale + (content.width - scene.width * scale) / 2 : (x - tileStart) * scale + centering),
+      y: (y) => content.top + (isVertical ? (y - tileStart) * scale + centering : y * scale)
+    };
+
+    // Header: title and the dates this page covers
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.setTextColor(HEADER_COLOR);
+    doc.text(title, margin, margin + HEADER_HEIGHT / 2, { baseline: 'middle' });
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.text(describeRange(tileStart, tileEnd), pageWidth - margin, margin + HEADER_HEIGHT / 2, {
+      align: 'right',
+      baseline: 'middle'
+    });
+    doc.setDrawColor(FOOTER_COLOR);
+    doc.setLineWidth(0.5);
+    doc.line(margin, margin + HEADER_HEIGHT - 4, pageWidth - margin, margin + HEADER_HEIGHT - 4);
+
+    // Footer: page number
+    doc.setFontSize(9);
+    doc.setTextColor(FOOTER_COLOR);
+    doc.text(`Page ${page + 1} of ${pageCount}`, pageWidth / 2, pageHeight - margin - FOOTER_HEIGHT / 2, {
+      align: 'center',
+      baseline: 'middle'
+    });
+
+    // Content, clipped to this page's tile
+    doc.saveGraphicsState();
+    doc.rect(content.left, content.top, content.width, content.height, null);
+    doc.clip();
+    doc.discardPath();
+
+    if (scene.background) {
+      doc.setFillColor(scene.background);
+      doc.rect(content.left, content.top, content.width, content.height, 'F');
+    }
+
+    // Cropped scenes cut their content off at the crop
+    if (scene.clip) {
+      const { clip } = scene;
+      doc.rect(view.x(clip.x), view.y(clip.y), clip.width * scale, clip.height * scale, null);
+      doc.clip();
+      doc.discardPath();
+    }
+
+    scene.elements.forEach(element => {
+      const bounds = getSceneElementBounds(element);
+      const along = isVertical ? [bounds.top, bounds.bottom] : [bounds.left, bounds.right];
+      if (along[1] < tileStart || along[0] > tileEnd) return;
+      drawElement(doc, element, view, setOpacity);
+    });
+
+    // Restoring also returns to full opacity
+    doc.restoreGraphicsState();
+    currentOpacity = '1:1';
+  }
+
+  return doc;
+};
+
+export default sceneToPdf;
@@ -0,0 +1,235 @@
+import PptxGenJS from 'pptxgenjs';
+
+// 16:9 widescreen slide, the PowerPoint default (inches)
+const SLIDE_WIDTH = 13.333;
+const SLIDE_HEIGHT = 7.5;
+// Largest scale: CSS px at their physical size (96 per inch)
+const MAX_SCALE = 1 / 96;
+// PowerPoint drops shapes with an empty box, so straight lines get a hairline of depth
+const MIN_SIZE = 0.01;
+
+/**
+ * Converts a scene color and opacity into PowerPoint color options
+ * @param {string} color - '#rrggbb'
+ * @param {number} opacity - Opacity (0-1)
+ * @returns {{color: string, transparency: number}} Hex color without '#' and transparency (0-100)
+ */
+const toPptxColor = (color, opacity = 1) => ({
+  color: color.replace('#', '').toUpperCase(),
+  transparency: Math.round((1 - opacity) * 100)
+});
+
+/**
+ * Converts a scene rotation into the positive angle PowerPoint stores
+ * @param {number} rotation - Clockwise rotation (degrees), possibly negative
+ * @returns {number|undefined} Rotation in [0, 360), or undefined when unrotated
+ */
+const toPptxRotation = (rotation) => {
+  const angle = ((rotation % 360) + 360) % 360;
+  return angle || undefined;
+};
+
+/**
+ * Picks the closest PowerPoint dash style for an SVG dash array
+ * @param {Array<number>} dash - Dash array (px)
+ * @param {number} strokeWidth - Stroke width (px)
+ * @returns {string} PowerPoint dash type
+ */
+const getDashType = (dash, strokeWidth) => {
+  if (!dash?.length) return 'solid';
+  return dash[0] <= strokeWidth * 1.5 ? 'sysDot' : 'dash';
+};
+
+/**
+ * Fill and line options of a scene shape
+ * @param {Object} element - Scene element
+ * @param {number} scale - Inches per scene px
+ * @returns {{fill?: Object, line?: Object}} PowerPoint shape options
+ */
+const getPaint = (element, scale) => {
+  const paint = {};
+  if (element.fill) paint.fill = toPptxColor(element.fill, element.fillOpacity);
+  if (element.stroke && element.strokeWidth > 0) {
+    paint.line = {
+      ...toPptxColor(element.stroke, element.strokeOpacity),
+      // Line widths are in points
+      width: Math.max(0.25, element.strokeWidth * scale * 72),
+      dashType: getDashType(element.dash, element.strokeWidth)
+    };
+  }
+  return paint;
+};
+
+/**
+ * Turns path segments or polygon points into a custom geometry shape: its box and its points relative to it
+ * @param {Array<Object>} segments - Segments from parsePathData (M, L, C, Z), in scene px
+ * @param {Function} toSlide - Maps a scene point to slide inches
+ * @returns {{x: number, y: number, w: number, h: number, points: Array<Object>}} Shape box and points (inches)
+ */
+const toCustomGeometry = (segments, toSlide) => {
+  const slideSegments = segments.map(segment => (segment.type === 'Z' ? segment : {
+    ...segment,
+    ...toSlide(segment),
+    ...(segment.type === 'C' && {
+      control1: toSlide({ x: segment.x1, y: segment.y1 }),
+      control2: toSlide({ x: segment.x2, y: segment.y2 })
+    })
+  }));
+  const points = slideSegments.flatMap(segment => {
+    if (segment.type === 'Z') return [];
+    return segment.type === 'C' ? [segment, segment.control1, segment.control2] : [segment];
+  });
+  const left = Math.min(...points.map(point => point.x));
+  const top = Math.min(...points.map(point => point.y));
+  const width = Math.max(MIN_SIZE, Math.max(...points.map(point => point.x)) - left);
+  const height = Math.max(MIN_SIZE, Math.max(...points.map(point => point.y)) - top);
+
+  return {
+    x: left,
+    y: top,
+    w: width,
+    h: height,
+    points: slideSegments.map(segment => {
+      if (segment.type === 'Z') return { close: true };
+      const point = { x: segment.x - left, y: segment.y - top };
+      if (segment.type === 'M') return { ...point, moveTo: true };
+      if (segment.type === 'C') {
+        return {
+          ...point,
+          curve: {
+            type: 'cubic',
+            x1: segment.control1.x - left,
+            y1: segment.control1.y - top,
+            x2: segment.control2.x - left,
+            y2: segment.control2.y - top
+          }
+        };
+      }
+      return point;
+    })
+  };
+};
+
+/**
+ * Groups consecutive text lines of the same block into one text box, so a wrapped label stays one editable
+ * piece of text
+ * @param {Array<Object>} elements - Scene elements in paint order
+ * @returns {Array<Object>} Elements, with each block of text lines replaced by {type: 'text', lines: [...]}
+ */
+const groupTextLines = (elements) => elements.reduce((grouped, element) => {
+  const previous = grouped[grouped.length - 1];
+  if (element.type !== 'text') {
+    grouped.push(element);
+  } else if (previous?.type === 'text' && previous.lines[0].block === element.block) {
+    previous.lines.push(element);
+  } else {
+    grouped.push({ type: 'text', lines: [element] });
+  }
+  return grouped;
+}, []);
+
+/**
+ * Renders an ExportScene as a single-slide PowerPoint presentation, entirely client-side. Every card, connector,
+ * marker and legend entry becomes a native shape or text box at its on-screen position (scaled to fit a 16:9
+ * slide), so presenters can restyle shapes and edit wording in PowerPoint instead of re-exporting. Slides cannot
+ * clip, so in a cropped scene the shapes that straddle the crop edge are kept whole.
+ *
+ * @param {import('./buildExportScene').ExportScene} scene - Scene from buildExportScene
+ * @param {Object} [options] - Presentation options
+ * @param {string} [options.title='Timeline'] - Presentation title
+ * @returns {PptxGenJS} The presentation, ready to write
+ */
+const sceneToPptx = (scene, { title = 'Timeline' } = {}) => {
+  const pptx = new PptxGenJS();
+  pptx.layout = 'LAYOUT_WIDE';
+  pptx.title = title;
+
+  const scale = Math.min(MAX_SCALE, SLIDE_WIDTH / scene.width, SLIDE_HEIGHT / scene.height);
+  const offsetX = (SLIDE_WIDTH - scene.width * scale) / 2;
+  const offsetY = (SLIDE_HEIGHT - scene.height * scale) / 2;
+  const toSlide = ({ x, y }) => ({ x: offsetX + x * scale, y: offsetY + y * scale });
+  const toBox = ({ x, y, width, height }) => ({
+    ...toSlide({ x, y }),
+    w: Math.max(MIN_SIZE, width * scale),
+    h: Math.max(MIN_SIZE, height * scale)
+  });
+
+  const slide = pptx.addSlide();
+  if (scene.background) slide.background = { color: scene.background.replace('#', '').toUpperCase() };
+
+  groupTextLines(scene.elements).forEach(element => {
+    switch (element.type) {
+      case 'rect':
+        if (!element.fill && !element.stroke) return;
+        slide.addShape(element.radius ? pptx.ShapeType.roundRect : pptx.ShapeType.rect, {
+          ...toBox(element),
+          ...getPaint(element, scale),
+          // Corner radius is in inches
+          rectRadius: element.radius ? element.radius * scale : undefined,
+          rotate: toPptxRotation(element.rotation || 0)
+        });
+        break;
+
+      case 'ellipse':
+        if (!element.fill && !element.stroke) return;
+        slide.addShape(pptx.ShapeType.ellipse, {
+          ...toBox(element),
+          ...getPaint(element, scale),
+          rotate: toPptxRotation(element.rotation || 0)
+        });
+        break;
+
+      case 'path':
+      case 'polygon': {
+        const segments = element.type === 'path'
+          ? element.segments
+          : [
+            ...element.points.map((point, index) => ({ type: index === 0 ? 'M' : 'L', ...point })),
+            { type: 'Z' }
+          ];
+        if (segments.length < 2) return;
+        slide.addShape(pptx.ShapeType.custGeom, {
+          ...toCustomGeometry(segments, toSlide),
+          ...getPaint(element, scale)
+        });
+        break;
+      }
+
+      case 'text': {
+        const { lines } = element;
+        const [first] = lines;
+        const left = Math.min(...lines.map(line => line.x));
+        const top = Math.min(...lines.map(line => line.y));
+        const right = Math.max(...lines.map(line => line.x + line.width));
+        const bottom = Math.max(...lines.map(line => line.y + line.height));
+        // Wrapped lines that start together were left-aligned on screen; everything else was centered
+        const isLeftAligned = lines.length > 1 && lines.every(line => Math.abs(line.x - left) < 1);
+
+        slide.addText(lines.map(line => line.text).join('\n'), {
+          ...toBox({ x: left, y: top, width: right - left, height: bottom - top }),
+          fontFace: first.fontFamily?.split(',')[0].replace(/["']/g, '').trim() || undefined,
+          // Font sizes are in points
+          fontSize: Math.max(1, Math.round(first.fontSize * scale * 72 * 10) / 10),
+          bold: first.fontWeight === 'bold' || Number(first.fontWeight) >= 600,
+          italic: first.fontStyle === 'italic' || first.fontStyle === 'oblique',
+          ...toPptxColor(first.color, first.opacity),
+          align: isLeftAligned ? 'left' : 'center',
+          valign: 'middle',
+          lineSpacing: lines.length > 1 ? first.height * scale * 72 : undefined,
+          margin: 0,
+          wrap: false,
+          fit: 'none',
+          rotate: toPptxRotation(first.rotation || 0)
+        });
+        break;
+      }
+
+      default:
+        break;
+    }
+  });
+
+  return pptx;
+};
+
+export default sceneToPptx;
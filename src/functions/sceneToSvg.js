@@ -0,0 +1,163 @@
+/**
+ * Rounds a coordinate for output
+ * @param {number} value - Value in px
+ * @returns {number} Value rounded to 2 decimals
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Escapes text for use in XML content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Serializes attributes, leaving out undefined and null values
+ * @param {Object} attributes - Attribute names and values
+ * @returns {string} Attributes with a leading space each
+ */
+const toAttributes = (attributes) => Object.entries(attributes)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([name, value]) => ` ${name}="${escapeXml(typeof value === 'number' ? round(value) : value)}"`)
+  .join('');
+
+/**
+ * Fill and stroke attributes of a scene element
+ * @param {Object} element - Scene element
+ * @returns {Object} SVG paint attributes
+ */
+const getPaint = (element) => ({
+  fill: element.fill || 'none',
+  'fill-opacity': element.fill && element.fillOpacity < 1 ? element.fillOpacity : undefined,
+  stroke: element.stroke || undefined,
+  'stroke-opacity': element.stroke && element.strokeOpacity < 1 ? element.strokeOpacity : undefined,
+  'stroke-width': element.stroke ? element.strokeWidth : undefined
+});
+
+/**
+ * Rotation transform around the center of an element's box
+ * @param {Object} element - Scene element with x, y, width, height and rotation
+ * @returns {string|undefined} SVG transform
+ */
+const getRotationTransform = ({ x, y, width, height, rotation }) => (
+  rotation ? `rotate(${round(rotation)} ${round(x + width / 2)} ${round(y + height / 2)})` : undefined
+);
+
+/**
+ * Converts path segments from parsePathData back into SVG path data
+ * @param {Array} segments - Path segments
+ * @returns {string} Path data
+ */
+const toPathData = (segments) => segments.map(segment => {
+  if (segment.type === 'C') {
+    return `C ${round(segment.x1)} ${round(segment.y1)} ${round(segment.x2)} ${round(segment.y2)} ${round(segment.x)} ${round(segment.y)}`;
+  }
+  if (segment.type === 'Z') return 'Z';
+  return `${segment.type} ${round(segment.x)} ${round(segment.y)}`;
+}).join(' ');
+
+/**
+ * Serializes one scene element as an SVG element
+ * @param {Object} element - Scene element
+ * @returns {string} SVG markup
+ */
+const toSvgElement = (element) => {
+  switch (element.type) {
+    case 'rect':
+      return `<rect${toAttributes({
+        x: element.x,
+        y: element.y,
+        width: element.width,
+        height: element.height,
+        rx: element.radius || undefined,
+        ...getPaint(element),
+        transform: getRotationTransform(element)
+      })}/>`;
+
+    case 'ellipse':
+      return `<ellipse${toAttributes({
+        cx: element.x + element.width / 2,
+        cy: element.y + element.height / 2,
+        rx: element.width / 2,
+        ry: element.height / 2,
+        ...getPaint(element),
+        transform: getRotationTransform(element)
+      })}/>`;
+
+    case 'path':
+      return `<path${toAttributes({
+        d: toPathData(element.segments),
+        ...getPaint(element),
+        'stroke-dasharray': element.dash?.length ? element.dash.map(round).join(' ') : undefined
+      })}/>`;
+
+    case 'polygon':
+      return `<polygon${toAttributes({
+        points: element.points.map(point => `${round(point.x)},${round(point.y)}`).join(' '),
+        ...getPaint(element)
+      })}/>`;
+
+    case 'text':
+      return `<text${toAttributes({
+        x: element.x + element.width / 2,
+        y: element.y + element.height / 2,
+        'text-anchor': 'middle',
+        'dominant-baseline': 'central',
+        'font-family': element.fontFamily,
+        'font-size': element.fontSize,
+        'font-weight': element.fontWeight,
+        'font-style': element.fontStyle !== 'normal' ? element.fontStyle : undefined,
+        fill: element.color,
+        'fill-opacity': element.opacity < 1 ? element.opacity : undefined,
+        transform: getRotationTransform(element)
+      })}>${escapeXml(element.text)}</text>`;
+
+    default:
+      return '';
+  }
+};
+
+/**
+ * Serializes an ExportScene as a standalone SVG document. Every card, marker, connector and legend entry is a
+ * real shape or text element, so the file can be edited in vector tools (Illustrator, Figma, Inkscape).
+ *
+ * @param {import('./buildExportScene').ExportScene} scene - Scene from buildExportScene
+ * @param {Object} [options] - Output options
+ * @param {string} [options.title] - Document title
+ * @returns {string} SVG markup
+ */
+const sceneToSvg = (scene, { title } = {}) => {
+  const { width, height, background, clip, elements } = scene;
+  const shapes = elements.map(toSvgElement).filter(Boolean);
+  const content = [
+    title ? `<title>${escapeXml(title)}</title>` : '',
+    background ? `<rect${toAttributes({ width, height, fill: background })}/>` : '',
+    // Cropped scenes cut their content off at the crop
+    ...(clip
+      ? [
+        `<clipPath id="export-clip"><rect${toAttributes(clip)}/></clipPath>`,
+        '<g clip-path="url(#export-clip)">',
+        ...shapes.map(shape => `  ${shape}`),
+        '</g>'
+      ]
+      : shapes)
+  ].filter(Boolean);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg"${toAttributes({
+      width,
+      height,
+      viewBox: `0 0 ${round(width)} ${round(height)}`
+    })}>`,
+    ...content.map(line => `  ${line}`),
+    '</svg>'
+  ].join('\n');
+};
+
+export default sceneToSvg;
@@ -0,0 +1,50 @@
+import { normalizeScale } from './timelineScale';
+
+/**
+ * Snaps a date to the nearest boundary of the timeline scale
+ *
+ * @param {Date} date - The date to snap
+ * @param {string} scale - Active scale ('days', 'weeks', 'months', 'quarters', 'years'; singular names also accepted)
+ * @returns {Date} The nearest day, week start (Sunday), month, quarter or year start, at local midnight
+ */
+const snapDateToScale = (date, scale = 'days') => {
+  const unit = normalizeScale(scale);
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+  // Round to the nearer of two candidate boundaries
+  const nearest = (earlier, later) => (date - earlier <= later - date ? earlier : later);
+
+  switch (unit) {
+    case 'weeks': {
+      const weekStart = new Date(day);
+      weekStart.setDate(day.getDate() - day.getDay());
+      const nextWeekStart = new Date(weekStart);
+      nextWeekStart.setDate(weekStart.getDate() + 7);
+      return nearest(weekStart, nextWeekStart);
+    }
+    case 'months': {
+      const monthStart = new Date(date.getFullYear(), date.getMonth(), 1);
+      const nextMonthStart = new Date(date.getFullYear(), date.getMonth() + 1, 1);
+      return nearest(monthStart, nextMonthStart);
+    }
+    case 'quarters': {
+      const quarterMonth = Math.floor(date.getMonth() / 3) * 3;
+      const quarterStart = new Date(date.getFullYear(), quarterMonth, 1);
+      const nextQuarterStart = new Date(date.getFullYear(), quarterMonth + 3, 1);
+      return nearest(quarterStart, nextQuarterStart);
+    }
+    case 'years': {
+      const yearStart = new Date(date.getFullYear(), 0, 1);
+      const nextYearStart = new Date(date.getFullYear() + 1, 0, 1);
+      return nearest(yearStart, nextYearStart);
+    }
+    case 'days':
+    default: {
+      const nextDay = new Date(day);
+      nextDay.setDate(day.getDate() + 1);
+      return nearest(day, nextDay);
+    }
+  }
+};
+
+export default snapDateToScale;
@@ -1,11 +1,44 @@
-export const saveSettings = (settings) => {
-    monday.storage.instance.setItem('settings', settings).then(res => {
-        // console.log(res);
-       });
-}
-
-export const loadSettings = (setSettings) => {
-    monday.storage.instance.getItem('settings').then(res => {
-        setSettings(res);
-       });
-    }
\ No newline at end of file
+import mondaySdk from "monday-sdk-js";
+import TimelineLogger from '../utils/logger';
+
+// Initialize monday SDK
+const monday = mondaySdk();
+
+/**
+ * Saves a JSON-serializable value in this view instance's storage
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @returns {Promise<boolean>} Whether the value was stored
+ */
+export const saveInstanceItem = async (key, value) => {
+    try {
+        const res = await monday.storage.instance.setItem(key, JSON.stringify(value));
+        return res?.data?.success !== false;
+    } catch (error) {
+        TimelineLogger.error('Failed to save instance storage item', error, { key });
+        return false;
+    }
+};
+
+/**
+ * Loads a value saved with saveInstanceItem
+ * @param {string} key - Storage key
+ * @returns {Promise<*>} The stored value, or null if nothing (readable) is stored
+ */
+export const loadInstanceItem = async (key) => {
+    try {
+        const res = await monday.storage.instance.getItem(key);
+        const stored = res?.data?.value;
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        TimelineLogger.error('Failed to load instance storage item', error, { key });
+        return null;
+    }
+};
+
+export const saveSettings = (settings) => saveInstanceItem('settings', settings);
+
+export const loadSettings = (setSettings) => loadInstanceItem('settings').then(settings => {
+    setSettings(settings);
+    return settings;
+});
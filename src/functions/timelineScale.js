@@ -0,0 +1,201 @@
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Scale units from finest to coarsest. Settings and the rest of the app use these plural names.
+export const SCALE_UNITS = ['days', 'weeks', 'months', 'quarters', 'years'];
+
+// Unit drawn in the upper header tier above each primary unit
+const UPPER_TIER = {
+  days: 'months',
+  weeks: 'months',
+  months: 'years',
+  quarters: 'years',
+  years: null
+};
+
+// Labelled cells closer than this (percent of the axis) would overlap, so only every n-th cell is labelled
+const MIN_LABEL_SPACING_PERCENT = 5;
+
+/**
+ * Normalizes a scale name to the plural form used by the scale engine.
+ * Accepts singular names ('week') as well; 'auto' and 'none' are passed through.
+ *
+ * @param {string} scale - Scale name
+ * @returns {string} 'days', 'weeks', 'months', 'quarters', 'years', 'auto' or 'none'
+ */
+export const normalizeScale = (scale) => {
+  if (scale === 'auto' || scale === 'none') return scale;
+  const plural = `${String(scale || '').replace(/s$/, '')}s`;
+  return SCALE_UNITS.includes(plural) ? plural : 'days';
+};
+
+/**
+ * Picks the primary unit for a date range so the axis shows a readable number of cells
+ *
+ * @param {Date|number} startDate - Start of the visible range
+ * @param {Date|number} endDate - End of the visible range
+ * @returns {string} Scale unit ('days', 'weeks', 'months', 'quarters', 'years')
+ */
+export const chooseAutoScale = (startDate, endDate) => {
+  const days = Math.abs(endDate - startDate) / DAY_MS;
+
+  if (days <= 21) return 'days';
+  if (days <= 120) return 'weeks';
+  if (days <= 730) return 'months';
+  if (days <= 1825) return 'quarters';
+  return 'years';
+};
+
+/**
+ * Resolves a scale setting for a range: 'auto' picks a unit, other names are normalized
+ *
+ * @param {string} scale - Scale setting
+ * @param {Date|number} startDate - Start of the visible range
+ * @param {Date|number} endDate - End of the visible range
+ * @returns {string} Scale unit, or 'none'
+ */
+export const resolveScale = (scale, startDate, endDate) => {
+  const normalized = normalizeScale(scale);
+  return normalized === 'auto' ? chooseAutoScale(startDate, endDate) : normalized;
+};
+
+/**
+ * Returns the start of the unit containing a date, at local midnight. Weeks start on Sunday.
+ *
+ * @param {Date} date - Any date
+ * @param {string} unit - Scale unit
+ * @returns {Date} Unit start
+ */
+export const startOfUnit = (date, unit) => {
+  switch (unit) {
+    case 'weeks': {
+      const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+      start.setDate(start.getDate() - start.getDay());
+      return start;
+    }
+    case 'months':
+      return new Date(date.getFullYear(), date.getMonth(), 1);
+    case 'quarters':
+      return new Date(date.getFullYear(), Math.floor(date.getMonth() / 3) * 3, 1);
+    case 'years':
+      return new Date(date.getFullYear(), 0, 1);
+    case 'days':
+    default:
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+};
+
+/**
+ * Returns the start of the unit after the one starting at `date`
+ *
+ * @param {Date} date - A unit start from startOfUnit
+ * @param {string} unit - Scale unit
+ * @returns {Date} Next unit start
+ */
+const nextUnitStart = (date, unit) => {
+  switch (unit) {
+    case 'weeks':
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7);
+    case 'months':
+      return new Date(date.getFullYear(), date.getMonth() + 1, 1);
+    case 'quarters':
+      return new Date(date.getFullYear(), date.getMonth() + 3, 1);
+    case 'years':
+      return new Date(date.getFullYear() + 1, 0, 1);
+    case 'days':
+    default:
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+  }
+};
+
+/**
+ * Formats a header cell label
+ *
+ * @param {Date} date - Cell start
+ * @param {string} unit - Scale unit
+ * @param {boolean} isUpper - Whether the label is for the upper tier (adds the context the lower tier omits)
+ * @returns {string} Label
+ */
+const formatUnitLabel = (date, unit, isUpper) => {
+  switch (unit) {
+    case 'days':
+      return String(date.getDate());
+    case 'weeks':
+      return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    case 'months':
+      return date.toLocaleDateString(undefined, isUpper ? { month: 'long', year: 'numeric' } : { month: 'short' });
+    case 'quarters':
+      return `Q${Math.floor(date.getMonth() / 3) + 1}`;
+    case 'years':
+    default:
+      return String(date.getFullYear());
+  }
+};
+
+/**
+ * Splits a range into the cells of one unit, clipped to the range
+ *
+ * @param {Date} startDate - Start of the visible range
+ * @param {Date} endDate - End of the visible range
+ * @param {string} unit - Scale unit
+ * @param {boolean} isUpper - Whether the cells form the upper tier
+ * @returns {Array<{start: Date, end: Date, label: string, startPosition: number, endPosition: number, showLabel: boolean}>}
+ *   Cells with positions as percentages of the range
+ */
+const buildTier = (startDate, endDate, unit, isUpper) => {
+  const total = endDate - startDate;
+  if (total <= 0) return [];
+
+  const toPosition = (date) => Math.max(0, Math.min(100, ((date - startDate) / total) * 100));
+  const cells = [];
+
+  for (let cellStart = startOfUnit(startDate, unit); cellStart < endDate; cellStart = nextUnitStart(cellStart, unit)) {
+    const cellEnd = nextUnitStart(cellStart, unit);
+    cells.push({
+      start: cellStart,
+      end: cellEnd,
+      label: formatUnitLabel(cellStart, unit, isUpper),
+      startPosition: toPosition(cellStart),
+      endPosition: toPosition(cellEnd),
+      showLabel: true
+    });
+  }
+
+  // Thin out lower-tier labels that would overlap; upper-tier cells are always wide enough
+  if (!isUpper && cells.length > 1) {
+    // Average cell width as a percentage of the range (months and years vary in length)
+    const cellWidth = (((cells[cells.length - 1].end - cells[0].start) / cells.length) / total) * 100;
+    const labelEvery = Math.max(1, Math.ceil(MIN_LABEL_SPACING_PERCENT / cellWidth));
+    cells.forEach((cell, index) => {
+      cell.showLabel = index % labelEvery === 0;
+    });
+  }
+
+  return cells;
+};
+
+/**
+ * Calculates a two-tier axis header for a range, like a project calendar: the primary unit in the
+ * lower tier (e.g. weeks) and its enclosing unit in the upper tier (e.g. months).
+ *
+ * @param {Date} startDate - Start of the visible range
+ * @param {Date} endDate - End of the visible range
+ * @param {string} scale - Scale setting ('auto', 'none', or a unit; singular names accepted)
+ * @returns {{scale: string, lower: Array, upper: Array}} The resolved scale and the cells of each tier
+ *   (both empty for 'none'; upper is empty for years)
+ */
+export const calculateScaleHeaders = (startDate, endDate, scale) => {
+  const resolved = resolveScale(scale, startDate, endDate);
+  if (!startDate || !endDate || resolved === 'none') {
+    return { scale: resolved, lower: [], upper: [] };
+  }
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const upperUnit = UPPER_TIER[resolved];
+
+  return {
+    scale: resolved,
+    lower: buildTier(start, end, resolved, false),
+    upper: upperUnit ? buildTier(start, end, upperUnit, true) : []
+  };
+};
@@ -0,0 +1,58 @@
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Narrowest window the axis can be zoomed to
+export const MIN_WINDOW_MS = 3 * DAY_MS;
+
+/**
+ * Keeps a visible window inside the timeline bounds, preserving its width where possible
+ *
+ * @param {number} start - Window start (ms)
+ * @param {number} end - Window end (ms)
+ * @param {number} boundsStart - Timeline start (ms)
+ * @param {number} boundsEnd - Timeline end (ms)
+ * @returns {{start: number, end: number}} Clamped window
+ */
+export const clampTimelineWindow = (start, end, boundsStart, boundsEnd) => {
+  const boundsWidth = boundsEnd - boundsStart;
+  const width = Math.min(Math.max(end - start, Math.min(MIN_WINDOW_MS, boundsWidth)), boundsWidth);
+
+  let clampedStart = Math.max(boundsStart, Math.min(start, boundsEnd - width));
+  if (!Number.isFinite(clampedStart)) clampedStart = boundsStart;
+
+  return { start: clampedStart, end: clampedStart + width };
+};
+
+/**
+ * Zooms a window around an anchor, keeping the date under the anchor in place
+ *
+ * @param {{start: number, end: number}} view - Current window (ms)
+ * @param {{start: number, end: number}} bounds - Timeline bounds (ms)
+ * @param {number} factor - Width multiplier; below 1 zooms in, above 1 zooms out
+ * @param {number} [anchorRatio=0.5] - Anchor position within the window (0-1), e.g. under the pointer
+ * @returns {{start: number, end: number}} Zoomed window
+ */
+export const zoomTimelineWindow = (view, bounds, factor, anchorRatio = 0.5) => {
+  const width = view.end - view.start;
+  const anchor = view.start + width * anchorRatio;
+  const newWidth = width * factor;
+
+  return clampTimelineWindow(
+    anchor - newWidth * anchorRatio,
+    anchor + newWidth * (1 - anchorRatio),
+    bounds.start,
+    bounds.end
+  );
+};
+
+/**
+ * Moves a window along the axis without changing its width
+ *
+ * @param {{start: number, end: number}} view - Current window (ms)
+ * @param {{start: number, end: number}} bounds - Timeline bounds (ms)
+ * @param {number} deltaRatio - Distance to move as a fraction of the window width; positive moves later
+ * @returns {{start: number, end: number}} Panned window
+ */
+export const panTimelineWindow = (view, bounds, deltaRatio) => {
+  const delta = (view.end - view.start) * deltaRatio;
+  return clampTimelineWindow(view.start + delta, view.end + delta, bounds.start, bounds.end);
+};
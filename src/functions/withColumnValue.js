@@ -0,0 +1,22 @@
+/**
+ * Returns a copy of a board item with one column value replaced, for optimistic updates
+ *
+ * @param {Object} boardItem - Board item with column_values
+ * @param {string} columnId - Column to replace
+ * @param {Object} value - New value (stored as a JSON string, like the API returns it)
+ * @returns {Object} Updated board item
+ */
+const withColumnValue = (boardItem, columnId, value) => {
+  const columnValues = boardItem.column_values || [];
+  const nextValue = { id: columnId, value: JSON.stringify(value), text: null };
+  const exists = columnValues.some(col => col.id === columnId);
+
+  return {
+    ...boardItem,
+    column_values: exists
+      ? columnValues.map(col => (col.id === columnId ? { ...col, ...nextValue } : col))
+      : [...columnValues, nextValue]
+  };
+};
+
+export default withColumnValue;
@@ -0,0 +1,150 @@
+import { useEffect, useRef } from 'react';
+import mondaySdk from "monday-sdk-js";
+import fetchItemsByIds from '../functions/fetchItemsByIds';
+import applyBoardItemDiff from '../functions/applyBoardItemDiff';
+import TimelineLogger from '../utils/logger';
+
+// Initialize monday SDK
+const monday = mondaySdk();
+
+// Events arriving within this window are refetched together
+const EVENT_BATCH_DELAY_MS = 750;
+
+// Board event types that remove items from the view
+const REMOVAL_EVENTS = new Set(['delete_items', 'archive_items']);
+
+/**
+ * Reads the affected item IDs from a monday board event payload
+ * @param {Object} event - Event data from monday.listen("events")
+ * @returns {Array<string>} Item IDs referenced by the event
+ */
+const getEventItemIds = (event = {}) => {
+  const ids = event.itemIds || (event.itemId ? [event.itemId] : []);
+  return ids.map(String);
+};
+
+/**
+ * Subscribes to monday board events and applies item-level diffs to the board items,
+ * so edits made elsewhere on the board show up without reloading the view.
+ * Changed items are refetched in batches; untouched items (and the cards rendered for them)
+ * are left as they are, which keeps each card's dragged position and size.
+ * Items created elsewhere are only added when the whole board is loaded; a filtered view picks them up from
+ * its next itemIds update instead, since they may not match its filter.
+ * Events that arrive while paused (e.g. while the board is still loading) are queued and applied on resume,
+ * so edits made during a long load are not lost.
+ *
+ * @param {string|number} boardId - The board the view is attached to
+ * @param {Function} setBoardItems - State setter for board items
+ * @param {Object} [options] - Additional options
+ * @param {boolean} [options.paused=false] - Whether to queue events instead of applying them
+ * @param {boolean} [options.insertNewItems=true] - Whether items not loaded yet are added (whole-board views only)
+ */
+const useBoardEvents = (boardId, setBoardItems, { paused = false, insertNewItems = true } = {}) => {
+  const pendingIds = useRef(new Set());
+  const pendingRemovedIds = useRef(new Set());
+  const timer = useRef(null);
+  const flushRef = useRef(null);
+  // Read at flush time, so pausing or a change of view does not drop the queue by resubscribing
+  const pausedRef = useRef(paused);
+  const insertNewItemsRef = useRef(insertNewItems);
+  pausedRef.current = paused;
+  insertNewItemsRef.current = insertNewItems;
+
+  useEffect(() => {
+    if (!boardId) return undefined;
+
+    let active = true;
+
+    const flush = async () => {
+      timer.current = null;
+      // Picked up again on resume
+      if (pausedRef.current) return;
+
+      const removedWhilePaused = Array.from(pendingRemovedIds.current);
+      pendingRemovedIds.current.clear();
+      if (removedWhilePaused.length > 0) {
+        setBoardItems(prevItems => applyBoardItemDiff(prevItems, { removedIds: removedWhilePaused }));
+      }
+
+      const itemIds = Array.from(pendingIds.current);
+      pendingIds.current.clear();
+      if (itemIds.length === 0) return;
+
+      const startTime = Date.now();
+      try {
+        const items = await fetchItemsByIds(itemIds, { isCancelled: () => !active });
+        if (!active) return;
+
+        // Items the API no longer returns were deleted or archived
+        const returnedIds = new Set(items.map(item => String(item.id)));
+        const removedIds = itemIds.filter(id => !returnedIds.has(id));
+
+        setBoardItems(prevItems => applyBoardItemDiff(prevItems, {
+          upserted: items,
+          removedIds,
+          insertNew: insertNewItemsRef.current
+        }));
+
+        TimelineLogger.performance('useBoardEvents.applyDiff', Date.now() - startTime, {
+          updatedCount: items.length,
+          removedCount: removedIds.length
+        });
+      } catch (error) {
+        TimelineLogger.error('useBoardEvents.refetchFailed', error, { itemCount: itemIds.length });
+      }
+    };
+    flushRef.current = flush;
+
+    const unsubscribe = monday.listen("events", (res) => {
+      const event = res.data || {};
+      if (event.boardId && String(event.boardId) !== String(boardId)) return;
+
+      const itemIds = getEventItemIds(event);
+      TimelineLogger.debug('Board event received', {
+        type: event.type,
+        itemCount: itemIds.length,
+        queued: pausedRef.current
+      });
+      if (itemIds.length === 0) return;
+
+      if (REMOVAL_EVENTS.has(event.type)) {
+        if (pausedRef.current) {
+          itemIds.forEach(id => {
+            pendingIds.current.delete(id);
+            pendingRemovedIds.current.add(id);
+          });
+        } else {
+          setBoardItems(prevItems => applyBoardItemDiff(prevItems, { removedIds: itemIds }));
+        }
+        return;
+      }
+
+      itemIds.forEach(id => pendingIds.current.add(id));
+      if (!pausedRef.current && !timer.current) {
+        timer.current = setTimeout(flush, EVENT_BATCH_DELAY_MS);
+      }
+    });
+
+    return () => {
+      active = false;
+      flushRef.current = null;
+      clearTimeout(timer.current);
+      timer.current = null;
+      pendingIds.current.clear();
+      pendingRemovedIds.current.clear();
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    };
+  }, [boardId, setBoardItems]);
+
+  // Apply the events queued while paused
+  useEffect(() => {
+    if (paused || !flushRef.current) return;
+    if (pendingIds.current.size > 0 || pendingRemovedIds.current.size > 0) {
+      flushRef.current();
+    }
+  }, [paused]);
+};
+
+export default useBoardEvents;
@@ -0,0 +1,223 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { loadInstanceItem, saveInstanceItem } from '../functions/storage';
+import migrateLayoutDocument, { createLayoutDocument } from '../functions/migrateLayoutDocument';
+import TimelineLogger from '../utils/logger';
+
+// Instance storage key for the view's layout
+const LAYOUT_STORAGE_KEY = 'timelineLayout';
+
+// Layout changes made within this window are saved together
+const SAVE_DEBOUNCE_MS = 1000;
+
+/**
+ * Persists the view's card layout (dragged offsets, resized cards, hidden items) in instance storage,
+ * keyed by item ID. The layout is loaded on mount and changes are saved debounced.
+ *
+ * Items without a saved entry (e.g. newly added items) keep their automatic layout. Entries for items
+ * that no longer exist are pruned, but only once `canPrune` says the loaded items are the whole board;
+ * otherwise an item that is merely filtered out of the view would lose its layout.
+ *
+ * The stored document is versioned (see migrateLayoutDocument): older documents are migrated on load,
+ * invalid entries fall back to auto-layout, and a document written by a newer version is left untouched.
+ * Offsets arranged against a different primary date column are discarded, since they no longer line up
+ * with the cards' dates.
+ *
+ * @param {Array} boardItems - Board items currently loaded
+ * @param {Object} [options] - Additional options
+ * @param {boolean} [options.canPrune=false] - Whether boardItems is the complete, fully loaded board
+ * @param {Array<string>} [options.dateColumnIds] - Selected date column IDs, primary first
+ * @returns {{
+ *   itemLayouts: Object.<string, {x?: number, y?: number, width?: number, height?: number}>,
+ *   hiddenItemIds: Set<string>,
+ *   isLoaded: boolean,
+ *   setItemLayout: Function,
+ *   resetItemLayout: Function,
+ *   clearItemOffsets: Function,
+ *   hideItem: Function,
+ *   unhideItem: Function,
+ *   showAllItems: Function
+ * }} Saved layout and setters
+ */
+const useLayoutPersistence = (boardItems = [], { canPrune = false, dateColumnIds = [] } = {}) => {
+  const [layout, setLayout] = useState(() => createLayoutDocument());
+  const [isLoaded, setIsLoaded] = useState(false);
+  // Set when the stored document is from a newer version and must not be overwritten
+  const isSaveBlocked = useRef(false);
+  // Set when the layout changed locally and needs saving
+  const isDirty = useRef(false);
+  const saveTimer = useRef(null);
+  const pendingLayout = useRef(null);
+
+  const flushSave = useCallback(() => {
+    clearTimeout(saveTimer.current);
+    saveTimer.current = null;
+    const toSave = pendingLayout.current;
+    pendingLayout.current = null;
+    if (!toSave || isSaveBlocked.current) return;
+
+    TimelineLogger.debug('Saving timeline layout', {
+      itemCount: Object.keys(toSave.items).length,
+      hiddenCount: toSave.hidden.length
+    });
+    saveInstanceItem(LAYOUT_STORAGE_KEY, toSave);
+  }, []);
+
+  // Load the saved layout once; changes made before it arrives take precedence
+  useEffect(() => {
+    let active = true;
+
+    loadInstanceItem(LAYOUT_STORAGE_KEY).then(stored => {
+      if (!active) return;
+      const { document: saved, status, droppedCount } = migrateLayoutDocument(stored);
+      isSaveBlocked.current = status === 'newer';
+      // Write migrated or cleaned-up documents back in the current format
+      if (status === 'migrated' || droppedCount > 0) isDirty.current = true;
+
+      setLayout(prev => ({
+        ...saved,
+        items: { ...saved.items, ...prev.items },
+        hidden: Array.from(new Set([...saved.hidden, ...prev.hidden]))
+      }));
+      setIsLoaded(true);
+      TimelineLogger.debug('Timeline layout loaded', {
+        status,
+        version: saved.version,
+        itemCount: Object.keys(saved.items).length
+      });
+    });
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  // Debounce saves of local changes, and flush anything pending when the view unmounts.
+  // Nothing is saved before the stored layout is merged in, so an early drag can't overwrite it.
+  useEffect(() => {
+    if (!isDirty.current || !isLoaded) return;
+    isDirty.current = false;
+    pendingLayout.current = layout;
+    clearTimeout(saveTimer.current);
+    saveTimer.current = setTimeout(flushSave, SAVE_DEBOUNCE_MS);
+  }, [layout, isLoaded, flushSave]);
+
+  useEffect(() => flushSave, [flushSave]);
+
+  // Record the column selection the layout belongs to; offsets made against another primary column are reset
+  const dateColumnKey = dateColumnIds.join(',');
+  useEffect(() => {
+    if (!isLoaded || dateColumnIds.length === 0) return;
+
+    setLayout(prev => {
+      if (prev.dateColumnIds.join(',') === dateColumnKey) return prev;
+
+      const primaryChanged = prev.dateColumnIds.length > 0 && prev.dateColumnIds[0] !== dateColumnIds[0];
+      isDirty.current = true;
+      if (!primaryChanged) return { ...prev, dateColumnIds };
+
+      TimelineLogger.debug('Primary date column changed; resetting card offsets', {
+        from: prev.dateColumnIds[0],
+        to: dateColumnIds[0]
+      });
+      const items = {};
+      Object.entries(prev.items).forEach(([itemId, { x, y, ...size }]) => {
+        if (Object.keys(size).length > 0) items[itemId] = size;
+      });
+      return { ...prev, items, dateColumnIds };
+    });
+  }, [isLoaded, dateColumnKey]);
+
+  // Drop entries for items that were deleted from the board
+  useEffect(() => {
+    if (!isLoaded || !canPrune) return;
+
+    const presentIds = new Set(boardItems.map(item => String(item.id)));
+    setLayout(prev => {
+      const staleIds = Object.keys(prev.items).filter(id => !presentIds.has(id));
+      const hidden = prev.hidden.filter(id => presentIds.has(id));
+      if (staleIds.length === 0 && hidden.length === prev.hidden.length) return prev;
+
+      TimelineLogger.debug('Pruning layout of removed items', {
+        removedCount: staleIds.length + prev.hidden.length - hidden.length
+      });
+      const items = { ...prev.items };
+      staleIds.forEach(id => delete items[id]);
+      isDirty.current = true;
+      return { ...prev, items, hidden };
+    });
+  }, [boardItems, isLoaded, canPrune]);
+
+  // Merge a change (e.g. {y} after a drag, {width, height} after a resize) into an item's entry
+  const setItemLayout = useCallback((itemId, patch) => {
+    const id = String(itemId);
+    isDirty.current = true;
+    setLayout(prev => ({
+      ...prev,
+      items: { ...prev.items, [id]: { ...prev.items[id], ...patch } }
+    }));
+  }, []);
+
+  // Forget an item's offset and size, returning its card to the automatic layout
+  const resetItemLayout = useCallback((itemId) => {
+    const id = String(itemId);
+    setLayout(prev => {
+      if (!prev.items[id]) return prev;
+      isDirty.current = true;
+      const items = { ...prev.items };
+      delete items[id];
+      return { ...prev, items };
+    });
+  }, []);
+
+  // Forget every dragged offset (sizes are kept), so all cards are arranged automatically again
+  const clearItemOffsets = useCallback(() => {
+    setLayout(prev => {
+      const items = {};
+      Object.entries(prev.items).forEach(([itemId, { x, y, ...size }]) => {
+        if (Object.keys(size).length > 0) items[itemId] = size;
+      });
+      isDirty.current = true;
+      return { ...prev, items };
+    });
+  }, []);
+
+  const hideItem = useCallback((itemId) => {
+    const id = String(itemId);
+    isDirty.current = true;
+    setLayout(prev => (prev.hidden.includes(id) ? prev : { ...prev, hidden: [...prev.hidden, id] }));
+  }, []);
+
+  // Bring back one hidden item, or every hidden item
+  const unhideItem = useCallback((itemId) => {
+    const id = String(itemId);
+    setLayout(prev => {
+      if (!prev.hidden.includes(id)) return prev;
+      isDirty.current = true;
+      return { ...prev, hidden: prev.hidden.filter(hiddenId => hiddenId !== id) };
+    });
+  }, []);
+
+  const showAllItems = useCallback(() => {
+    setLayout(prev => {
+      if (prev.hidden.length === 0) return prev;
+      isDirty.current = true;
+      return { ...prev, hidden: [] };
+    });
+  }, []);
+
+  const hiddenItemIds = useMemo(() => new Set(layout.hidden), [layout.hidden]);
+
+  return {
+    itemLayouts: layout.items,
+    hiddenItemIds,
+    isLoaded,
+    setItemLayout,
+    resetItemLayout,
+    clearItemOffsets,
+    hideItem,
+    unhideItem,
+    showAllItems
+  };
+};
+
+export default useLayoutPersistence;
@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+/**
+ * Tracks the rendered size of each timeline card with a single ResizeObserver, so the layout engine packs
+ * cards by their real size (shape, dates shown, user-resized) instead of a fixed estimate.
+ *
+ * Cards register through the ref callback returned by measureCard(itemId). Hidden cards (display: none)
+ * report no size and keep their last measurement.
+ *
+ * @returns {{cardSizes: Object, measureCard: Function}} Sizes ({width, height}) keyed by item ID, and a
+ *   function returning a stable ref callback for an item's card element
+ */
+const useMeasuredCardSizes = () => {
+  const [cardSizes, setCardSizes] = useState({});
+  const observer = useRef(null);
+  // Element currently observed for each item, and the ref callback handed out for it
+  const elements = useRef(new Map());
+  const refCallbacks = useRef(new Map());
+
+  const getObserver = useCallback(() => {
+    if (!observer.current && typeof ResizeObserver !== 'undefined') {
+      observer.current = new ResizeObserver(entries => {
+        setCardSizes(prev => {
+          let next = prev;
+          entries.forEach(entry => {
+            const itemId = entry.target.dataset.cardId;
+            const width = Math.round(entry.contentRect.width);
+            const height = Math.round(entry.contentRect.height);
+            if (!itemId || width === 0 || height === 0) return;
+            if (prev[itemId]?.width === width && prev[itemId]?.height === height) return;
+            if (next === prev) next = { ...prev };
+            next[itemId] = { width, height };
+          });
+          return next;
+        });
+      });
+    }
+    return observer.current;
+  }, []);
+
+  useEffect(() => () => observer.current?.disconnect(), []);
+
+  const measureCard = useCallback((itemId) => {
+    if (!refCallbacks.current.has(itemId)) {
+      refCallbacks.current.set(itemId, (element) => {
+        // Cards re-render with new ref callbacks, so only swap when the element actually changes
+        const previous = elements.current.get(itemId);
+        if (!element || element === previous) return;
+
+        const resizeObserver = getObserver();
+        if (previous) resizeObserver?.unobserve(previous);
+        element.dataset.cardId = itemId;
+        resizeObserver?.observe(element);
+        elements.current.set(itemId, element);
+      });
+    }
+    return refCallbacks.current.get(itemId);
+  }, [getObserver]);
+
+  return { cardSizes, measureCard };
+};
+
+export default useMeasuredCardSizes;
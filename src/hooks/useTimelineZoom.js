@@ -0,0 +1,170 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { clampTimelineWindow, panTimelineWindow, zoomTimelineWindow } from '../functions/timelineWindow';
+import TimelineLogger from '../utils/logger';
+
+// Wheel delta (px) that doubles or halves the visible window
+const WHEEL_ZOOM_SENSITIVITY = 0.002;
+// Zoom step for the zoom buttons
+const BUTTON_ZOOM_FACTOR = 0.5;
+
+/**
+ * Zoom and pan state for the timeline axis. The visible window is a slice of [startDate, endDate];
+ * everything on the axis is positioned against the window instead of the full range.
+ *
+ * Ctrl/cmd+wheel (and trackpad pinch, which browsers report as ctrl+wheel) over the container zooms around
+ * the pointer; horizontal or shift+wheel pans; a plain vertical wheel is left to scroll the page. The returned
+ * pan handlers add drag-to-pan and two-finger pinch to whichever element they are spread on (the axis strip).
+ * On a vertical axis the pointer's Y position and the container's height are used instead.
+ *
+ * @param {Date} startDate - Start of the full timeline range
+ * @param {Date} endDate - End of the full timeline range
+ * @param {Object} containerRef - Ref to the element whose width (height when vertical) maps to the visible window
+ * @param {string} [orientation='horizontal'] - 'horizontal' or 'vertical' (time flows top to bottom)
+ * @returns {{
+ *   viewStart: Date,
+ *   viewEnd: Date,
+ *   isZoomed: boolean,
+ *   zoomIn: Function,
+ *   zoomOut: Function,
+ *   resetZoom: Function,
+ *   panHandlers: Object
+ * }} Visible window, controls and pointer handlers
+ */
+const useTimelineZoom = (startDate, endDate, containerRef, orientation = 'horizontal') => {
+  const isVertical = orientation === 'vertical';
+  const boundsStart = startDate.getTime();
+  const boundsEnd = endDate.getTime();
+  // null while the whole range is shown
+  const [view, setView] = useState(null);
+  // Active pointers on the pan strip ({x}: coordinate along the axis), for drag-to-pan and pinch
+  const pointers = useRef(new Map());
+  const gesture = useRef(null);
+
+  const bounds = useMemo(() => ({ start: boundsStart, end: boundsEnd }), [boundsStart, boundsEnd]);
+
+  // Treat a window that covers the whole range as "not zoomed", so new data keeps fitting
+  const applyView = useCallback((next) => {
+    setView(next.end - next.start >= bounds.end - bounds.start ? null : next);
+  }, [bounds]);
+
+  // Keep the window inside the range when the data (and so the range) changes
+  useEffect(() => {
+    setView(prev => {
+      if (!prev) return prev;
+      const clamped = clampTimelineWindow(prev.start, prev.end, bounds.start, bounds.end);
+      return clamped.end - clamped.start >= bounds.end - bounds.start ? null : clamped;
+    });
+  }, [bounds]);
+
+  const current = view || bounds;
+
+  // Pointer coordinate along the axis, and the axis length in pixels
+  const getAxisCoordinate = useCallback((e) => (isVertical ? e.clientY : e.clientX), [isVertical]);
+  const getAxisLength = useCallback(() => {
+    const rect = containerRef.current?.getBoundingClientRect();
+    return (isVertical ? rect?.height : rect?.width) || 1;
+  }, [containerRef, isVertical]);
+
+  // Position of a client coordinate along the axis within the container (0-1)
+  const getAnchorRatio = useCallback((coordinate) => {
+    const rect = containerRef.current?.getBoundingClientRect();
+    const length = isVertical ? rect?.height : rect?.width;
+    if (!rect || !length) return 0.5;
+    return Math.max(0, Math.min(1, (coordinate - (isVertical ? rect.top : rect.left)) / length));
+  }, [containerRef, isVertical]);
+
+  // Wheel listener is added manually: React's onWheel is passive, so it can't stop the page scrolling
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return undefined;
+
+    const handleWheel = (e) => {
+      if (e.ctrlKey || e.metaKey) {
+        e.preventDefault();
+        const factor = Math.exp(e.deltaY * WHEEL_ZOOM_SENSITIVITY);
+        applyView(zoomTimelineWindow(current, bounds, factor, getAnchorRatio(getAxisCoordinate(e))));
+        return;
+      }
+
+      if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+        e.preventDefault();
+        const delta = e.shiftKey && e.deltaX === 0 ? e.deltaY : e.deltaX;
+        applyView(panTimelineWindow(current, bounds, delta / getAxisLength()));
+      }
+      // Anything else is a plain scroll: let the page handle it
+    };
+
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    return () => element.removeEventListener('wheel', handleWheel);
+  }, [containerRef, current, bounds, applyView, getAnchorRatio, getAxisCoordinate, getAxisLength]);
+
+  const startGesture = () => {
+    const points = Array.from(pointers.current.values());
+    gesture.current = {
+      view: current,
+      points,
+      distance: points.length === 2 ? Math.abs(points[0].x - points[1].x) : 0
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    pointers.current.set(e.pointerId, { x: getAxisCoordinate(e) });
+    startGesture();
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pointers.current.has(e.pointerId) || !gesture.current) return;
+    pointers.current.set(e.pointerId, { x: getAxisCoordinate(e) });
+
+    const length = getAxisLength();
+    const points = Array.from(pointers.current.values());
+    const { view: startView, points: startPoints, distance: startDistance } = gesture.current;
+
+    if (points.length === 2 && startDistance > 0) {
+      // Pinch: scale the window by the change in finger distance, around their midpoint
+      const distance = Math.abs(points[0].x - points[1].x) || 1;
+      const midpoint = (points[0].x + points[1].x) / 2;
+      applyView(zoomTimelineWindow(startView, bounds, startDistance / distance, getAnchorRatio(midpoint)));
+    } else if (points.length === 1 && startPoints.length === 1) {
+      // Drag: move the window opposite to the pointer, like dragging the axis itself
+      applyView(panTimelineWindow(startView, bounds, -(points[0].x - startPoints[0].x) / length));
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    pointers.current.delete(e.pointerId);
+    if (pointers.current.size === 0) {
+      gesture.current = null;
+      TimelineLogger.userAction('timelineWindowChanged', {
+        start: new Date(current.start).toISOString(),
+        end: new Date(current.end).toISOString()
+      });
+    } else {
+      // Continue as a drag with the remaining finger
+      startGesture();
+    }
+  };
+
+  const zoomIn = () => applyView(zoomTimelineWindow(current, bounds, BUTTON_ZOOM_FACTOR));
+  const zoomOut = () => applyView(zoomTimelineWindow(current, bounds, 1 / BUTTON_ZOOM_FACTOR));
+  const resetZoom = () => setView(null);
+
+  return {
+    viewStart: useMemo(() => new Date(current.start), [current.start]),
+    viewEnd: useMemo(() => new Date(current.end), [current.end]),
+    isZoomed: view !== null,
+    zoomIn,
+    zoomOut,
+    resetZoom,
+    panHandlers: {
+      onPointerDown: handlePointerDown,
+      onPointerMove: handlePointerMove,
+      onPointerUp: handlePointerUp,
+      onPointerCancel: handlePointerUp
+    }
+  };
+};
+
+export default useTimelineZoom;
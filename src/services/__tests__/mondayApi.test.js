@@ -0,0 +1,203 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { MondayApiError, callMondayApi, parseMondayApiError } from '../mondayApi';
+
+const { api } = vi.hoisted(() => ({ api: vi.fn() }));
+vi.mock('monday-sdk-js', () => ({ default: () => ({ api }) }));
+
+// GraphQL error response as monday.api resolves it
+const graphqlError = (code, message = code, extensions = {}) => ({
+  errors: [{ message, extensions: { code, ...extensions } }]
+});
+
+const networkError = () => new TypeError('Failed to fetch');
+
+describe('parseMondayApiError', () => {
+  it('returns null for a successful response', () => {
+    expect(parseMondayApiError({ data: { boards: [] } })).toBeNull();
+  });
+
+  it('reads the code and retry hint of a GraphQL error', () => {
+    const error = parseMondayApiError(graphqlError('COMPLEXITY_BUDGET_EXHAUSTED', 'Budget exhausted', {
+      retry_in_seconds: 12
+    }));
+
+    expect(error).toBeInstanceOf(MondayApiError);
+    expect(error).toMatchObject({
+      message: 'Budget exhausted',
+      code: 'COMPLEXITY_BUDGET_EXHAUSTED',
+      retryInSeconds: 12,
+      retryable: true,
+      queryTooComplex: false
+    });
+  });
+
+  it('reads the "reset in N seconds" hint from the message', () => {
+    const error = parseMondayApiError(graphqlError(
+      'ComplexityException',
+      'Complexity budget exhausted, query cost 30001 budget remaining 100 out of 1000000 reset in 25 seconds'
+    ));
+    expect(error).toMatchObject({ retryInSeconds: 25, retryable: true });
+  });
+
+  it('flags queries that are too complex to ever succeed', () => {
+    expect(parseMondayApiError(graphqlError('maxComplexityExceeded'))).toMatchObject({
+      retryable: false,
+      queryTooComplex: true
+    });
+  });
+
+  it('reads legacy error_code responses', () => {
+    const error = parseMondayApiError({
+      error_code: 'RATE_LIMIT_EXCEEDED',
+      error_message: 'Rate limit exceeded',
+      status_code: 429,
+      error_data: { retry_in_seconds: 30 }
+    });
+    expect(error).toMatchObject({ code: 'RATE_LIMIT_EXCEEDED', retryInSeconds: 30, retryable: true });
+  });
+
+  it('treats a 429 status without a code as a rate limit', () => {
+    expect(parseMondayApiError({ error_message: 'Too many requests', status_code: 429 })).toMatchObject({
+      code: 'RATE_LIMIT_EXCEEDED',
+      retryable: true
+    });
+  });
+
+  it('does not retry auth and permission errors', () => {
+    expect(parseMondayApiError({ error_code: 'UserUnauthorizedException', error_message: 'Unauthorized' }))
+      .toMatchObject({ retryable: false });
+  });
+
+  it('reads the API body wrapped in a thrown error', () => {
+    const thrown = Object.assign(new Error('Graphql validation errors'), {
+      data: graphqlError('FIELD_MINUTE_RATE_LIMIT_EXCEEDED', 'Field limit', { retry_in_seconds: 5 })
+    });
+    expect(parseMondayApiError(thrown)).toMatchObject({
+      message: 'Field limit',
+      code: 'FIELD_MINUTE_RATE_LIMIT_EXCEEDED',
+      retryInSeconds: 5,
+      retryable: true
+    });
+  });
+
+  it('retries thrown errors from lost connections', () => {
+    expect(parseMondayApiError(networkError())).toMatchObject({ code: 'NETWORK_ERROR', retryable: true });
+    expect(parseMondayApiError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })))
+      .toMatchObject({ code: 'NETWORK_ERROR', retryable: true });
+    expect(parseMondayApiError(new Error("Received timeout from monday.com's GraphQL API")))
+      .toMatchObject({ code: 'NETWORK_ERROR', retryable: true });
+  });
+
+  it('retries thrown rate limits and server errors', () => {
+    expect(parseMondayApiError(Object.assign(new Error('Too many requests'), { status: 429 })))
+      .toMatchObject({ code: 'RATE_LIMIT_EXCEEDED', retryable: true });
+    expect(parseMondayApiError(Object.assign(new Error('Bad gateway'), { status: 502 })))
+      .toMatchObject({ code: 'INTERNAL_SERVER_ERROR', retryable: true });
+  });
+
+  it('does not retry other thrown errors', () => {
+    expect(parseMondayApiError(new Error('Not Authenticated'))).toMatchObject({
+      message: 'Not Authenticated',
+      code: 'REQUEST_FAILED',
+      retryable: false
+    });
+  });
+});
+
+describe('callMondayApi', () => {
+  beforeEach(() => {
+    api.mockReset();
+    vi.useFakeTimers();
+    // No jitter: each delay is its fixed part
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('returns the response and passes the variables', async () => {
+    api.mockResolvedValue({ data: { items: [] } });
+
+    await expect(callMondayApi('query', { variables: { ids: [1] } })).resolves.toEqual({ data: { items: [] } });
+    expect(api).toHaveBeenCalledWith('query', { variables: { ids: [1] } });
+  });
+
+  it('backs off exponentially between retries', async () => {
+    api.mockRejectedValueOnce(networkError())
+      .mockRejectedValueOnce(networkError())
+      .mockResolvedValue({ data: {} });
+
+    const result = callMondayApi('query', { baseDelayMs: 1000 });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(api).toHaveBeenCalledTimes(1);
+
+    // Half of 1s, then half of 2s
+    await vi.advanceTimersByTimeAsync(499);
+    expect(api).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(api).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(999);
+    expect(api).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(api).toHaveBeenCalledTimes(3);
+    await expect(result).resolves.toEqual({ data: {} });
+  });
+
+  it('waits for retry_in_seconds before retrying', async () => {
+    api.mockResolvedValueOnce(graphqlError('COMPLEXITY_BUDGET_EXHAUSTED', 'Budget exhausted', { retry_in_seconds: 12 }))
+      .mockResolvedValue({ data: {} });
+
+    const result = callMondayApi('query');
+    await vi.advanceTimersByTimeAsync(11999);
+    expect(api).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(api).toHaveBeenCalledTimes(2);
+    await expect(result).resolves.toEqual({ data: {} });
+  });
+
+  it('waits for the "reset in N seconds" hint, up to the maximum delay', async () => {
+    api.mockResolvedValueOnce(graphqlError('ComplexityException', 'Budget exhausted, reset in 90 seconds'))
+      .mockResolvedValue({ data: {} });
+
+    const result = callMondayApi('query', { maxDelayMs: 60000 });
+    await vi.advanceTimersByTimeAsync(59999);
+    expect(api).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(api).toHaveBeenCalledTimes(2);
+    await expect(result).resolves.toEqual({ data: {} });
+  });
+
+  it('gives up after the maximum number of retries', async () => {
+    api.mockRejectedValue(networkError());
+
+    const result = expect(callMondayApi('query', { maxRetries: 2 })).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+    await vi.runAllTimersAsync();
+    await result;
+    expect(api).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry errors that will not clear up', async () => {
+    api.mockRejectedValue(new Error('Not Authenticated'));
+
+    await expect(callMondayApi('query')).rejects.toMatchObject({ code: 'REQUEST_FAILED' });
+    expect(api).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails with the rejected value when monday.api rejects with a non-error', async () => {
+    api.mockRejectedValue('Request aborted');
+
+    const error = await callMondayApi('query').catch(thrown => thrown);
+    expect(error).toBeInstanceOf(MondayApiError);
+    expect(error).toMatchObject({ message: 'Request aborted', retryable: false });
+    expect(api).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops retrying once cancelled', async () => {
+    api.mockRejectedValue(networkError());
+
+    await expect(callMondayApi('query', { isCancelled: () => true })).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+    expect(api).toHaveBeenCalledTimes(1);
+  });
+});
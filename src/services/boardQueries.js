@@ -0,0 +1,80 @@
+// GraphQL documents used to load board items from monday.com
+
+// Fields requested for every board item, shared by all query types
+export const ITEM_FIELDS = `
+  id
+  name
+  board {
+    id
+  }
+  group {
+    id
+    title
+    color
+  }
+  column_values {
+    id
+    type
+    value
+    text
+    ... on MirrorValue {
+      display_value
+    }
+    ... on FormulaValue {
+      display_value
+    }
+    ... on DependencyValue {
+      linked_item_ids
+    }
+  }
+`;
+
+export const FIRST_ITEMS_PAGE_QUERY = `query ($boardId: [ID!], $limit: Int!) {
+  boards(ids: $boardId) {
+    items_page(limit: $limit) {
+      cursor
+      items {
+        ${ITEM_FIELDS}
+      }
+    }
+  }
+}`;
+
+export const NEXT_ITEMS_PAGE_QUERY = `query ($cursor: String!, $limit: Int!) {
+  next_items_page(cursor: $cursor, limit: $limit) {
+    cursor
+    items {
+      ${ITEM_FIELDS}
+    }
+  }
+}`;
+
+export const ITEMS_BY_IDS_QUERY = `query ($itemIds: [ID!], $limit: Int!) {
+  items(ids: $itemIds, limit: $limit) {
+    ${ITEM_FIELDS}
+  }
+}`;
+
+export const BOARD_COLUMNS_QUERY = `query ($boardId: [ID!]) {
+  boards(ids: $boardId) {
+    columns {
+      id
+      type
+      title
+      settings_str
+    }
+  }
+}`;
+
+export const CHANGE_COLUMN_VALUE_MUTATION = `mutation ($boardId: ID!, $itemId: ID!, $columnId: String!, $value: JSON!) {
+  change_column_value(board_id: $boardId, item_id: $itemId, column_id: $columnId, value: $value) {
+    id
+  }
+}`;
+
+export const CHANGE_SIMPLE_COLUMN_VALUE_MUTATION = `mutation ($boardId: ID!, $itemId: ID!, $columnId: String!, $value: String!) {
+  change_simple_column_value(board_id: $boardId, item_id: $itemId, column_id: $columnId, value: $value) {
+    id
+    name
+  }
+}`;
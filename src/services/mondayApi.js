@@ -0,0 +1,213 @@
+import mondaySdk from "monday-sdk-js";
+import TimelineLogger from '../utils/logger';
+
+// Initialize monday SDK
+const monday = mondaySdk();
+
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 60000;
+
+// Error codes that clear up on their own once the budget or rate window resets
+const RETRYABLE_CODES = new Set([
+  'ComplexityException',
+  'COMPLEXITY_BUDGET_EXHAUSTED',
+  'RATE_LIMIT_EXCEEDED',
+  'IP_RATE_LIMIT_EXCEEDED',
+  'FIELD_MINUTE_RATE_LIMIT_EXCEEDED',
+  'CONCURRENCY_LIMIT_EXCEEDED',
+  'INTERNAL_SERVER_ERROR',
+  'NETWORK_ERROR'
+]);
+
+// Error codes meaning the query itself is too expensive and must be made smaller
+const QUERY_TOO_COMPLEX_CODES = new Set([
+  'maxComplexityExceeded',
+  'MAX_COMPLEXITY_EXCEEDED'
+]);
+
+// Node system error codes of connections that failed or dropped before a response arrived
+const TRANSPORT_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE']);
+
+// Messages of requests that got no response: browser fetch ('Failed to fetch', 'NetworkError', 'Load failed'),
+// Node fetch and the SDK's gateway timeout
+const TRANSPORT_ERROR_PATTERN = /failed to fetch|fetch failed|networkerror|network request failed|load failed|timeout/i;
+
+/**
+ * Error raised for failed monday.com API calls, carrying the reason reported by the API
+ */
+export class MondayApiError extends Error {
+  /**
+   * @param {string} message - Human readable reason reported by the API
+   * @param {Object} [details] - Parsed error details
+   * @param {string} [details.code] - API error code (e.g. 'COMPLEXITY_BUDGET_EXHAUSTED')
+   * @param {number} [details.retryInSeconds] - Seconds until the budget or rate window resets
+   * @param {boolean} [details.retryable] - Whether retrying the same call may succeed
+   * @param {boolean} [details.queryTooComplex] - Whether the query must be split to succeed
+   */
+  constructor(message, { code = 'UNKNOWN', retryInSeconds = null, retryable = false, queryTooComplex = false } = {}) {
+    super(message);
+    this.name = 'MondayApiError';
+    this.code = code;
+    this.retryInSeconds = retryInSeconds;
+    this.retryable = retryable;
+    this.queryTooComplex = queryTooComplex;
+  }
+}
+
+/**
+ * Reads the "reset in N seconds" hint from complexity error messages
+ * @param {string} message - Error message from the API
+ * @returns {number|null} Seconds until reset, or null if not present
+ */
+const parseResetSeconds = (message = '') => {
+  const match = /reset in (\d+) seconds?/i.exec(message);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Classifies an error thrown by monday.api that carries no API error body.
+ * Only failures that may clear up on their own are retryable: rate limits, server errors and lost connections.
+ * Anything else (auth, permissions, malformed queries) fails the same way every time.
+ * @param {Error} error - Thrown error
+ * @param {number|null} status - HTTP status, when known
+ * @returns {string} Error code
+ */
+const getThrownErrorCode = (error, status) => {
+  if (status === 429) return 'RATE_LIMIT_EXCEEDED';
+  if (status >= 500) return 'INTERNAL_SERVER_ERROR';
+  const systemCode = error.code || error.cause?.code;
+  if (TRANSPORT_ERROR_CODES.has(systemCode) || TRANSPORT_ERROR_PATTERN.test(error.message || '')) {
+    return 'NETWORK_ERROR';
+  }
+  return 'REQUEST_FAILED';
+};
+
+/**
+ * Normalizes the different error shapes returned by monday.api into a MondayApiError.
+ * Handles GraphQL `errors` arrays, legacy `error_code`/`error_message` responses and thrown errors.
+ * @param {Object|Error} source - API response or thrown error
+ * @returns {MondayApiError|null} Parsed error, or null if the response is not an error
+ */
+export const parseMondayApiError = (source) => {
+  if (!source) return null;
+  if (source instanceof MondayApiError) return source;
+
+  // Thrown errors may wrap the API response body
+  const body = source.data && (source.data.errors || source.data.error_code) ? source.data : source;
+
+  let code = null;
+  let message = null;
+  let retryInSeconds = null;
+  const status = source.status ?? source.statusCode ?? body.status_code ?? null;
+
+  if (Array.isArray(body.errors) && body.errors.length > 0) {
+    const [first] = body.errors;
+    code = first.extensions?.code || null;
+    message = first.message;
+    retryInSeconds = first.extensions?.retry_in_seconds ?? null;
+  } else if (body.error_code || body.error_message) {
+    code = body.error_code || null;
+    message = body.error_message;
+    retryInSeconds = body.error_data?.retry_in_seconds ?? null;
+  } else if (source instanceof Error) {
+    code = getThrownErrorCode(source, status);
+    message = source.message;
+  } else {
+    return null;
+  }
+
+  if (!code && status === 429) {
+    code = 'RATE_LIMIT_EXCEEDED';
+  }
+
+  if (retryInSeconds === null) {
+    retryInSeconds = parseResetSeconds(message);
+  }
+
+  return new MondayApiError(message || 'Unknown monday.com API error', {
+    code: code || 'UNKNOWN',
+    retryInSeconds,
+    retryable: RETRYABLE_CODES.has(code),
+    queryTooComplex: QUERY_TOO_COMPLEX_CODES.has(code)
+  });
+};
+
+/**
+ * Calculates the wait before the next attempt using exponential backoff with jitter.
+ * Honors the reset hint from the API when one is given.
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {MondayApiError} error - The error that triggered the retry
+ * @param {number} baseDelayMs - Delay for the first retry
+ * @param {number} maxDelayMs - Upper bound for any single delay
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempt, error, baseDelayMs, maxDelayMs) => {
+  const jitter = Math.random() * baseDelayMs;
+
+  if (error.retryInSeconds !== null) {
+    return Math.min(maxDelayMs, error.retryInSeconds * 1000 + jitter);
+  }
+
+  const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  // Half fixed, half random so concurrent callers spread out
+  return exponential / 2 + Math.random() * (exponential / 2);
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Runs a monday.com GraphQL call, retrying rate/complexity failures with exponential backoff
+ * @param {string} query - GraphQL query or mutation
+ * @param {Object} [options] - Call options
+ * @param {Object} [options.variables] - GraphQL variables
+ * @param {string} [options.operation] - Name used in logs
+ * @param {number} [options.maxRetries] - Retries before giving up
+ * @param {number} [options.baseDelayMs] - Delay for the first retry
+ * @param {number} [options.maxDelayMs] - Upper bound for any single delay
+ * @param {Function} [options.isCancelled] - Returns true to stop retrying
+ * @returns {Promise<Object>} The API response
+ * @throws {MondayApiError} When the call fails and cannot be retried
+ */
+export const callMondayApi = async (query, options = {}) => {
+  const {
+    variables,
+    operation = 'mondayApi',
+    maxRetries = DEFAULT_MAX_RETRIES,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    maxDelayMs = DEFAULT_MAX_DELAY_MS,
+    isCancelled = () => false
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+
+    try {
+      const response = await monday.api(query, variables ? { variables } : undefined);
+      error = parseMondayApiError(response);
+      if (!error) {
+        return response;
+      }
+    } catch (thrown) {
+      // Rejections that are not errors (strings, plain values) carry nothing to classify, so they are not retried
+      error = parseMondayApiError(thrown) || new MondayApiError(String(thrown));
+    }
+
+    if (!error.retryable || attempt >= maxRetries || isCancelled()) {
+      TimelineLogger.error(`${operation}.failed`, error, {
+        code: error.code,
+        attempts: attempt + 1
+      });
+      throw error;
+    }
+
+    const delay = getRetryDelay(attempt, error, baseDelayMs, maxDelayMs);
+    TimelineLogger.warn(`${operation}.retrying`, {
+      code: error.code,
+      reason: error.message,
+      attempt: attempt + 1,
+      delay: `${Math.round(delay)}ms`
+    });
+    await wait(delay);
+  }
+};
@@ -0,0 +1,15 @@
+import { vi } from 'vitest';
+
+// Keep test output quiet: log calls are accepted and dropped
+vi.mock('./utils/logger', () => ({
+  default: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn(),
+    error: vi.fn(),
+    appInitialized: vi.fn(),
+    dataOperation: vi.fn(),
+    userAction: vi.fn(),
+    performance: vi.fn()
+  }
+}));
@@ -10,6 +10,10 @@ export default defineConfig(() => {
     server: {
       port: 8301,
       allowedHosts: ['.apps-tunnel.monday.app']
+    },
+    test: {
+      include: ['src/**/*.test.{js,jsx}'],
+      setupFiles: ['src/setupTests.js']
     }
   };
 });
\ No newline at end of file